@@ -5,10 +5,11 @@ import { configureAction, configureAppAction } from './lib/configure.js'
 import { runAction } from './lib/run.js'
 import { sqlAction } from './lib/sql.js'
 import { kvListAction, kvGetAction, kvSetAction, kvDelAction } from './lib/kv.js'
-import { envListAction, envGetAction, envSetAction, envDelAction } from './lib/env.js'
-import { pullAction, clearAction, pushAction, pushRunAction } from './lib/sync.js'
+import { envListAction, envGetAction, envSetAction, envDelAction, envRevealAction } from './lib/env.js'
+import { pullAction, clearAction, pushAction, pushRunAction, statusAction, diffAction, watchAction, templatePreviewAction, snapshotsAction, rollbackAction, validateAction, withStage } from './lib/sync.js'
 import { aiInstructionsAction } from './lib/ai-instructions.js'
 import { findEnvFile } from './lib/utils.js'
+import { withWorkspace } from './lib/workspace.js'
 import { configDotenv } from 'dotenv'
 import { readFileSync } from 'fs'
 import { fileURLToPath } from 'url'
@@ -56,7 +57,8 @@ program
 	.option('-r, --raw', 'Alias for --silent')
 	.option('--no-sse', 'Disable SSE log streaming (logs are streamed by default)')
 	.option('--log-delay <ms>', 'Delay in ms to wait for late logs after result received (default: 2000)', '2000')
-	.action(runAction)
+	.option('--app <name>', 'Workspace app to use (see [workspace] in cx.toml)')
+	.action(withWorkspace(runAction, { chdir: false }))
 
 // Command to execute SQL queries on CDR database
 program
@@ -105,14 +107,17 @@ program
 	.description('List all environment variables')
 	.option('-s, --silent', 'Silent/raw mode - output only response data without formatting (suitable for piping)')
 	.option('-r, --raw', 'Alias for --silent')
-	.action(envListAction)
+	.option('--app <name>', 'Workspace app to use (see [workspace] in cx.toml)')
+	.option('--all-apps', 'Run for every app in the workspace')
+	.action(withWorkspace(envListAction, { allApps: true, chdir: false }))
 
 program
 	.command('env:get [key]')
 	.description('Get an environment variable by key')
 	.option('-s, --silent', 'Silent/raw mode - output only response data without formatting (suitable for piping)')
 	.option('-r, --raw', 'Alias for --silent')
-	.action(envGetAction)
+	.option('--app <name>', 'Workspace app to use (see [workspace] in cx.toml)')
+	.action(withWorkspace(envGetAction, { chdir: false }))
 
 program
 	.command('env:set [key]')
@@ -120,22 +125,41 @@ program
 	.option('-v, --value [value]', 'Value to set (string or file path)')
 	.option('-s, --silent', 'Silent/raw mode - output only response data without formatting (suitable for piping)')
 	.option('-r, --raw', 'Alias for --silent')
-	.action(envSetAction)
+	.option('--app <name>', 'Workspace app to use (see [workspace] in cx.toml)')
+	.action(withWorkspace(envSetAction, { chdir: false }))
 
 program
 	.command('env:del [key]')
 	.description('Delete an environment variable by key')
 	.option('-s, --silent', 'Silent/raw mode - output only response data without formatting (suitable for piping)')
 	.option('-r, --raw', 'Alias for --silent')
-	.action(envDelAction)
+	.option('--app <name>', 'Workspace app to use (see [workspace] in cx.toml)')
+	.action(withWorkspace(envDelAction, { chdir: false }))
+
+program
+	.command('env:reveal [key]')
+	.description('Show the local cx.env values in plaintext, decrypting encrypted (enc:) values')
+	.option('-s, --silent', 'Silent/raw mode - output only response data without formatting (suitable for piping)')
+	.option('-r, --raw', 'Alias for --silent')
+	.option('--app <name>', 'Workspace app to use (see [workspace] in cx.toml)')
+	.option('--stage <name>', 'Stage to use: its app, cx.toml overrides and cx.<name>.env (see [stage.<name>] in cx.toml)')
+	.action(withWorkspace(withStage(envRevealAction)))
 
 // Command to pull ScriptForge scripts to local ./src folder
 program
 	.command('pull [filename]')
-	.description('Pull ScriptForge scripts to ./src folder (or a specific file)')
+	.description('Pull scripts, queries and templates to ./src, ./query and ./template (or a specific file or glob, e.g. query/daily.sql or \'src/billing-*\')')
 	.option('-s, --silent', 'Silent/raw mode - suppress decorative output')
 	.option('-r, --raw', 'Alias for --silent')
-	.action(pullAction)
+	.option('-m, --merge-tool [command]', 'Resolve merge conflicts with a merge tool (defaults to CX_MERGE_TOOL)')
+	.option('-y, --yes', 'Non-interactive: keep existing files, skip diffs and confirm automatically')
+	.option('--dry-run', 'Show what would be pulled without pulling')
+	.option('--no-verify', 'Skip the pre-pull hook')
+	.option('--json', 'Output the plan and results as JSON (requires --yes or --dry-run)')
+	.option('--app <name>', 'Workspace app to use (see [workspace] in cx.toml)')
+	.option('--all-apps', 'Run for every app in the workspace')
+	.option('--stage <name>', 'Stage to use: its app, cx.toml overrides and cx.<name>.env (see [stage.<name>] in cx.toml)')
+	.action(withWorkspace(withStage(pullAction), { allApps: true }))
 
 // Command to clear the ./src folder
 program
@@ -148,10 +172,87 @@ program
 // Command to push local changes back to ScriptForge
 program
 	.command('push [filename]')
-	.description('Push local ./src changes to ScriptForge (or a specific file)')
+	.description('Push local changes in ./src, ./query and ./template (or a specific file or glob, e.g. template/invoice.html or \'src/billing-*\')')
+	.option('-s, --silent', 'Silent/raw mode - suppress decorative output')
+	.option('-r, --raw', 'Alias for --silent')
+	.option('--force', 'Overwrite items modified remotely since the last pull without asking')
+	.option('--prune', 'Delete remote scripts, queries, templates and cx.toml records (e.g. domains) removed locally')
+	.option('--atomic', 'All or nothing: if any item fails, roll back the changes already pushed')
+	.option('--changed-since <ref>', 'Only push synced files (sync folders, cx.env, cx.toml) changed in git since <ref>')
+	.option('--staged', 'Only push synced files (sync folders, cx.env, cx.toml) staged in git')
+	.option('-y, --yes', 'Non-interactive: confirm automatically and skip remotely modified items (unless --force)')
+	.option('--dry-run', 'Show what would be pushed without pushing')
+	.option('--no-verify', 'Skip validation, the syntax check and the pre-push hook')
+	.option('--json', 'Output the plan and results as JSON (requires --yes or --dry-run)')
+	.option('--app <name>', 'Workspace app to use (see [workspace] in cx.toml)')
+	.option('--all-apps', 'Run for every app in the workspace')
+	.option('--stage <name>', 'Stage to use: its app, cx.toml overrides and cx.<name>.env (see [stage.<name>] in cx.toml)')
+	.action(withWorkspace(withStage(pushAction), { allApps: true }))
+
+// Command to show local vs remote drift
+program
+	.command('status')
+	.description('Show which scripts, queries, templates, env vars and config items differ between local and remote')
+	.option('--json', 'Output the status as JSON')
+	.option('--exit-code', 'Exit with code 1 if anything is out of sync (2 on errors)')
+	.option('-s, --silent', 'Silent/raw mode - suppress decorative output')
+	.option('-r, --raw', 'Alias for --silent')
+	.option('--app <name>', 'Workspace app to use (see [workspace] in cx.toml)')
+	.option('--all-apps', 'Run for every app in the workspace')
+	.option('--stage <name>', 'Stage to use: its app, cx.toml overrides and cx.<name>.env (see [stage.<name>] in cx.toml)')
+	.action(withWorkspace(withStage(statusAction), { allApps: true }))
+
+// Command to check cx.toml, cx.env and sync folder names
+program
+	.command('validate')
+	.description('Check cx.toml against its schema, cx.env keys and sync folder file names (push runs this first)')
+	.option('--json', 'Output the problems as JSON')
+	.option('-s, --silent', 'Silent/raw mode - suppress decorative output')
+	.option('-r, --raw', 'Alias for --silent')
+	.option('--app <name>', 'Workspace app to use (see [workspace] in cx.toml)')
+	.option('--all-apps', 'Run for every app in the workspace')
+	.action(withWorkspace(validateAction, { allApps: true }))
+
+// Command to show local vs remote differences
+program
+	.command('diff [path]')
+	.description('Show how local files differ from the remote app (one file or folder, or the whole app)')
+	.option('--view <view>', 'unified, side-by-side or word (default: unified)', 'unified')
+	.option('-U, --context <lines>', 'Number of context lines around each change (default: 3)', '3')
+	.option('-o, --output <file>', 'Write a unified patch file instead of printing the diff')
+	.option('--show-values', 'Show env var values (hidden by default)')
+	.option('--no-color', 'Disable colored output')
+	.option('--no-pager', 'Print directly instead of paging through $PAGER')
+	.option('--exit-code', 'Exit with code 1 if there are differences (2 on errors)')
+	.option('-s, --silent', 'Silent/raw mode - suppress decorative output')
+	.option('-r, --raw', 'Alias for --silent')
+	.option('--app <name>', 'Workspace app to use (see [workspace] in cx.toml)')
+	.option('--stage <name>', 'Stage to use: its app, cx.toml overrides and cx.<name>.env (see [stage.<name>] in cx.toml)')
+	.action(withWorkspace(withStage(diffAction)))
+
+// Command to list remote snapshots saved before each push
+program
+	.command('snapshots')
+	.description('List the remote snapshots saved before each push (newest first)')
+	.option('--json', 'Output the snapshots as JSON')
+	.option('-s, --silent', 'Silent/raw mode - suppress decorative output')
+	.option('-r, --raw', 'Alias for --silent')
+	.option('--app <name>', 'Workspace app to use (see [workspace] in cx.toml)')
+	.option('--all-apps', 'Run for every app in the workspace')
+	.option('--stage <name>', 'Stage to use: its app, cx.toml overrides and cx.<name>.env (see [stage.<name>] in cx.toml)')
+	.action(withWorkspace(withStage(snapshotsAction), { allApps: true }))
+
+// Command to restore the remote app to a snapshot
+program
+	.command('rollback [snapshot]')
+	.description('Restore remote scripts, queries, templates, env vars and config to a snapshot (default: the newest)')
+	.option('-y, --yes', 'Roll back without asking for confirmation')
+	.option('--dry-run', 'Show what would be rolled back without changing anything')
 	.option('-s, --silent', 'Silent/raw mode - suppress decorative output')
 	.option('-r, --raw', 'Alias for --silent')
-	.action(pushAction)
+	.option('--app <name>', 'Workspace app to use (see [workspace] in cx.toml)')
+	.option('--stage <name>', 'Stage to use: its app, cx.toml overrides and cx.<name>.env (see [stage.<name>] in cx.toml)')
+	.action(withWorkspace(withStage(rollbackAction)))
 
 // Command to push and run in a single operation
 program
@@ -164,7 +265,32 @@ program
 	.option('-r, --raw', 'Alias for --silent')
 	.option('--no-sse', 'Disable SSE log streaming (logs are streamed by default)')
 	.option('--log-delay <ms>', 'Delay in ms to wait for late logs after result received (default: 2000)', '2000')
-	.action(pushRunAction)
+	.option('--force', 'Overwrite the script if it was modified remotely since the last pull without asking')
+	.option('--no-verify', 'Skip validation, the syntax check and the pre-push hook')
+	.option('--app <name>', 'Workspace app to use (see [workspace] in cx.toml)')
+	.option('--stage <name>', 'Stage to use: its app, cx.toml overrides and cx.<name>.env (see [stage.<name>] in cx.toml)')
+	.action(withWorkspace(withStage(pushRunAction)))
+
+// Command to push changes as files are saved
+program
+	.command('watch')
+	.description('Watch ./src, ./query, ./template, cx.env and cx.toml and push each change as it is saved')
+	.option('--run <script>', 'Script to run after each successful push')
+	.option('-f, --fn <function>', 'Function name to execute within the script (with --run)')
+	.option('-b, --body <body>', 'JSON request body for the run, as a JSON string or file path (with --run)')
+	.option('--no-sse', 'Disable SSE log streaming for the run')
+	.option('--debounce <ms>', 'Wait for this many ms of quiet before pushing a changed file (default: 300)', '300')
+	.option('--force', 'Overwrite items modified remotely since the last pull')
+	.option('--no-verify', 'Push without validating cx.env and cx.toml or checking file syntax')
+	.action(watchAction)
+
+// Command to preview a template locally
+program
+	.command('template:preview <name>')
+	.description('Serve a template from ./template on localhost with sample data, reloading it as it is saved')
+	.option('-d, --data <file>', 'Sample data JSON file (default: <template>.sample.json next to the template)')
+	.option('-p, --port <port>', 'Port to listen on (default: 4000)')
+	.action(templatePreviewAction)
 
 // Command to copy AI instructions to .github
 program
@@ -190,9 +316,17 @@ program
 		console.log('Run "cx env:get <id>" to get an environment variable.')
 		console.log('Run "cx env:set <id>" to set an environment variable.')
 		console.log('Run "cx env:del <id>" to delete an environment variable.')
+		console.log('Run "cx env:reveal [key]" to show the local cx.env values decrypted.')
 		console.log('Run "cx pull" to download ScriptForge scripts to ./src')
 		console.log('Run "cx push" to upload local changes to ScriptForge')
+		console.log('Run "cx status" to see what differs between local and remote')
+		console.log('Run "cx validate" to check cx.toml, cx.env and sync file names before pushing')
+		console.log('Run "cx diff [path]" to show local vs remote differences')
+		console.log('Run "cx snapshots" to list remote snapshots saved before each push')
+		console.log('Run "cx rollback [snapshot]" to restore the remote app to a snapshot')
 		console.log('Run "cx push-run <id>" or "cx pr <id>" to push and run')
+		console.log('Run "cx watch" to push changes automatically as you save')
+		console.log('Run "cx template:preview <name>" to preview a template with sample data')
 		console.log('Run "cx clear" to clear the ./src folder')
 		console.log('Run "cx ai-instructions" to copy AI instructions to .github/')
 		console.log('Use "cx --help" to see available commands.')
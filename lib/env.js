@@ -5,7 +5,7 @@ import {
 	makeAuthenticatedRequest,
 	handleError
 } from './utils.js'
-import { updateLocalEnvKey, removeLocalEnvKey } from './sync.js'
+import { updateLocalEnvKey, removeLocalEnvKey, readLocalEnvFile } from './sync.js'
 
 /**
  * Get the configured APP_ID from environment
@@ -338,3 +338,24 @@ export async function envDelAction(key, options) {
 		handleError(error.message, silent)
 	}
 }
+
+/**
+ * Show the local cx.env values in plaintext, decrypting encrypted (enc:...) values
+ * @param {string} [key] - Environment variable key (all variables if omitted)
+ * @param {Object} options - Command options
+ */
+export async function envRevealAction(key, options) {
+	const silent = (options && (options.silent || options.raw)) || false
+	try {
+		const envObj = readLocalEnvFile()
+		if (!key) {
+			formatEnvList(Object.keys(envObj).sort().map(name => ({ key: name, value: envObj[name] })), silent)
+		} else if (envObj[key] !== undefined) {
+			formatEnvVar({ key, value: envObj[key] }, silent)
+		} else {
+			handleError(`Variable with key '${key}' not found in local cx.env`, silent)
+		}
+	} catch (error) {
+		handleError(error.message, silent)
+	}
+}
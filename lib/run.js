@@ -549,71 +549,88 @@ async function promptForBody(body) {
 }
 
 /**
- * Main run action handler
+ * Runs a ScriptForge script and prints its output, without exiting the process
+ * Used by the run command and by watch mode to re-run a script after each push
  * @param {string} id - ScriptForge ID from command line argument
  * @param {Object} options - Command options from commander
+ * @returns {Promise<{success: boolean, error?: string}>} Execution result
  */
-export async function runAction(id, options) {
-	// Check if silent/raw mode is enabled (hoisted so catch can access)
+export async function runScript(id, options) {
+	// Check if silent/raw mode is enabled
 	const silent = (options && (options.silent || options.raw)) || false
 	
 	// SSE options: enabled by default, but disabled in silent mode or with --no-sse
 	const sseEnabled = options.sse !== false && !silent
 	
-	try {
-		
-		// Get ScriptForge ID (from argument or prompt)
-		const scriptId = await promptForId(id)
-		
-		// Get request body based on -b flag usage
-		let requestBody
-		
-		if (options.body === undefined) {
-			// No -b flag: send empty body
-			requestBody = {}
-		} else if (options.body === true) {
-			// -b flag with no value: prompt for JSON input directly
-			if (!silent) {
-				console.log('💡 You can provide JSON data directly or a file path')
-				console.log('💡 Example: {"key": "value"} or ./data.json')
-			}
-			
-			const bodyInput = await input({
-				message: 'Enter JSON request body (or file path):',
-				validate: (value) => {
-					if (!value || value.trim() === '') {
-						return 'Please provide JSON data or a file path'
-					}
-					
-					try {
-						const { data } = detectInput(value.trim())
-						validateJSON(data)
-						return true
-					} catch (error) {
-						return error.message
-					}
-				}
-			})
-			
-			const { data } = detectInput(bodyInput.trim())
-			requestBody = validateJSON(data)
-		} else {
-			// -b flag with value: use provided data
-			const { data } = detectInput(options.body)
-			requestBody = validateJSON(data)
-		}
-		
+	// Get ScriptForge ID (from argument or prompt)
+	const scriptId = await promptForId(id)
+	
+	// Get request body based on -b flag usage
+	let requestBody
+	
+	if (options.body === undefined) {
+		// No -b flag: send empty body
+		requestBody = {}
+	} else if (options.body === true) {
+		// -b flag with no value: prompt for JSON input directly
 		if (!silent) {
-			console.log(`📋 Request Body: ${JSON.stringify(requestBody, null, 2)}`)
+			console.log('💡 You can provide JSON data directly or a file path')
+			console.log('💡 Example: {"key": "value"} or ./data.json')
 		}
 		
-		// Execute the ScriptForge with SSE options
-		const fn = options.fn || null
-		const sseOptions = { enabled: sseEnabled }
-		const result = await executeScriptForge(scriptId, requestBody, silent, fn, sseOptions)
+		const bodyInput = await input({
+			message: 'Enter JSON request body (or file path):',
+			validate: (value) => {
+				if (!value || value.trim() === '') {
+					return 'Please provide JSON data or a file path'
+				}
+				
+				try {
+					const { data } = detectInput(value.trim())
+					validateJSON(data)
+					return true
+				} catch (error) {
+					return error.message
+				}
+			}
+		})
+		
+		const { data } = detectInput(bodyInput.trim())
+		requestBody = validateJSON(data)
+	} else {
+		// -b flag with value: use provided data
+		const { data } = detectInput(options.body)
+		requestBody = validateJSON(data)
+	}
+	
+	if (!silent) {
+		console.log(`📋 Request Body: ${JSON.stringify(requestBody, null, 2)}`)
+	}
+	
+	// Execute the ScriptForge with SSE options
+	const fn = options.fn || null
+	const sseOptions = { enabled: sseEnabled }
+	const result = await executeScriptForge(scriptId, requestBody, silent, fn, sseOptions)
+	
+	if (result.success) {
+		formatOutput(result.data, result.contentType, silent)
+	}
+	return result
+}
+
+/**
+ * Main run action handler
+ * @param {string} id - ScriptForge ID from command line argument
+ * @param {Object} options - Command options from commander
+ */
+export async function runAction(id, options) {
+	// Check if silent/raw mode is enabled (hoisted so catch can access)
+	const silent = (options && (options.silent || options.raw)) || false
+	
+	try {
+		const result = await runScript(id, options)
 		
 		if (result.success) {
-			formatOutput(result.data, result.contentType, silent)
 			// Exit explicitly to close any lingering SSE connections
 			process.exit(0)
 		} else {
@@ -624,4 +641,4 @@ export async function runAction(id, options) {
 		handleError(error.message, silent)
 		process.exit(1)
 	}
-}
\ No newline at end of file
+}
@@ -8,7 +8,18 @@ export {
 	clearAction,
 	pushAction,
 	pushRunAction,
+	statusAction,
+	diffAction,
+	watchAction,
+	templatePreviewAction,
+	snapshotsAction,
+	rollbackAction,
+	validateAction,
+	withStage,
+	registerSyncType,
+	loadCustomSyncTypes,
 	writeLocalEnvFile,
+	readLocalEnvFile,
 	updateLocalEnvKey,
 	removeLocalEnvKey,
 	pullConfigSection,
@@ -0,0 +1,141 @@
+/**
+ * Syntax check - parses the scripts and templates a push is about to upload,
+ * so a typo fails the push locally instead of breaking the deployed app
+ */
+
+import { spawn } from 'child_process'
+import { extname } from 'path'
+import { Script } from 'vm'
+import { runPool } from './pool.js'
+
+// Inline <script> types holding JavaScript (no type attribute means a classic script)
+const SCRIPT_TYPES = ['', 'text/javascript', 'application/javascript', 'module']
+
+/**
+ * Parses an ES module with 'node --check' in a child process, so nothing in it runs
+ * @param {string} source - Module source
+ * @returns {Promise<{line: number|null, message: string}|null>} The syntax error, or null if the module parses
+ */
+function checkModule(source) {
+	return new Promise((resolve, reject) => {
+		const child = spawn(process.execPath, ['--input-type=module', '--check'], { stdio: ['pipe', 'ignore', 'pipe'] })
+		let stderr = ''
+		child.stderr.on('data', chunk => {
+			stderr += chunk
+		})
+		child.on('error', error => reject(new Error(`Failed to run the syntax check: ${error.message}`)))
+		child.on('close', code => {
+			if (code === 0) {
+				return resolve(null)
+			}
+			// e.g. '[stdin]:12' on the first line, 'SyntaxError: Unexpected token' further down
+			const line = stderr.match(/^\[stdin\]:(\d+)/m)
+			const message = stderr.match(/^(SyntaxError: .*)$/m)
+			resolve({
+				line: line ? parseInt(line[1], 10) : null,
+				message: message ? message[1] : stderr.trim().split('\n')[0]
+			})
+		})
+		// The exit code reports the outcome, even if the child stops reading early
+		child.stdin.on('error', () => {})
+		child.stdin.end(source)
+	})
+}
+
+/**
+ * Parses a classic (non-module) script without running it
+ * @param {string} source - Script source
+ * @returns {{line: number|null, message: string}|null} The syntax error, or null if the script parses
+ */
+function checkClassicScript(source) {
+	try {
+		new Script(source, { filename: 'script' })
+		return null
+	} catch (error) {
+		const line = error.stack.match(/^script:(\d+)/)
+		return { line: line ? parseInt(line[1], 10) : null, message: `${error.name}: ${error.message}` }
+	}
+}
+
+/**
+ * Parses the inline scripts of an HTML template
+ * Template placeholders ({{ ... }} and {% ... %}) are read as values, keeping their line breaks
+ * so reported lines match the template
+ * @param {string} source - Template HTML
+ * @returns {Promise<{line: number|null, message: string}|null>} The first syntax error, or null if every script parses
+ */
+async function checkTemplate(source) {
+	for (const match of source.matchAll(/<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi)) {
+		const attributes = match[1]
+		const type = (attributes.match(/\btype\s*=\s*["']?([^"'\s>]+)/i)?.[1] || '').toLowerCase()
+		if (/\bsrc\s*=/i.test(attributes) || !SCRIPT_TYPES.includes(type)) {
+			continue
+		}
+
+		const code = match[2].replace(/\{\{[\s\S]*?\}\}|\{%[\s\S]*?%\}/g, placeholder => `null${placeholder.slice(4).replace(/[^\n]/g, ' ')}`)
+		const error = type === 'module' ? await checkModule(code) : checkClassicScript(code)
+		if (error) {
+			// Line 1 of the script is the line its <script> tag ends on
+			const offset = source.slice(0, match.index + attributes.length + '<script>'.length).split('\n').length - 1
+			return { line: error.line === null ? null : error.line + offset, message: error.message }
+		}
+	}
+	return null
+}
+
+/**
+ * Parses a JSON file (e.g. a custom sync type with a .json extension)
+ * @param {string} source - JSON text
+ * @returns {{line: number|null, message: string}|null} The syntax error, or null if the JSON parses
+ */
+function checkJson(source) {
+	try {
+		JSON.parse(source)
+		return null
+	} catch (error) {
+		const position = error.message.match(/at position (\d+)/)
+		return {
+			line: position ? source.slice(0, parseInt(position[1], 10)).split('\n').length : null,
+			message: `SyntaxError: ${error.message}`
+		}
+	}
+}
+
+// Syntax checks by file extension; other files (e.g. SQL queries) are not checked
+const CHECKS = {
+	'.js': checkModule,
+	'.html': checkTemplate,
+	'.json': checkJson
+}
+
+/**
+ * Checks the syntax of the files about to be pushed
+ * @param {Array<{filepath: string, content: string}>} files - Files with the content that will be pushed
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.silent] - Whether to suppress the progress line
+ * @returns {Promise<Array<{path: string, line: number|null, message: string}>>} Syntax errors, in file order
+ */
+export async function checkSyntax(files, options = {}) {
+	const checked = files.filter(file => CHECKS[extname(file.filepath).toLowerCase()])
+	const outcomes = await runPool(checked, file => CHECKS[extname(file.filepath).toLowerCase()](file.content), {
+		label: 'Checking syntax',
+		silent: options.silent
+	})
+
+	return checked.flatMap((file, i) => {
+		const { value, error } = outcomes[i]
+		if (error) {
+			return [{ path: file.filepath, line: null, message: error.message }]
+		}
+		return value ? [{ path: file.filepath, ...value }] : []
+	})
+}
+
+/**
+ * Formats a syntax error for display
+ * @param {{path: string, line: number|null, message: string}} error - Syntax error from checkSyntax
+ * @returns {string} e.g. 'src/billing.js:12: SyntaxError: Unexpected token'
+ */
+export function formatSyntaxError(error) {
+	return `${error.path}${error.line ? `:${error.line}` : ''}: ${error.message}`
+}
@@ -0,0 +1,301 @@
+/**
+ * Diff command - shows local vs remote differences for one item or the whole app
+ * Reuses the preview modes of the pull/push functions, so nothing is written locally or remotely
+ */
+
+import { writeFileSync } from 'fs'
+import { spawnSync } from 'child_process'
+import * as TOML from '@iarna/toml'
+import { handleError } from '../utils.js'
+import { SYNC_TYPES, ENV_FILE, CONFIG_FILE } from './constants.js'
+import { pushItems, fetchAllItems, fetchItemById, filterByAppId, getLocalFilename } from './files.js'
+import { pushEnvVars, serializeEnvFile, readStoredEnvFile } from './env.js'
+import { isEncryptedValue } from './secrets.js'
+import { CONFIG_SECTIONS, pullConfigSection } from './config.js'
+import { createFilePatch, formatUnified, formatSideBySide, formatWordDiff } from './diff.js'
+import { loadIgnoreRules, isIgnored } from './ignore.js'
+import { loadCustomSyncTypes } from './types.js'
+import { runPool } from './pool.js'
+
+const VIEWS = ['unified', 'side-by-side', 'word']
+
+// Stand-ins for env var values, which are only shown with --show-values
+const HIDDEN_REMOTE_VALUE = '<hidden-remote-value>'
+const HIDDEN_LOCAL_VALUE = '<hidden-local-value>'
+
+/**
+ * Normalizes a path argument to the 'src/billing.js' form used for sync paths
+ * @param {string} path - Path as typed (may start with './' or use backslashes)
+ * @returns {string} Normalized path
+ */
+function normalizePath(path) {
+	return path.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '')
+}
+
+/**
+ * Collects local vs remote contents for the scripts, queries or templates of one sync type
+ * @param {string} syncType - Sync type key
+ * @returns {Promise<Array<{path: string, oldPath?: string, oldContent: string|null, newContent: string|null}>>}
+ *   Differing files (old = remote, new = local)
+ */
+async function collectFileDiffs(syncType) {
+	const config = SYNC_TYPES[syncType]
+	const dir = config.dir.replace(/^\.\//, '')
+	const result = await pushItems(syncType, true)
+	const files = []
+
+	for (const file of result.toUpdate) {
+		// Renamed files are stored under their previous remote name
+		const remote = result.remoteMap.get(file.remoteName || file.name)
+		// Metadata-only updates have no content to diff (the change is in the [meta] table of cx.toml)
+		if (!file.renamedFrom && remote.content === file.content) continue
+		files.push({ path: file.filepath, oldPath: file.renamedFrom || undefined, oldContent: remote.content, newContent: file.content })
+	}
+	for (const file of result.toCreate) {
+		files.push({ path: file.filepath, oldContent: null, newContent: file.content })
+	}
+	for (const file of result.conflicted) {
+		const remote = file.nameVariants.map(name => result.remoteMap.get(name)).find(Boolean)
+		files.push({ path: file.filepath, oldContent: remote ? remote.content : null, newContent: file.content })
+	}
+	for (const file of result.toDelete) {
+		files.push({ path: file.filepath, oldContent: result.remoteMap.get(file.name).content, newContent: null })
+	}
+
+	// Remote items without a local file (push skips the remote fetch when there are no local files)
+	const matchedIds = new Set([...result.unchanged, ...result.toUpdate, ...result.toDelete].map(file => file.id))
+	const conflictedNames = new Set(result.conflicted.flatMap(file => file.nameVariants))
+	let remoteItems = [...new Map([...result.remoteMap.values()].map(remote => [remote.id, remote])).values()]
+	if (result.remoteMap.size === 0) {
+		const listed = filterByAppId(await fetchAllItems(syncType, true), syncType, true)
+		const outcomes = await runPool(listed, item => fetchItemById(syncType, item.id, true), { label: `Fetching ${config.displayNamePlural}`, silent: true })
+		remoteItems = outcomes.filter(outcome => !outcome.error).map(({ value }) => ({
+			id: value.id,
+			originalName: value.name,
+			content: value[config.contentField] || ''
+		}))
+	}
+
+	const rules = loadIgnoreRules()
+	for (const remote of remoteItems) {
+		if (matchedIds.has(remote.id) || conflictedNames.has(remote.originalName)) continue
+		const path = `${dir}/${getLocalFilename({ name: remote.originalName }, config)}`
+		// Ignored remote items are never pulled, so they are not drift
+		if (!isIgnored(path, rules)) {
+			files.push({ path, oldContent: remote.content, newContent: null })
+		}
+	}
+	return files
+}
+
+/**
+ * Collects remote vs local env vars as cx.env contents, if they differ
+ * Like the push plan, only the changed keys are listed and their values are hidden, unless showValues is set.
+ * Even then, values encrypted in cx.env stay encrypted
+ * @param {boolean} showValues - Include the values (--show-values)
+ * @returns {Promise<Array>} The cx.env file when it differs, otherwise none
+ * @throws {Error} If the remote env vars cannot be fetched
+ */
+async function collectEnvDiff(showValues) {
+	const result = await pushEnvVars(true, true)
+	if (!result.success) {
+		throw new Error(result.error)
+	}
+	if (result.toCreate.length + result.toUpdate.length + result.toDelete.length === 0) {
+		return []
+	}
+
+	let remoteEnv = { ...result.remoteEnv }
+	let localEnv = { ...result.localEnv }
+	if (showValues) {
+		// Values encrypted in cx.env are never shown decrypted: an unchanged one shows its ciphertext on both
+		// sides, a changed one its ciphertext locally and a stand-in remotely
+		const stored = readStoredEnvFile()
+		for (const key of Object.keys(localEnv).filter(key => isEncryptedValue(stored[key]))) {
+			if (key in remoteEnv) {
+				remoteEnv[key] = remoteEnv[key] === localEnv[key] ? stored[key] : HIDDEN_REMOTE_VALUE
+			}
+			localEnv[key] = stored[key]
+		}
+	} else {
+		remoteEnv = Object.fromEntries([...result.toUpdate, ...result.toDelete].map(item => [item.key, HIDDEN_REMOTE_VALUE]))
+		localEnv = Object.fromEntries([...result.toCreate, ...result.toUpdate].map(item => [item.key, HIDDEN_LOCAL_VALUE]))
+	}
+	return [{
+		path: ENV_FILE.replace(/^\.\//, ''),
+		oldContent: serializeEnvFile(remoteEnv),
+		newContent: serializeEnvFile(localEnv)
+	}]
+}
+
+/**
+ * Collects remote vs local records of the synced cx.toml sections, if they differ
+ * Records are normalised the same way on both sides, so only real changes show up
+ * @returns {Promise<Array>} The cx.toml file when it differs, otherwise none
+ * @throws {Error} If a section cannot be fetched
+ */
+async function collectConfigDiff() {
+	const remote = {}
+	const local = {}
+	let changed = false
+	for (const [sectionType, sectionConfig] of Object.entries(CONFIG_SECTIONS)) {
+		const result = await pullConfigSection(sectionType, true, true)
+		if (!result.success) {
+			throw new Error(`${sectionConfig.displayNamePlural}: ${result.error}`)
+		}
+		remote[sectionConfig.key] = result.data
+		local[sectionConfig.key] = result.localData.map(record => sectionConfig.toToml(sectionConfig.fromToml(record)))
+		changed = changed || result.diffs.length > 0
+	}
+	if (!changed) {
+		return []
+	}
+	return [{ path: CONFIG_FILE.replace(/^\.\//, ''), oldContent: TOML.stringify(remote), newContent: TOML.stringify(local) }]
+}
+
+/**
+ * Collects every differing file, or only those under a path
+ * @param {string|null} path - Normalized path filter (file or folder)
+ * @param {boolean} showValues - Include env var values (--show-values)
+ * @returns {Promise<{files: Array, errors: Array<{source: string, error: string}>}>} Differing files sorted by path, and per-source errors
+ * @throws {Error} If the path is not a synced file or folder
+ */
+async function collectDiffs(path, showValues) {
+	const envPath = ENV_FILE.replace(/^\.\//, '')
+	const configPath = CONFIG_FILE.replace(/^\.\//, '')
+	const inDir = config => {
+		const dir = config.dir.replace(/^\.\//, '')
+		return path === dir || path.startsWith(`${dir}/`)
+	}
+
+	const syncTypes = Object.keys(SYNC_TYPES).filter(syncType => !path || inDir(SYNC_TYPES[syncType]))
+	if (path && syncTypes.length === 0 && path !== envPath && path !== configPath) {
+		const dirs = Object.values(SYNC_TYPES).map(config => config.dir.replace(/^\.\//, '')).join(', ')
+		throw new Error(`${path} is not a synced path (expected a file or folder in ${dirs}, ${envPath} or ${configPath})`)
+	}
+
+	const files = []
+	const errors = []
+	const collect = async (source, collector) => {
+		try {
+			files.push(...await collector())
+		} catch (error) {
+			errors.push({ source, error: error.message })
+		}
+	}
+	for (const syncType of syncTypes) {
+		await collect(SYNC_TYPES[syncType].displayNamePlural, () => collectFileDiffs(syncType))
+	}
+	if (!path || path === envPath) {
+		await collect('Environment Variables', () => collectEnvDiff(showValues))
+	}
+	if (!path || path === configPath) {
+		await collect(configPath, collectConfigDiff)
+	}
+
+	const matches = file => !path || [file.path, file.oldPath].some(p => p && (p === path || p.startsWith(`${path}/`)))
+	return {
+		files: files.filter(matches).sort((a, b) => a.path.localeCompare(b.path)),
+		errors
+	}
+}
+
+/**
+ * Describes which file a patch is about, for the side-by-side and word views
+ * @param {Object} patch - Structured patch from createFilePatch
+ * @returns {string} e.g. 'src/billing.js (remote → local)' or 'src/new.js (local only)'
+ */
+function describePatch(patch) {
+	const oldName = patch.oldFileName.replace(/^a\//, '')
+	const newName = patch.newFileName.replace(/^b\//, '')
+	if (patch.oldFileName === '/dev/null') return `${newName} (local only)`
+	if (patch.newFileName === '/dev/null') return `${oldName} (remote only)`
+	return `${oldName === newName ? newName : `${oldName} → ${newName}`} (remote → local)`
+}
+
+/**
+ * Prints output through the pager ($PAGER, default less) on an interactive terminal
+ * Falls back to printing directly if the pager cannot be started
+ * @param {string} text - Output to show
+ * @param {boolean} usePager - Whether paging is allowed (false with --no-pager)
+ */
+function page(text, usePager) {
+	if (usePager && process.stdout.isTTY) {
+		const result = spawnSync(process.env.PAGER || 'less', {
+			shell: true,
+			input: text,
+			stdio: ['pipe', 'inherit', 'inherit'],
+			// Like git: let less exit when the output fits on one screen, and keep colors
+			env: { LESS: 'FRX', ...process.env }
+		})
+		if (!result.error) {
+			return
+		}
+	}
+	process.stdout.write(text)
+}
+
+/**
+ * Diff command - shows how local files differ from the remote app ('-' remote, '+' local)
+ * @param {string} [path] - File or folder to compare (e.g. 'src/billing.js', 'query', 'cx.env'); whole app if omitted
+ * @param {Object} options - Command options
+ * @param {string} [options.view] - 'unified' (default), 'side-by-side' or 'word'
+ * @param {string} [options.context] - Number of context lines around each change
+ * @param {string} [options.output] - Write a unified patch to this file instead of printing
+ * @param {boolean} [options.color] - false with --no-color
+ * @param {boolean} [options.pager] - false with --no-pager
+ * @param {boolean} [options.showValues] - Show env var values instead of hiding them
+ * @param {boolean} [options.exitCode] - Exit with code 1 when there are differences (2 on errors)
+ */
+export async function diffAction(path, options) {
+	const silent = options.silent || options.raw || false
+
+	try {
+		const view = options.view || 'unified'
+		if (!VIEWS.includes(view)) {
+			throw new Error(`Unknown view "${view}". Use ${VIEWS.join(', ')}`)
+		}
+		const context = parseInt(options.context ?? 3, 10)
+		if (isNaN(context) || context < 0) {
+			throw new Error('--context must be a number of at least 0')
+		}
+		loadCustomSyncTypes()
+
+		const { files, errors } = await collectDiffs(path ? normalizePath(path) : null, options.showValues || false)
+		const patches = files.map(file => createFilePatch(file, context))
+
+		if (options.output) {
+			// A standard unified patch: 'git apply' or 'patch -p1' turns the remote versions into the local ones
+			const text = patches.flatMap(patch => formatUnified(patch)).join('\n')
+			writeFileSync(options.output, text ? `${text}\n` : '', 'utf-8')
+			if (!silent) {
+				console.log(`💾 Wrote a patch for ${patches.length} file(s) to ${options.output}`)
+			}
+		} else if (patches.length > 0) {
+			const color = options.color !== false && !!process.stdout.isTTY && !process.env.NO_COLOR
+			const width = process.stdout.columns || 120
+			const lines = []
+			for (const patch of patches) {
+				if (view === 'unified') {
+					lines.push(...formatUnified(patch, color))
+					continue
+				}
+				lines.push('═'.repeat(Math.min(width, 70)))
+				lines.push(`📄 ${describePatch(patch)}`)
+				lines.push('─'.repeat(Math.min(width, 70)))
+				lines.push(...(view === 'side-by-side' ? formatSideBySide(patch, width, color) : formatWordDiff(patch, color)))
+			}
+			page(`${lines.join('\n')}\n`, options.pager !== false)
+		} else if (!silent) {
+			console.log(`✨ No differences${path ? ` for ${normalizePath(path)}` : ''} between local and remote.`)
+		}
+
+		errors.forEach(e => console.error(`⚠️  ${e.source}: ${e.error}`))
+		if (options.exitCode) {
+			process.exitCode = errors.length > 0 ? 2 : (patches.length > 0 ? 1 : 0)
+		}
+	} catch (error) {
+		handleError(error.message, silent)
+		process.exitCode = options.exitCode ? 2 : 1
+	}
+}
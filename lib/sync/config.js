@@ -7,10 +7,13 @@ import { existsSync, readFileSync, writeFileSync } from 'fs'
 import * as TOML from '@iarna/toml'
 import { makeAuthenticatedRequest } from '../utils.js'
 import { CONFIG_FILE } from './constants.js'
+import { readManifest, updateManifest, hashContent, getRemoteTimestamp, isRemoteModified, getActiveStage } from './state.js'
+import { runPool } from './pool.js'
 
 /**
  * Configuration for different config sections that can be synced
- * Each section maps to a remote endpoint and has transformation functions
+ * Each section maps to a remote endpoint and has transformation functions, and a schema
+ * for the fields of its cx.toml records (see validate.js)
  */
 export const CONFIG_SECTIONS = {
 	domain: {
@@ -19,6 +22,20 @@ export const CONFIG_SECTIONS = {
 		displayName: 'Domain',
 		displayNamePlural: 'Domains',
 		icon: '🌐',
+		// Fields of each [[domain]] table, checked by cx validate and before every push
+		schema: {
+			domain: {
+				type: 'string',
+				required: true,
+				pattern: /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i,
+				expected: 'a host name such as app.example.com'
+			},
+			framework_version: {
+				type: 'string',
+				pattern: /^(latest|v?\d+(\.\d+){0,2})$/,
+				expected: '"latest" or a version number such as 2.1'
+			}
+		},
 		/**
 		 * Transform remote data to TOML format
 		 * @param {Object} remoteData - Data from the API
@@ -89,27 +106,160 @@ export function writeConfigFile(config) {
 	writeFileSync(CONFIG_FILE, content, 'utf-8')
 }
 
+/**
+ * Gets the [stage.<name>] table of the active stage
+ * @param {Object} config - Parsed cx.toml
+ * @returns {Object|null} Stage table, or null without an active stage
+ */
+function getStageTable(config) {
+	const stage = getActiveStage()
+	return stage ? (config.stage?.[stage] || {}) : null
+}
+
+/**
+ * Serializes config records for comparison, ignoring the order of their keys
+ * @param {Array|Object} [records] - Section data
+ * @returns {string} Comparable text
+ */
+function canonicalRecords(records) {
+	return JSON.stringify([].concat(records || []).map(record => Object.fromEntries(Object.entries(record).sort(([a], [b]) => a.localeCompare(b)))))
+}
+
 /**
  * Read a specific section from cx.toml
+ * With an active stage that overrides the section (e.g. [[stage.production.domain]]), the stage's records replace the base ones
  * @param {string} sectionKey - The section key (e.g., 'domain')
  * @returns {Array|Object|null} Section data or null if not found
  */
 export function readConfigSection(sectionKey) {
 	const config = readConfigFile()
+	const stageTable = getStageTable(config)
+	if (stageTable && stageTable[sectionKey] !== undefined) {
+		return stageTable[sectionKey]
+	}
 	return config[sectionKey] || null
 }
 
 /**
  * Write a specific section to cx.toml, preserving other sections
+ * With an active stage the section is written to the stage's table, unless the stage
+ * does not override it and the base section already holds the same records
  * @param {string} sectionKey - The section key (e.g., 'domain')
  * @param {Array|Object} data - Data to write to the section
  */
 export function writeConfigSection(sectionKey, data) {
 	const config = readConfigFile()
-	config[sectionKey] = data
+	const stageTable = getStageTable(config)
+	if (!stageTable) {
+		config[sectionKey] = data
+	} else if (stageTable[sectionKey] !== undefined || canonicalRecords(config[sectionKey]) !== canonicalRecords(data)) {
+		config.stage = { ...config.stage, [getActiveStage()]: { ...stageTable, [sectionKey]: data } }
+	} else {
+		return
+	}
 	writeConfigFile(config)
 }
 
+/**
+ * Hashes a config record (in TOML form) for change detection
+ * @param {Object} record - Record as returned by toToml
+ * @returns {string} Content hash
+ */
+export function hashConfigRecord(record) {
+	return hashContent(JSON.stringify(record))
+}
+
+/**
+ * Records remote config records as in sync in the manifest, with the ID of the remote record
+ * @param {Object} sectionConfig - Section configuration
+ * @param {Array<{toml: Object, raw: Object, from?: string}>} records - Records now in sync
+ *   (from is the previous identifier of a renamed record, whose entry is replaced)
+ * @param {boolean} [replace] - Replace the whole section instead of merging records into it
+ */
+function recordConfigSync(sectionConfig, records, replace = false) {
+	updateManifest(manifest => {
+		const section = replace ? {} : (manifest.config[sectionConfig.key] || {})
+		for (const { toml, raw, from } of records) {
+			if (from !== undefined) {
+				delete section[from]
+			}
+			section[sectionConfig.getId(toml)] = {
+				hash: hashConfigRecord(toml),
+				updated: getRemoteTimestamp(raw),
+				...(raw?.id !== undefined ? { remoteId: raw.id } : {})
+			}
+		}
+		manifest.config[sectionConfig.key] = section
+	})
+}
+
+/**
+ * Removes deleted config records from the manifest
+ * @param {Object} sectionConfig - Section configuration
+ * @param {Array<string>} ids - Record identifiers deleted remotely
+ */
+function forgetConfigSync(sectionConfig, ids) {
+	if (ids.length === 0) {
+		return
+	}
+	updateManifest(manifest => {
+		const section = manifest.config[sectionConfig.key] || {}
+		ids.forEach(id => delete section[id])
+		manifest.config[sectionConfig.key] = section
+	})
+}
+
+/**
+ * Finds the remote record a synced config record was synced as: by the remote ID recorded
+ * in the manifest, or by its identifier for records synced before IDs were recorded
+ * @param {string} id - Record identifier at the last sync (e.g. the domain)
+ * @param {Object} entry - Manifest entry of the record
+ * @param {Array<{id: string, toml: Object, raw: Object}>} remoteRecords - Remote records
+ * @returns {{id: string, toml: Object, raw: Object}|undefined} Remote record, if it still exists
+ */
+function findSyncedRemote(id, entry, remoteRecords) {
+	if (entry.remoteId !== undefined) {
+		return remoteRecords.find(remote => String(remote.raw.id) === String(entry.remoteId))
+	}
+	return remoteRecords.find(remote => remote.id === id)
+}
+
+/**
+ * Checks whether a new local record could be a rename of a removed one: every field but the identifier is the same
+ * @param {Object} sectionConfig - Section configuration
+ * @param {Object} localItem - New local record
+ * @param {Object} removedItem - Removed record (in TOML form)
+ * @returns {boolean} True if only the identifier differs
+ */
+function isConfigRename(sectionConfig, localItem, removedItem) {
+	const fields = record => {
+		const id = sectionConfig.getId(record)
+		return Object.entries(sectionConfig.toToml(sectionConfig.fromToml(record)))
+			.filter(([, value]) => value !== id)
+			.sort(([a], [b]) => a.localeCompare(b))
+	}
+	return JSON.stringify(fields(localItem)) === JSON.stringify(fields(removedItem))
+}
+
+/**
+ * Finds the synced record a new local record was renamed from
+ * A removed record counts only if nothing but the identifier changed, and the pair is unambiguous: no other
+ * removed record matches the new one, and no other new record matches the removed one
+ * @param {Object} sectionConfig - Section configuration
+ * @param {Object} localItem - New local record
+ * @param {Array<Object>} newItems - Every new local record
+ * @param {Array<{id: string, remote: Object}>} candidates - Synced records removed from cx.toml that still exist remotely
+ * @returns {{id: string, remote: Object}|null} Renamed record, or null if the new record is not a rename
+ */
+function findConfigRenameSource(sectionConfig, localItem, newItems, candidates) {
+	const sources = candidates.filter(candidate => isConfigRename(sectionConfig, localItem, candidate.remote.toml))
+	if (sources.length !== 1) {
+		return null
+	}
+	const targets = newItems.filter(item => isConfigRename(sectionConfig, item, sources[0].remote.toml))
+	return targets.length === 1 ? sources[0] : null
+}
+
 /**
  * Fetch remote config data for a section
  * @param {string} sectionType - Section type from CONFIG_SECTIONS
@@ -181,6 +331,7 @@ export async function pullConfigSection(sectionType, silent = false, previewOnly
 
 	// Write to config file
 	writeConfigSection(sectionConfig.key, remoteData)
+	recordConfigSync(sectionConfig, remoteData.map((toml, i) => ({ toml, raw: remoteResult.data[i] })), true)
 
 	return {
 		success: true,
@@ -193,12 +344,20 @@ export async function pullConfigSection(sectionType, silent = false, previewOnly
 
 /**
  * Push config from cx.toml to remote
+ * Updates and deletions are flagged with remoteModified when the remote record changed since the last pull or push.
+ * Records removed from cx.toml since the last sync are listed in toDelete, and only deleted remotely with prune;
+ * records added remotely since then are never deleted. A new record that differs from a removed one only in its
+ * identifier is a rename: it is listed in toUpdate with renamedFrom, so the remote record (and its ID) is updated
+ * instead of recreated
  * @param {string} sectionType - Section type from CONFIG_SECTIONS
  * @param {boolean} silent - Whether to suppress output
  * @param {boolean} previewOnly - If true, only analyze without pushing
- * @returns {Promise<{success: boolean, toCreate?: Array, toUpdate?: Array, toDelete?: Array, error?: string}>}
+ * @param {Object} [options] - Additional push options
+ * @param {Array<string>} [options.skipIds] - Record identifiers to leave untouched remotely
+ * @param {boolean} [options.prune] - Delete the records in toDelete remotely
+ * @returns {Promise<{success: boolean, toCreate?: Array, toUpdate?: Array, toDelete?: Array, applied?: Array, error?: string}>}
  */
-export async function pushConfigSection(sectionType, silent = false, previewOnly = false) {
+export async function pushConfigSection(sectionType, silent = false, previewOnly = false, options = {}) {
 	const sectionConfig = CONFIG_SECTIONS[sectionType]
 	if (!sectionConfig) {
 		return { success: false, error: `Unknown config section: ${sectionType}` }
@@ -208,7 +367,9 @@ export async function pushConfigSection(sectionType, silent = false, previewOnly
 	const localData = readConfigSection(sectionConfig.key) || []
 	const localArray = Array.isArray(localData) ? localData : [localData].filter(d => Object.keys(d).length > 0)
 
-	if (localArray.length === 0) {
+	// Calculate what needs to be created/updated/deleted
+	const syncState = readManifest().config[sectionConfig.key] || {}
+	if (localArray.length === 0 && Object.keys(syncState).length === 0) {
 		return {
 			success: true,
 			toCreate: [],
@@ -225,51 +386,77 @@ export async function pushConfigSection(sectionType, silent = false, previewOnly
 	}
 
 	const remoteData = remoteResult.data.map(item => sectionConfig.toToml(item))
-	const remoteRaw = remoteResult.data
+	const remoteRecords = remoteData.map((toml, i) => ({ id: sectionConfig.getId(toml), toml, raw: remoteResult.data[i] }))
+	const remoteById = new Map(remoteRecords.map(remote => [remote.id, remote]))
 
-	// Calculate what needs to be created/updated/deleted
-	const toCreate = []
-	const toUpdate = []
-	const toDelete = []
-
-	// Build remote lookup by ID
-	const remoteById = new Map()
-	for (let i = 0; i < remoteData.length; i++) {
-		const id = sectionConfig.getId(remoteData[i])
-		remoteById.set(id, { toml: remoteData[i], raw: remoteRaw[i] })
-	}
+	let toCreate = []
+	let toUpdate = []
+	let toDelete = []
 
-	// Check local items
+	// Local records matching a remote record by identifier
+	const matched = new Set()
+	const unmatched = []
 	for (const localItem of localArray) {
 		const id = sectionConfig.getId(localItem)
 		const remote = remoteById.get(id)
-
 		if (!remote) {
-			// New item to create
-			toCreate.push({
-				id,
-				local: localItem,
-				payload: sectionConfig.fromToml(localItem)
-			})
-		} else if (!sectionConfig.isEqual(localItem, remote.toml)) {
-			// Item needs update
+			unmatched.push(localItem)
+			continue
+		}
+		matched.add(remote)
+		if (!sectionConfig.isEqual(localItem, remote.toml)) {
 			toUpdate.push({
 				id,
 				local: localItem,
 				remote: remote.toml,
 				remoteRaw: remote.raw,
+				payload: sectionConfig.fromToml(localItem),
+				remoteModified: isRemoteModified(syncState[id], hashConfigRecord(remote.toml))
+			})
+		}
+	}
+
+	// Records synced before that are no longer in cx.toml, and still exist remotely
+	const localIds = new Set(localArray.map(item => sectionConfig.getId(item)))
+	const removed = Object.entries(syncState)
+		.filter(([id]) => !localIds.has(id))
+		.map(([id, entry]) => ({ id, entry, remote: findSyncedRemote(id, entry, remoteRecords) }))
+		.filter(item => item.remote && !matched.has(item.remote))
+
+	// New local records replacing a removed one are renames, the others are created (a removed record
+	// that is not renamed stays in toDelete, so it is only deleted with prune)
+	for (const localItem of unmatched) {
+		const id = sectionConfig.getId(localItem)
+		const source = findConfigRenameSource(sectionConfig, localItem, unmatched, removed)
+		if (!source) {
+			toCreate.push({
+				id,
+				local: localItem,
 				payload: sectionConfig.fromToml(localItem)
 			})
+			continue
 		}
-		remoteById.delete(id)
+		removed.splice(removed.indexOf(source), 1)
+		toUpdate.push({
+			id,
+			renamedFrom: source.id,
+			local: localItem,
+			remote: source.remote.toml,
+			remoteRaw: source.remote.raw,
+			payload: sectionConfig.fromToml(localItem),
+			remoteModified: isRemoteModified(source.entry, hashConfigRecord(source.remote.toml))
+		})
 	}
 
-	// Remaining remote items are to be deleted (if we want to support deletion)
-	// For now, we don't delete remote items that aren't in local config
-	// Uncomment below if deletion is desired:
-	// for (const [id, remote] of remoteById) {
-	//     toDelete.push({ id, remote: remote.toml, remoteRaw: remote.raw })
-	// }
+	// The rest were removed from cx.toml
+	for (const { id, entry, remote } of removed) {
+		toDelete.push({
+			id,
+			remote: remote.toml,
+			remoteRaw: remote.raw,
+			remoteModified: isRemoteModified(entry, hashConfigRecord(remote.toml))
+		})
+	}
 
 	if (previewOnly) {
 		return {
@@ -283,19 +470,32 @@ export async function pushConfigSection(sectionType, silent = false, previewOnly
 		}
 	}
 
+	// Leave skipped records untouched
+	const skipIds = new Set(options.skipIds || [])
+	toCreate = toCreate.filter(item => !skipIds.has(item.id))
+	toUpdate = toUpdate.filter(item => !skipIds.has(item.id))
+	toDelete = options.prune ? toDelete.filter(item => !skipIds.has(item.id)) : []
+
 	// Execute push operations
 	const appId = process.env.APP_ID
 	let successCount = 0
 	let failCount = 0
 	const errors = []
+	const synced = []
+	// Applied changes with the previous remote record, so an atomic push can revert them
+	const applied = []
 
 	// Process creates
-	for (const item of toCreate) {
-		const body = { ...item.payload, app_id: appId }
-		const result = await makeAuthenticatedRequest(sectionConfig.endpoint, 'POST', body, silent)
-		
+	const createOutcomes = await runPool(toCreate, item => makeAuthenticatedRequest(sectionConfig.endpoint, 'POST', { ...item.payload, app_id: appId }, true), {
+		label: `Creating ${sectionConfig.displayNamePlural}`,
+		silent
+	})
+	toCreate.forEach((item, i) => {
+		const result = createOutcomes[i].value
 		if (result.success) {
 			successCount++
+			synced.push({ toml: sectionConfig.toToml(item.payload), raw: result.data })
+			applied.push({ action: 'create', id: item.id, remoteId: result.data?.id })
 			if (!silent) {
 				console.log(`✅ Created ${sectionConfig.displayName}: ${item.id}`)
 			}
@@ -306,19 +506,23 @@ export async function pushConfigSection(sectionType, silent = false, previewOnly
 				console.error(`❌ Failed to create ${sectionConfig.displayName} ${item.id}: ${result.error}`)
 			}
 		}
-	}
-
-	// Process updates
-	for (const item of toUpdate) {
-		const body = { ...item.payload, app_id: appId }
-		// For domain, we PUT to the base endpoint since domain is the identifier
-		const endpoint = sectionConfig.endpoint
-		const result = await makeAuthenticatedRequest(endpoint, 'PUT', body, silent)
-		
+	})
+
+	// Process updates (and renames) on the remote record they were matched with
+	const updateOutcomes = await runPool(toUpdate, item => makeAuthenticatedRequest(`${sectionConfig.endpoint}/${item.remoteRaw.id}`, 'PUT', { ...item.payload, app_id: appId }, true), {
+		label: `Updating ${sectionConfig.displayNamePlural}`,
+		silent
+	})
+	toUpdate.forEach((item, i) => {
+		const result = updateOutcomes[i].value
 		if (result.success) {
 			successCount++
+			synced.push({ toml: sectionConfig.toToml(item.payload), raw: { ...result.data, id: item.remoteRaw.id }, from: item.renamedFrom })
+			applied.push({ action: 'update', id: item.id, remoteId: item.remoteRaw.id, previous: item.remote })
 			if (!silent) {
-				console.log(`✅ Updated ${sectionConfig.displayName}: ${item.id}`)
+				console.log(item.renamedFrom
+					? `✅ Renamed ${sectionConfig.displayName}: ${item.renamedFrom} → ${item.id}`
+					: `✅ Updated ${sectionConfig.displayName}: ${item.id}`)
 			}
 		} else {
 			failCount++
@@ -327,7 +531,34 @@ export async function pushConfigSection(sectionType, silent = false, previewOnly
 				console.error(`❌ Failed to update ${sectionConfig.displayName} ${item.id}: ${result.error}`)
 			}
 		}
-	}
+	})
+
+	// Process deletions (--prune)
+	const deleted = []
+	const deleteOutcomes = await runPool(toDelete, item => makeAuthenticatedRequest(`${sectionConfig.endpoint}/${item.remoteRaw.id}`, 'DELETE', null, true), {
+		label: `Deleting ${sectionConfig.displayNamePlural}`,
+		silent
+	})
+	toDelete.forEach((item, i) => {
+		const result = deleteOutcomes[i].value
+		if (result.success) {
+			successCount++
+			deleted.push(item.id)
+			applied.push({ action: 'delete', id: item.id, previous: item.remote })
+			if (!silent) {
+				console.log(`🗑️  Deleted ${sectionConfig.displayName}: ${item.id}`)
+			}
+		} else {
+			failCount++
+			errors.push({ id: item.id, error: result.error })
+			if (!silent) {
+				console.error(`❌ Failed to delete ${sectionConfig.displayName} ${item.id}: ${result.error}`)
+			}
+		}
+	})
+
+	recordConfigSync(sectionConfig, synced)
+	forgetConfigSync(sectionConfig, deleted)
 
 	return {
 		success: failCount === 0,
@@ -336,7 +567,8 @@ export async function pushConfigSection(sectionType, silent = false, previewOnly
 		toDelete,
 		successCount,
 		failCount,
-		errors
+		errors,
+		applied
 	}
 }
 
@@ -7,6 +7,19 @@ export const QUERY_DIR = './query'
 export const TEMPLATE_DIR = './template'
 export const ENV_FILE = './cx.env'
 export const CONFIG_FILE = './cx.toml'
+export const IGNORE_FILE = './.cxignore'
+
+// Local sync state (last-synced base copies, manifest, snapshots); each stage keeps its own under stages/<name>
+export const STATE_DIR = './.cx'
+
+// Exit codes for pull and push, so CI pipelines can tell partial failures apart
+export const EXIT_CODES = {
+	SUCCESS: 0,
+	// Nothing was applied (bad options, auth/network error, or every item failed)
+	ERROR: 1,
+	// Some items failed, were skipped or were left with merge conflicts
+	PARTIAL: 2
+}
 
 // Configuration for different sync types
 export const SYNC_TYPES = {
@@ -17,7 +30,12 @@ export const SYNC_TYPES = {
 		contentField: 'code',
 		displayName: 'ScriptForge script',
 		displayNamePlural: 'ScriptForge scripts',
-		icon: '📜'
+		icon: '📜',
+		// Fields besides name and content kept in [meta] tables of cx.toml
+		metaFields: ['type', 'description'],
+		metaDefaults: { type: 'quickjs' },
+		// Script types synced as files ([sync] script_types in cx.toml overrides this)
+		itemTypes: ['quickjs', 'debug']
 	},
 	query: {
 		dir: QUERY_DIR,
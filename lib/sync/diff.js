@@ -2,7 +2,7 @@
  * Diff display utilities for sync operations
  */
 
-import { createTwoFilesPatch } from 'diff'
+import { createTwoFilesPatch, structuredPatch, diffWordsWithSpace } from 'diff'
 
 /**
  * Colorizes diff output for better readability
@@ -76,11 +76,17 @@ export async function showPullDiffs(itemsWithDiffs, showDiffs = false) {
 		return true
 	}
 	
-	// Show diffs
+	// Show diffs against what will actually be written (merged content when a base copy exists)
 	console.log(`\n📋 Showing diffs for ${itemsWithDiffs.length} file(s) that will be updated:\n`)
 	
 	for (const item of itemsWithDiffs) {
-		displayDiff(item.filename, item.localContent, item.remoteContent, 'Local (current)', 'Remote (will download)')
+		const newContent = item.newContent !== undefined ? item.newContent : item.remoteContent
+		if (newContent === item.localContent) {
+			console.log(`\n📄 ${item.filename}: only local changes, file will be kept as is`)
+			continue
+		}
+		const isMerge = item.mergeStatus === 'merge' || item.mergeStatus === 'conflict'
+		displayDiff(item.filename, item.localContent, newContent, 'Local (current)', isMerge ? 'Merged (will write)' : 'Remote (will download)')
 	}
 	
 	return true
@@ -101,7 +107,8 @@ export async function showPushDiffs(filesToUpdate, remoteMap, showDiffs = false)
 	console.log(`\n📋 Showing diffs for ${filesToUpdate.length} file(s) that will be updated:\n`)
 	
 	for (const file of filesToUpdate) {
-		const remote = remoteMap.get(file.name)
+		// Renamed files are stored under their previous remote name
+		const remote = remoteMap.get(file.remoteName || file.name)
 		if (remote) {
 			displayDiff(file.filename, remote.content, file.content, 'Remote (current)', 'Local (will upload)')
 		}
@@ -172,3 +179,165 @@ export function displayEnvPushDiffs(changes, remoteEnv) {
 	
 	console.log('═'.repeat(70))
 }
+
+const COLORS = { red: '\x1b[31m', green: '\x1b[32m', cyan: '\x1b[36m', bold: '\x1b[1m' }
+
+/**
+ * Wraps text in an ANSI color
+ * @param {string} text - Text to color
+ * @param {string} name - Color name from COLORS
+ * @param {boolean} color - Whether to color at all
+ * @returns {string} Colored (or unchanged) text
+ */
+function paint(text, name, color) {
+	return color && text ? `${COLORS[name]}${text}\x1b[0m` : text
+}
+
+/**
+ * Compares two versions of a file for a patch (old = remote, new = local)
+ * A missing version is compared as empty and labelled /dev/null, as in git patches
+ * @param {Object} file - File to compare
+ * @param {string} file.path - Path of the new version (e.g. 'src/billing.js')
+ * @param {string} [file.oldPath] - Path of the old version when it differs (renames)
+ * @param {string|null} file.oldContent - Old content, or null if the file did not exist
+ * @param {string|null} file.newContent - New content, or null if the file was deleted
+ * @param {number} [context] - Number of context lines around each change
+ * @returns {{oldFileName: string, newFileName: string, hunks: Array}} Structured patch
+ */
+export function createFilePatch(file, context = 3) {
+	return structuredPatch(
+		file.oldContent === null ? '/dev/null' : `a/${file.oldPath || file.path}`,
+		file.newContent === null ? '/dev/null' : `b/${file.path}`,
+		file.oldContent || '',
+		file.newContent || '',
+		undefined,
+		undefined,
+		{ context }
+	)
+}
+
+/**
+ * Formats a hunk header with line ranges as in standard unified diffs (an empty range starts one line earlier)
+ * @param {Object} hunk - Hunk from a structured patch
+ * @returns {string} e.g. '@@ -1,3 +1,4 @@'
+ */
+function formatHunkHeader(hunk) {
+	const range = (start, lines) => lines === 0 ? `${start - 1},0` : lines === 1 ? `${start}` : `${start},${lines}`
+	return `@@ -${range(hunk.oldStart, hunk.oldLines)} +${range(hunk.newStart, hunk.newLines)} @@`
+}
+
+/**
+ * Formats a structured patch as a unified diff, applicable with git apply or patch -p1
+ * @param {Object} patch - Structured patch from createFilePatch
+ * @param {boolean} [color] - Whether to color the lines
+ * @returns {Array<string>} Output lines
+ */
+export function formatUnified(patch, color = false) {
+	const lines = [`--- ${patch.oldFileName}`, `+++ ${patch.newFileName}`]
+	for (const hunk of patch.hunks) {
+		lines.push(formatHunkHeader(hunk), ...hunk.lines)
+	}
+	return color ? lines.map(colorizeDiffLine) : lines
+}
+
+/**
+ * Formats a structured patch as two columns (old left, new right), sdiff style:
+ * '|' marks a changed line, '<' a line only on the left and '>' a line only on the right
+ * @param {Object} patch - Structured patch from createFilePatch
+ * @param {number} width - Total output width in characters
+ * @param {boolean} [color] - Whether to color the lines
+ * @returns {Array<string>} Output lines
+ */
+export function formatSideBySide(patch, width, color = false) {
+	const half = Math.max(20, Math.floor((width - 3) / 2))
+	const cell = (side, colorName) => {
+		if (!side) return ' '.repeat(half)
+		const text = `${String(side.number).padStart(4)} ${side.text.replace(/\t/g, '    ')}`
+		const fitted = text.length > half ? `${text.slice(0, half - 1)}…` : text.padEnd(half)
+		return paint(fitted, colorName, color)
+	}
+
+	const lines = []
+	for (const hunk of patch.hunks) {
+		lines.push(paint(formatHunkHeader(hunk), 'cyan', color))
+		let oldNumber = hunk.oldStart
+		let newNumber = hunk.newStart
+		let removed = []
+		let added = []
+		const flush = () => {
+			for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+				const marker = removed[i] && added[i] ? '|' : removed[i] ? '<' : '>'
+				lines.push(`${cell(removed[i], 'red')} ${marker} ${cell(added[i], 'green')}`.trimEnd())
+			}
+			removed = []
+			added = []
+		}
+
+		for (const line of hunk.lines) {
+			if (line.startsWith('-')) {
+				removed.push({ number: oldNumber++, text: line.slice(1) })
+			} else if (line.startsWith('+')) {
+				added.push({ number: newNumber++, text: line.slice(1) })
+			} else if (line.startsWith(' ')) {
+				flush()
+				const text = line.slice(1)
+				lines.push(`${cell({ number: oldNumber++, text })}   ${cell({ number: newNumber++, text })}`.trimEnd())
+			}
+			// '\ No newline at end of file' markers are left out
+		}
+		flush()
+	}
+	return lines
+}
+
+/**
+ * Formats a structured patch as a word-level diff: changed lines are shown once,
+ * with removed words in red and added words in green ([-removed-]{+added+} without color, as git --word-diff)
+ * @param {Object} patch - Structured patch from createFilePatch
+ * @param {boolean} [color] - Whether to color the lines
+ * @returns {Array<string>} Output lines
+ */
+export function formatWordDiff(patch, color = false) {
+	const mark = (text, part) => {
+		if (!text || (!part.added && !part.removed)) return text
+		if (color) return paint(text, part.added ? 'green' : 'red', true)
+		return part.added ? `{+${text}+}` : `[-${text}-]`
+	}
+
+	const lines = []
+	for (const hunk of patch.hunks) {
+		lines.push(paint(formatHunkHeader(hunk), 'cyan', color))
+		let removed = []
+		let added = []
+		const flush = () => {
+			if (removed.length === 0 && added.length === 0) return
+			let current = ''
+			for (const part of diffWordsWithSpace(removed.join('\n'), added.join('\n'))) {
+				// Mark each line of a multi-line change separately, so colors never span lines
+				part.value.split('\n').forEach((segment, i) => {
+					if (i > 0) {
+						lines.push(current)
+						current = ''
+					}
+					current += mark(segment, part)
+				})
+			}
+			lines.push(current)
+			removed = []
+			added = []
+		}
+
+		for (const line of hunk.lines) {
+			if (line.startsWith('-')) {
+				removed.push(line.slice(1))
+			} else if (line.startsWith('+')) {
+				added.push(line.slice(1))
+			} else if (line.startsWith(' ')) {
+				flush()
+				lines.push(line.slice(1))
+			}
+		}
+		flush()
+	}
+	return lines
+}
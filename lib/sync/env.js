@@ -6,6 +6,9 @@ import { existsSync, writeFileSync, readFileSync } from 'fs'
 import dotenv from 'dotenv'
 import { makeAuthenticatedRequest } from '../utils.js'
 import { ENV_FILE } from './constants.js'
+import { readManifest, updateManifest, hashContent, isRemoteModified, getActiveStage } from './state.js'
+import { runPool } from './pool.js'
+import { decryptEnvValues, encryptEnvValues } from './secrets.js'
 
 /**
  * Parse cx.env file content into an object
@@ -68,22 +71,95 @@ export async function fetchRemoteEnvVars(silent = false) {
 }
 
 /**
- * Read local cx.env file
+ * Gets the env overlay file of a stage
+ * @param {string} stage - Stage name
+ * @returns {string} e.g. './cx.production.env'
+ */
+export function getStageEnvFile(stage) {
+	return ENV_FILE.replace(/\.env$/, `.${stage}.env`)
+}
+
+/**
+ * Reads and parses an env file, leaving encrypted values as they are written
+ * @param {string} file - File path
+ * @returns {Object} Key-value pairs or empty object if the file doesn't exist
+ */
+function readRawEnvFile(file) {
+	if (!existsSync(file)) {
+		return {}
+	}
+	return parseEnvFile(readFileSync(file, 'utf-8'))
+}
+
+/**
+ * Reads and parses an env file, decrypting enc:... values
+ * @param {string} file - File path
+ * @returns {Object} Key-value pairs or empty object if the file doesn't exist
+ * @throws {Error} If an encrypted value cannot be decrypted
+ */
+function readEnvFile(file) {
+	return decryptEnvValues(readRawEnvFile(file), file)
+}
+
+/**
+ * Read local cx.env file, with encrypted values decrypted
+ * With an active stage, the values of its overlay (e.g. cx.production.env) replace those of cx.env
  * @returns {Object} Key-value pairs or empty object if file doesn't exist
  */
 export function readLocalEnvFile() {
-	if (!existsSync(ENV_FILE)) {
-		return {}
+	const stage = getActiveStage()
+	return stage ? { ...readEnvFile(ENV_FILE), ...readEnvFile(getStageEnvFile(stage)) } : readEnvFile(ENV_FILE)
+}
+
+/**
+ * Read local cx.env file as it is written, leaving encrypted values encrypted
+ * With an active stage, the values of its overlay (e.g. cx.production.env) replace those of cx.env
+ * @returns {Object} Key-value pairs or empty object if file doesn't exist
+ */
+export function readStoredEnvFile() {
+	const stage = getActiveStage()
+	return stage ? { ...readRawEnvFile(ENV_FILE), ...readRawEnvFile(getStageEnvFile(stage)) } : readRawEnvFile(ENV_FILE)
+}
+
+/**
+ * Writes the env vars of the active stage to its overlay file
+ * Keys the overlay sets, or whose value differs from cx.env, go to the overlay; cx.env is shared by every
+ * stage, so it is left as it is
+ * @param {string} stage - Stage name
+ * @param {Object} envObj - Key-value pairs of the stage
+ * @returns {Array<string>} Keys set in cx.env that the stage no longer has
+ */
+function writeStageEnvFile(stage, envObj) {
+	const file = getStageEnvFile(stage)
+	const baseEnv = readEnvFile(ENV_FILE)
+	const stageEnv = readEnvFile(file)
+
+	const overlay = {}
+	for (const [key, value] of Object.entries(envObj)) {
+		if (key in stageEnv || baseEnv[key] !== value) {
+			overlay[key] = value
+		}
+	}
+	if (existsSync(file) || Object.keys(overlay).length > 0) {
+		const previous = { ...readRawEnvFile(ENV_FILE), ...readRawEnvFile(file) }
+		writeFileSync(file, serializeEnvFile(encryptEnvValues(overlay, previous)), 'utf-8')
 	}
-	const content = readFileSync(ENV_FILE, 'utf-8')
-	return parseEnvFile(content)
+	return Object.keys(baseEnv).filter(key => envObj[key] === undefined)
 }
 
 /**
  * Write local cx.env file
+ * Values that were encrypted, or match [env] encrypt in cx.toml, are written encrypted.
+ * With an active stage, the values go to its overlay file (see writeStageEnvFile)
  * @param {Object} envObj - Key-value pairs
+ * @returns {Array<string>} Keys set in cx.env that the stage no longer has (always empty without a stage)
  */
 export function writeLocalEnvFile(envObj) {
+	const stage = getActiveStage()
+	if (stage) {
+		return writeStageEnvFile(stage, envObj)
+	}
+
 	// If no env vars, create an example file
 	if (Object.keys(envObj).length === 0) {
 		const exampleContent = [
@@ -97,11 +173,12 @@ export function writeLocalEnvFile(envObj) {
 			''
 		].join('\n')
 		writeFileSync(ENV_FILE, exampleContent, 'utf-8')
-		return
+		return []
 	}
 	
-	const content = serializeEnvFile(envObj)
+	const content = serializeEnvFile(encryptEnvValues(envObj, readRawEnvFile(ENV_FILE)))
 	writeFileSync(ENV_FILE, content, 'utf-8')
+	return []
 }
 
 /**
@@ -127,6 +204,20 @@ export function removeLocalEnvKey(key) {
 	}
 }
 
+/**
+ * Records remote env vars as in sync in the manifest
+ * @param {Array} rawData - Remote env var records ({id, key, value})
+ */
+function recordEnvSync(rawData) {
+	updateManifest(manifest => {
+		manifest.env = {}
+		for (const item of rawData) {
+			manifest.env[item.key] = { id: item.id, hash: hashContent(item.value) }
+		}
+		manifest.envSyncedAt = new Date().toISOString()
+	})
+}
+
 /**
  * Pull environment variables from remote to local cx.env file
  * @param {boolean} silent - Whether to suppress output
@@ -168,18 +259,25 @@ export async function pullEnvVars(silent = false, preview = false) {
 	}
 	
 	// Write remote env to local file
-	writeLocalEnvFile(remoteEnv)
+	const baseOnly = writeLocalEnvFile(remoteEnv)
+	recordEnvSync(remoteResult.rawData)
+	if (baseOnly.length > 0 && !silent) {
+		console.log(`⚠️  Not set on stage ${getActiveStage()} but kept in cx.env, which every stage shares: ${baseOnly.join(', ')}. The next push recreates them unless you remove them from cx.env.`)
+	}
 	
 	return { success: true, remoteEnv, localEnv, pulled: remoteKeys.length, total: remoteKeys.length, diffs }
 }
 
 /**
  * Push environment variables from local cx.env file to remote
+ * Updates and deletes are flagged with remoteModified when the remote value changed since the last pull or push
  * @param {boolean} silent - Whether to suppress output
  * @param {boolean} preview - If true, only analyze what would be pushed
- * @returns {Promise<Object>} Results with changes to make
+ * @param {Object} [options] - Additional push options
+ * @param {Array<string>} [options.skipKeys] - Keys to leave untouched remotely
+ * @returns {Promise<Object>} Results with changes to make (and, after pushing, applied changes with previous values)
  */
-export async function pushEnvVars(silent = false, preview = false) {
+export async function pushEnvVars(silent = false, preview = false, options = {}) {
 	const appId = process.env.APP_ID
 	if (!appId) {
 		return { success: false, error: 'No APP_ID configured', toCreate: [], toUpdate: [], toDelete: [] }
@@ -201,9 +299,10 @@ export async function pushEnvVars(silent = false, preview = false) {
 		remoteIdMap[item.key] = item.id
 	}
 	
-	const toCreate = []
-	const toUpdate = []
-	const toDelete = []
+	const manifest = readManifest()
+	let toCreate = []
+	let toUpdate = []
+	let toDelete = []
 	
 	// Find what needs to be created or updated
 	for (const key of Object.keys(localEnv)) {
@@ -213,14 +312,20 @@ export async function pushEnvVars(silent = false, preview = false) {
 		if (remoteVal === undefined) {
 			toCreate.push({ key, value: localVal })
 		} else if (remoteVal !== localVal) {
-			toUpdate.push({ key, value: localVal, id: remoteIdMap[key] })
+			const remoteModified = isRemoteModified(manifest.env[key], hashContent(remoteVal))
+			toUpdate.push({ key, value: localVal, id: remoteIdMap[key], remoteModified })
 		}
 	}
 	
 	// Find what needs to be deleted (exists remote but not local)
 	for (const key of Object.keys(remoteEnv)) {
 		if (localEnv[key] === undefined) {
-			toDelete.push({ key, id: remoteIdMap[key] })
+			// A key we never synced was added remotely after our last pull
+			const entry = manifest.env[key]
+			const remoteModified = entry
+				? isRemoteModified(entry, hashContent(remoteEnv[key]))
+				: !!manifest.envSyncedAt
+			toDelete.push({ key, id: remoteIdMap[key], remoteModified })
 		}
 	}
 	
@@ -228,43 +333,79 @@ export async function pushEnvVars(silent = false, preview = false) {
 		return { success: true, toCreate, toUpdate, toDelete, localEnv, remoteEnv }
 	}
 	
+	// Leave skipped keys untouched
+	const skipKeys = new Set(options.skipKeys || [])
+	toCreate = toCreate.filter(item => !skipKeys.has(item.key))
+	toUpdate = toUpdate.filter(item => !skipKeys.has(item.key))
+	toDelete = toDelete.filter(item => !skipKeys.has(item.key))
+	
 	// Execute the changes
 	let successCount = 0
+	const synced = []
+	const deleted = []
+	// Applied changes with the previous remote value, so an atomic push can revert them
+	const applied = []
 	
 	// Create new variables
-	for (const item of toCreate) {
-		const body = { key: item.key, value: item.value, app_id: appId }
-		const result = await makeAuthenticatedRequest('setup/var', 'POST', body, true)
+	const createOutcomes = await runPool(toCreate, item => makeAuthenticatedRequest('setup/var', 'POST', { key: item.key, value: item.value, app_id: appId }, true), {
+		label: 'Creating env vars',
+		silent
+	})
+	toCreate.forEach((item, i) => {
+		const result = createOutcomes[i].value
 		if (result.success) {
 			if (!silent) console.log(`✅ Created ${item.key}`)
 			successCount++
+			synced.push({ key: item.key, id: result.data?.id, value: item.value })
+			applied.push({ action: 'create', key: item.key, id: result.data?.id })
 		} else {
 			console.error(`❌ Failed to create ${item.key}: ${result.error}`)
 		}
-	}
+	})
 	
 	// Update existing variables
-	for (const item of toUpdate) {
-		const body = { key: item.key, value: item.value, app_id: appId }
-		const result = await makeAuthenticatedRequest(`setup/var/${item.id}`, 'PUT', body, true)
+	const updateOutcomes = await runPool(toUpdate, item => makeAuthenticatedRequest(`setup/var/${item.id}`, 'PUT', { key: item.key, value: item.value, app_id: appId }, true), {
+		label: 'Updating env vars',
+		silent
+	})
+	toUpdate.forEach((item, i) => {
+		const result = updateOutcomes[i].value
 		if (result.success) {
 			if (!silent) console.log(`✅ Updated ${item.key}`)
 			successCount++
+			synced.push({ key: item.key, id: item.id, value: item.value })
+			applied.push({ action: 'update', key: item.key, id: item.id, previousValue: remoteEnv[item.key] })
 		} else {
 			console.error(`❌ Failed to update ${item.key}: ${result.error}`)
 		}
-	}
+	})
 	
 	// Delete removed variables
-	for (const item of toDelete) {
-		const result = await makeAuthenticatedRequest(`setup/var/${item.id}`, 'DELETE', null, true)
+	const deleteOutcomes = await runPool(toDelete, item => makeAuthenticatedRequest(`setup/var/${item.id}`, 'DELETE', null, true), {
+		label: 'Deleting env vars',
+		silent
+	})
+	toDelete.forEach((item, i) => {
+		const result = deleteOutcomes[i].value
 		if (result.success) {
 			if (!silent) console.log(`✅ Deleted ${item.key}`)
 			successCount++
+			deleted.push(item.key)
+			applied.push({ action: 'delete', key: item.key, id: item.id, previousValue: remoteEnv[item.key] })
 		} else {
 			console.error(`❌ Failed to delete ${item.key}: ${result.error}`)
 		}
-	}
+	})
+	
+	// Record what is now in sync
+	updateManifest(m => {
+		for (const item of synced) {
+			m.env[item.key] = { id: item.id, hash: hashContent(item.value) }
+		}
+		for (const key of deleted) {
+			delete m.env[key]
+		}
+	})
 	
-	return { success: true, toCreate, toUpdate, toDelete, successCount, totalChanges: toCreate.length + toUpdate.length + toDelete.length }
+	return { success: true, toCreate, toUpdate, toDelete, successCount, totalChanges: toCreate.length + toUpdate.length + toDelete.length, applied }
 }
@@ -1,11 +1,20 @@
 /**
  * File-based sync functions for ScriptForge and SQL queries
+ * Subfolders map to path-style remote names: ./src/billing/invoice.js <-> 'billing/invoice'
+ * Paths matched by .cxignore (or [sync] ignore in cx.toml) are never pushed or written locally
  */
 
-import { existsSync, mkdirSync, writeFileSync, readFileSync, readdirSync, rmSync, statSync } from 'fs'
-import { join, basename } from 'path'
+import { existsSync, mkdirSync, writeFileSync, readFileSync, readdirSync, rmSync, rmdirSync, renameSync } from 'fs'
+import { join, dirname, relative, resolve, sep } from 'path'
+import { diffLines } from 'diff'
 import { makeAuthenticatedRequest } from '../utils.js'
 import { SYNC_TYPES, SRC_DIR, QUERY_DIR, TEMPLATE_DIR } from './constants.js'
+import { readBaseContent, markFileSynced, forgetFileSync, writeFileSyncStates, readManifest, hashContent, getRemoteTimestamp, isRemoteModified } from './state.js'
+import { resolvePull, hasConflictMarkers, runMergeTool } from './merge.js'
+import { loadIgnoreRules, isIgnored, globToRegex } from './ignore.js'
+import { runPool } from './pool.js'
+import { saveSnapshot, toSnapshotItem } from './snapshots.js'
+import { getRemoteMeta, getLocalMeta, readMetaTables, diffMeta, mergeMeta, writeMetaTables, getSyncedItemTypes } from './meta.js'
 
 /**
  * Gets the local filename for an item based on sync type config
@@ -14,7 +23,7 @@ import { SYNC_TYPES, SRC_DIR, QUERY_DIR, TEMPLATE_DIR } from './constants.js'
  * @param {Object} config - Sync type config
  * @returns {string} Filename with extension
  */
-function getLocalFilename(item, config) {
+export function getLocalFilename(item, config) {
 	const name = item.name
 	// For templates, if name doesn't end with .html, add it
 	if (config.filenameFromName && !name.toLowerCase().endsWith(config.extension)) {
@@ -31,16 +40,165 @@ function getLocalFilename(item, config) {
 /**
  * Gets the remote name from a local filename based on sync type config
  * For template type, strips .html extension if it was transparently added
- * @param {string} filename - Local filename
+ * @param {string} filename - Local filename relative to the sync directory (e.g. 'billing/invoice.js')
  * @param {Object} config - Sync type config
- * @returns {string} Name for remote API
+ * @returns {string} Name for remote API (e.g. 'billing/invoice')
  */
 function getRemoteName(filename, config) {
-	const nameWithoutExt = basename(filename, config.extension)
 	// For templates, we need to check the original name
 	// The name stored remotely might or might not have .html
 	// We return the name without extension, the API will handle it
-	return nameWithoutExt
+	return filename.endsWith(config.extension)
+		? filename.slice(0, -config.extension.length)
+		: filename
+}
+
+/**
+ * Gets the path of a sync file relative to its sync directory, using '/' on every platform
+ * @param {Object} config - Sync type config
+ * @param {string} filepath - Local file path (e.g. 'src/billing/invoice.js')
+ * @returns {string} Relative path (e.g. 'billing/invoice.js')
+ */
+export function getSyncPath(config, filepath) {
+	return relative(config.dir, filepath).split(sep).join('/')
+}
+
+/**
+ * Checks whether a file argument is a glob pattern (e.g. 'src/billing-*') rather than a single file
+ * @param {string} arg - File argument of pull or push
+ * @returns {boolean} True if it contains '*', '?' or '['
+ */
+export function isSyncPattern(arg) {
+	return /[*?[]/.test(arg)
+}
+
+/**
+ * Builds a matcher for a glob pattern of sync files
+ * A pattern matches the project path (e.g. 'src/billing-*' or 'query/**') or the path inside
+ * the sync folder (e.g. 'billing/*' matches src/billing/invoice.js and query/billing/daily.sql)
+ * @param {string} pattern - Glob pattern ('*', '?', '[...]' and '**')
+ * @returns {function(Object, string): boolean} Tests a sync type config and local file path
+ */
+export function createSyncMatcher(pattern) {
+	const regex = new RegExp(`^${globToRegex(pattern.replace(/\\/g, '/').replace(/^\.\//, ''))}$`)
+	return (config, filepath) => regex.test(relative('.', filepath).split(sep).join('/')) || regex.test(getSyncPath(config, filepath))
+}
+
+/**
+ * Checks that a remote name maps to a path inside the sync directory
+ * @param {string} name - Remote item name (may contain '/' for subfolders)
+ * @returns {boolean} False for absolute paths, '..' or empty segments and backslashes
+ */
+function isSafeSyncName(name) {
+	if (!name || name.startsWith('/') || name.includes('\\')) {
+		return false
+	}
+	return name.split('/').every(segment => segment !== '' && segment !== '.' && segment !== '..')
+}
+
+/**
+ * Lists sync files in a sync directory and its subfolders (hidden and ignored folders are skipped)
+ * @param {Object} config - Sync type config
+ * @returns {Array<string>} Paths relative to the sync directory, using '/' (e.g. 'billing/invoice.js')
+ */
+export function listSyncFiles(config) {
+	const rules = loadIgnoreRules()
+	const files = []
+	const walk = (subdir) => {
+		for (const entry of readdirSync(join(config.dir, subdir), { withFileTypes: true })) {
+			const relPath = subdir ? `${subdir}/${entry.name}` : entry.name
+			if (entry.isDirectory() && !entry.name.startsWith('.')) {
+				if (!isIgnored(join(config.dir, relPath), rules, true)) {
+					walk(relPath)
+				}
+			} else if (entry.isFile() && entry.name.endsWith(config.extension) && !isIgnored(join(config.dir, relPath), rules)) {
+				files.push(relPath)
+			}
+		}
+	}
+
+	if (existsSync(config.dir)) {
+		walk('')
+	}
+	return files.sort()
+}
+
+/**
+ * Removes folders left empty after a sync file was deleted or moved, up to the sync directory
+ * @param {string} filepath - Path of the removed file
+ * @param {string} dir - Sync directory (never removed)
+ */
+function removeEmptyParents(filepath, dir) {
+	const root = resolve(dir)
+	let current = resolve(dirname(filepath))
+	while (current !== root && current.startsWith(root + sep) && existsSync(current) && readdirSync(current).length === 0) {
+		rmdirSync(current)
+		current = dirname(current)
+	}
+}
+
+/**
+ * Minimum share of common lines for a new file to count as a renamed synced file
+ */
+const RENAME_SIMILARITY = 0.5
+
+/**
+ * Scores how similar two contents are by the share of characters on common lines
+ * @param {string} a - First content
+ * @param {string} b - Second content
+ * @returns {number} 0 (nothing in common) to 1 (identical)
+ */
+function contentSimilarity(a, b) {
+	if (a === b) return 1
+	let common = 0
+	for (const change of diffLines(a, b)) {
+		if (!change.added && !change.removed) {
+			common += change.value.length
+		}
+	}
+	return (2 * common) / (a.length + b.length)
+}
+
+/**
+ * Finds the synced file a new local file was most likely renamed from
+ * An identical last-synced hash wins, otherwise the most similar last-synced content above RENAME_SIMILARITY
+ * @param {string} content - Content of the new local file
+ * @param {Array<[string, Object]>} candidates - [filepath, manifest entry] pairs of synced files missing locally
+ * @returns {[string, Object]|null} Best matching candidate or null
+ */
+function findRenameSource(content, candidates) {
+	const hash = hashContent(content)
+	const exact = candidates.find(([, entry]) => entry.hash === hash)
+	if (exact) {
+		return exact
+	}
+
+	let best = null
+	let bestScore = RENAME_SIMILARITY
+	for (const candidate of candidates) {
+		const baseContent = readBaseContent(candidate[0])
+		if (baseContent === null) continue
+		const score = contentSimilarity(baseContent, content)
+		if (score >= bestScore) {
+			best = candidate
+			bestScore = score
+		}
+	}
+	return best
+}
+
+/**
+ * Gets the remote name for a renamed file, keeping the remote naming style for templates
+ * @param {Object} localFile - Local file with filename and name (without extension)
+ * @param {string} previousName - Remote name before the rename
+ * @param {Object} config - Sync type config
+ * @returns {string} New remote name
+ */
+function getRenamedName(localFile, previousName, config) {
+	if (config.filenameFromName && previousName.toLowerCase().endsWith(config.extension)) {
+		return localFile.filename
+	}
+	return localFile.name
 }
 
 /**
@@ -71,13 +229,17 @@ export async function fetchAllItems(syncType, silent = false) {
  * @param {number} id - Item ID
  * @param {boolean} silent - Whether to suppress progress output
  * @returns {Promise<Object>} Item object with id, name, content field, app_id
+ * @throws {Error} If the request fails (with retryable set for transient failures)
  */
 export async function fetchItemById(syncType, id, silent = false) {
 	const config = SYNC_TYPES[syncType]
 	const result = await makeAuthenticatedRequest(`${config.endpoint}/${id}`, 'GET', null, silent)
 	
 	if (!result.success) {
-		throw new Error(result.error)
+		const error = new Error(result.error)
+		// Lets the sync worker pool retry throttled or failed requests
+		error.retryable = result.retryable
+		throw error
 	}
 	
 	return result.data
@@ -87,15 +249,18 @@ export async function fetchItemById(syncType, id, silent = false) {
  * Filters items by configured APP_ID
  * @param {Array} items - Array of item objects
  * @param {string} syncType - Type of sync for display messages
+ * @param {boolean} [silent] - Whether to suppress the filter summary
  * @returns {Array} Filtered items
  */
-export function filterByAppId(items, syncType) {
+export function filterByAppId(items, syncType, silent = false) {
 	const config = SYNC_TYPES[syncType]
 	const appId = process.env.APP_ID
 	
 	if (!appId) {
-		console.log('⚠️  No APP_ID configured. Use "cx configure:app" to set one.')
-		console.log(`📋 Showing all ${config.displayNamePlural}...`)
+		if (!silent) {
+			console.log('⚠️  No APP_ID configured. Use "cx configure:app" to set one.')
+			console.log(`📋 Showing all ${config.displayNamePlural}...`)
+		}
 		return items
 	}
 	
@@ -104,52 +269,87 @@ export function filterByAppId(items, syncType) {
 		return String(item.app_id) === String(appId)
 	})
 	
-	// For scriptforge, only include scripts of type 'quickjs' or 'debug'
-	if (syncType === 'scriptforge') {
-		filtered = filtered.filter(item => item.type === 'quickjs' || item.type === 'debug')
+	// Only item types that can be edited as files are synced (for scripts: quickjs and debug, unless [sync] script_types says otherwise)
+	const itemTypes = getSyncedItemTypes(config, syncType)
+	const skipped = itemTypes ? filtered.filter(item => !itemTypes.includes(String(item.type))) : []
+	if (skipped.length > 0) {
+		filtered = filtered.filter(item => !skipped.includes(item))
 	}
 	
-	console.log(`🔍 Filtered by APP_ID: ${appId} (${filtered.length} ${config.displayNamePlural})`)
+	if (!silent) {
+		console.log(`🔍 Filtered by APP_ID: ${appId} (${filtered.length} ${config.displayNamePlural})`)
+		if (skipped.length > 0) {
+			const types = [...new Set(skipped.map(item => String(item.type)))].join(', ')
+			const setting = syncType === 'scriptforge' ? '[sync] script_types' : `item_types of [sync.types.${syncType}]`
+			console.log(`🙈 Skipping ${skipped.length} ${config.displayNamePlural} of type ${types} (add the type to ${setting} in cx.toml to sync them)`)
+		}
+	}
 	
 	return filtered
 }
 
 /**
  * Generic pull function for a specific sync type
+ * Local changes are three-way merged with remote changes using the last-synced base copy
  * @param {string} syncType - Type of sync ('scriptforge' or 'query')
  * @param {boolean} silent - Whether to suppress progress output
  * @param {boolean} preview - If true, only show what would be pulled without actually pulling
- * @returns {Promise<Object>} Results with items, pulled count, total, and itemsWithDiffs
+ * @param {Object} [options] - Additional pull options
+ * @param {string} [options.mergeTool] - Merge tool command used to resolve conflicts
+ * @param {function(Object, string): boolean} [options.match] - Only pull items whose local path matches (see createSyncMatcher)
+ * Scripts renamed remotely are renamed locally, matched by the remote ID in the sync manifest
+ * @returns {Promise<Object>} Results with items, pulled count, total, itemsWithDiffs, renames, conflicts and written (paths of the files written)
  */
-export async function pullItems(syncType, silent = false, preview = false) {
+export async function pullItems(syncType, silent = false, preview = false, options = {}) {
 	const config = SYNC_TYPES[syncType]
 	
 	// Fetch all items (list view - without content)
 	const allItems = await fetchAllItems(syncType, silent)
-	const items = filterByAppId(allItems, syncType)
+	const rules = loadIgnoreRules()
+	let ignoredCount = 0
+	const items = filterByAppId(allItems, syncType, silent).filter(item => {
+		if (options.match && !options.match(config, join(config.dir, getLocalFilename(item, config)))) {
+			return false
+		}
+		if (!isSafeSyncName(item.name)) {
+			console.error(`⚠️  Skipping ${item.name}: name cannot be used as a local path`)
+			return false
+		}
+		if (isIgnored(join(config.dir, getLocalFilename(item, config)), rules)) {
+			ignoredCount++
+			return false
+		}
+		return true
+	})
+	if (ignoredCount > 0 && !silent) {
+		console.log(`🙈 Skipping ${ignoredCount} ignored ${config.displayNamePlural}`)
+	}
 	
 	if (items.length === 0) {
 		if (!preview) {
-			console.log(`📭 No ${config.displayNamePlural} found.`)
+			console.log(options.match ? `📭 No ${config.displayNamePlural} match.` : `📭 No ${config.displayNamePlural} found.`)
 		}
-		return { items: [], pulled: 0, total: 0, itemsWithDiffs: [] }
+		return { items: [], pulled: 0, total: 0, itemsWithDiffs: [], renames: [], conflicts: [], written: [] }
 	}
 	
-	// Fetch all items in parallel
+	// Fetch all items in parallel (bounded by the pool's concurrency limit)
 	if (!silent && items.length > 1) {
 		console.log(`📥 Fetching ${items.length} ${config.displayNamePlural} in parallel...`)
 	}
 	
-	const fetchPromises = items.map(item => 
-		fetchItemById(syncType, item.id, true)
-			.then(fullItem => ({ item, fullItem, success: true }))
-			.catch(error => ({ item, error, success: false }))
-	)
-	
-	const results = await Promise.all(fetchPromises)
+	const outcomes = await runPool(items, item => fetchItemById(syncType, item.id, true), {
+		label: `Fetching ${config.displayNamePlural}`,
+		silent
+	})
+	const results = outcomes.map(({ value, error }, i) => error
+		? { item: items[i], error, success: false }
+		: { item: items[i], fullItem: value, success: true })
 	
 	// Process results and check for local differences
+	const manifest = readManifest()
+	const metaTables = readMetaTables()
 	const itemsWithDiffs = []
+	const renames = []
 	
 	for (const result of results) {
 		if (!result.success) {
@@ -162,15 +362,36 @@ export async function pullItems(syncType, silent = false, preview = false) {
 		const filepath = join(config.dir, filename)
 		const remoteContent = fullItem[config.contentField] || ''
 		
+		// Renamed remotely since the last sync: the local file (with any local edits) moves to the new name
+		let localPath = filepath
+		const synced = Object.entries(manifest.files)
+			.find(([, entry]) => entry.syncType === syncType && String(entry.id) === String(fullItem.id))
+		if (synced && synced[0] !== filepath && existsSync(synced[0]) && !existsSync(filepath)) {
+			localPath = synced[0]
+			renames.push({ id: fullItem.id, from: localPath, to: filepath })
+		}
+		
+		// Metadata changed only locally is kept, like content
+		const remoteMeta = getRemoteMeta(fullItem, config)
+		item._meta = existsSync(localPath)
+			? mergeMeta(getLocalMeta(localPath, config, { remote: remoteMeta, tables: metaTables, manifest }), remoteMeta, manifest.files[localPath]?.meta)
+			: { meta: remoteMeta, kept: [], overwritten: [] }
+		
 		// Check if file exists locally and has different content
-		if (existsSync(filepath)) {
-			const localContent = readFileSync(filepath, 'utf-8')
+		if (existsSync(localPath)) {
+			const localContent = readFileSync(localPath, 'utf-8')
 			if (localContent !== remoteContent) {
+				const baseContent = readBaseContent(localPath)
+				const resolution = resolvePull(baseContent, localContent, remoteContent)
 				itemsWithDiffs.push({
 					filename,
 					filepath,
 					localContent,
 					remoteContent,
+					baseContent,
+					mergeStatus: resolution.status,
+					newContent: resolution.content,
+					conflictCount: resolution.conflicts,
 					item: fullItem
 				})
 			}
@@ -182,7 +403,7 @@ export async function pullItems(syncType, silent = false, preview = false) {
 	
 	// If preview, just return the analysis
 	if (preview) {
-		return { items, pulled: 0, total: items.length, itemsWithDiffs }
+		return { items, pulled: 0, total: items.length, itemsWithDiffs, renames, conflicts: [], written: [] }
 	}
 	
 	// Create directory if it doesn't exist
@@ -195,6 +416,11 @@ export async function pullItems(syncType, silent = false, preview = false) {
 	
 	// Write each item to a file
 	let successCount = 0
+	const conflicts = []
+	const written = []
+	// Sync state and [meta] tables are written once for the whole batch
+	const syncChanges = []
+	const metaChanges = []
 	for (const item of items) {
 		const filename = getLocalFilename(item, config)
 		const filepath = join(config.dir, filename)
@@ -207,38 +433,119 @@ export async function pullItems(syncType, silent = false, preview = false) {
 				continue
 			}
 			
-			const content = fullItem[config.contentField] || ''
+			const remoteContent = fullItem[config.contentField] || ''
+			const diff = itemsWithDiffs.find(d => d.filepath === filepath)
+			let content = diff ? diff.newContent : remoteContent
+			let status = diff ? diff.mergeStatus : 'update'
+			
+			// Let the configured merge tool resolve conflicts, falling back to markers
+			if (status === 'conflict' && options.mergeTool) {
+				const toolResult = runMergeTool(options.mergeTool, filename, {
+					base: diff.baseContent,
+					local: diff.localContent,
+					remote: remoteContent,
+					merged: diff.newContent
+				})
+				if (toolResult.success) {
+					content = toolResult.content
+					status = 'merge'
+				} else {
+					console.error(`⚠️  ${filename}: ${toolResult.error}`)
+				}
+			}
+			
+			// Names with '/' are stored in subfolders
+			mkdirSync(dirname(filepath), { recursive: true })
+			
+			const rename = renames.find(r => r.to === filepath)
+			if (rename) {
+				renameSync(rename.from, filepath)
+				syncChanges.push({ filepath: rename.from, remote: null })
+				removeEmptyParents(rename.from, config.dir)
+				console.log(`🔀 Renamed ${getSyncPath(config, rename.from)} → ${filename} (renamed remotely)`)
+			}
 			
 			writeFileSync(filepath, content, 'utf-8')
-			console.log(`✅ ${filename}`)
+			// Remote content and metadata are now the common ancestor for the next merge
+			syncChanges.push({
+				filepath,
+				remote: {
+					syncType,
+					id: fullItem.id,
+					name: fullItem.name,
+					updated: getRemoteTimestamp(fullItem),
+					meta: getRemoteMeta(fullItem, config)
+				},
+				content: remoteContent
+			})
+			metaChanges.push({ filepath, config, meta: item._meta.meta, from: rename ? rename.from : undefined })
+			item._meta.overwritten.forEach(field => console.log(`⚠️  ${filename}: ${field} was changed locally and remotely, using the remote value`))
+			
+			if (status === 'conflict') {
+				console.log(`⚠️  ${filename} (${diff.conflictCount} conflict(s) - resolve the markers before pushing)`)
+				conflicts.push(filepath)
+			} else if (status === 'merge') {
+				console.log(`🔀 ${filename} (merged local and remote changes)`)
+			} else if (status === 'keep') {
+				console.log(`✅ ${filename} (kept local changes)`)
+			} else {
+				console.log(`✅ ${filename}`)
+			}
+			written.push(filepath)
 			successCount++
 		} catch (error) {
 			console.error(`❌ Failed to write ${filename}: ${error.message}`)
 		}
 	}
 	
-	return { items, pulled: successCount, total: items.length, itemsWithDiffs }
+	writeFileSyncStates(syncChanges)
+	writeMetaTables(metaChanges)
+	return { items, pulled: successCount, total: items.length, itemsWithDiffs, renames, conflicts, written }
+}
+
+/**
+ * Checks whether metadata fields about to be pushed were also changed remotely since the last sync
+ * @param {Object|null} entry - Manifest entry of the file
+ * @param {Array<string>} fields - Fields changed locally (from diffMeta)
+ * @param {Object} remoteMeta - Current remote metadata
+ * @returns {boolean} True if pushing would overwrite a remote metadata change
+ */
+function isMetaRemoteModified(entry, fields, remoteMeta) {
+	return !!entry?.meta && fields.some(field => remoteMeta[field] !== entry.meta[field])
 }
 
 /**
  * Generic push function for a specific sync type
+ * Updates are flagged with remoteModified when the remote changed since the last pull or push.
+ * Files recorded in the sync manifest but missing locally are returned as toDelete
+ * (files that were never pulled have no manifest entry, so they are never deleted).
+ * A new file whose content matches such a file is a rename and is returned in toUpdate with renamedFrom,
+ * so the existing remote item (and its ID) is renamed instead of recreated.
+ * Files carry the metadata they are pushed with (meta); a metadata-only change is an update with metaChanges
  * @param {string} syncType - Type of sync ('scriptforge' or 'query')
  * @param {boolean} silent - Whether to suppress progress output
- * @returns {Promise<Object>} Results with toUpdate, toCreate, successCount, remoteMap
+ * @param {Object} [options] - Additional push options
+ * @param {Set<string>} [options.paths] - Only consider these local file paths (e.g. files changed in git);
+ *   only the remote items they can match are fetched
+ * @returns {Promise<Object>} Results with toUpdate, toCreate, toDelete, unchanged, conflicted, successCount, remoteMap
+ *   and remoteComplete (whether remoteMap holds every remote item of the app)
  */
-export async function pushItems(syncType, silent = false) {
+export async function pushItems(syncType, silent = false, options = {}) {
 	const config = SYNC_TYPES[syncType]
-	
-	// Check if directory exists
-	if (!existsSync(config.dir)) {
-		return { toUpdate: [], toCreate: [], successCount: 0, totalChanges: 0, remoteMap: new Map() }
-	}
-	
-	// Get local files
-	const localFiles = readdirSync(config.dir)
-		.filter(file => file.endsWith(config.extension))
+	const manifest = readManifest()
+	const rules = loadIgnoreRules()
+	const only = options.paths || null
+	
+	// Files synced before that no longer exist locally (ignoring a file does not delete it remotely)
+	const deletedLocally = Object.entries(manifest.files)
+		.filter(([filepath, entry]) => entry.syncType === syncType && !existsSync(filepath) && !isIgnored(filepath, rules))
+		.filter(([filepath]) => !only || only.has(join(filepath)))
+	
+	// Get local files, including subfolders
+	const localFiles = listSyncFiles(config)
+		.filter(file => !only || only.has(join(config.dir, file)))
 		.map(file => {
-			const nameWithoutExt = basename(file, config.extension)
+			const nameWithoutExt = getRemoteName(file, config)
 			return {
 				filename: file,
 				name: nameWithoutExt,
@@ -249,8 +556,19 @@ export async function pushItems(syncType, silent = false) {
 			}
 		})
 	
-	if (localFiles.length === 0) {
-		return { toUpdate: [], toCreate: [], successCount: 0, totalChanges: 0, remoteMap: new Map() }
+	// Never push files that still contain unresolved merge conflicts
+	const conflicted = []
+	for (let i = localFiles.length - 1; i >= 0; i--) {
+		if (hasConflictMarkers(localFiles[i].content)) {
+			if (!silent) {
+				console.error(`⚠️  Skipping ${localFiles[i].filepath}: unresolved merge conflict markers`)
+			}
+			conflicted.unshift(...localFiles.splice(i, 1))
+		}
+	}
+	
+	if (localFiles.length === 0 && deletedLocally.length === 0) {
+		return { toUpdate: [], toCreate: [], toDelete: [], unchanged: [], conflicted, successCount: 0, totalChanges: 0, remoteMap: new Map(), remoteComplete: false }
 	}
 	
 	// Fetch remote items to get IDs and compare
@@ -259,7 +577,14 @@ export async function pushItems(syncType, silent = false) {
 	}
 	
 	const allRemoteItems = await fetchAllItems(syncType, silent)
-	const remoteItems = filterByAppId(allRemoteItems, syncType)
+	let remoteItems = filterByAppId(allRemoteItems, syncType, silent)
+	
+	// With a path filter, only fetch the content of remote items those files can match (by name, or by ID for deletions and renames)
+	if (only) {
+		const names = new Set(localFiles.flatMap(file => file.nameVariants))
+		const ids = new Set(deletedLocally.map(([, entry]) => String(entry.id)))
+		remoteItems = remoteItems.filter(item => names.has(item.name) || ids.has(String(item.id)))
+	}
 	
 	// Fetch full details for each remote item in parallel (including content)
 	if (!silent && remoteItems.length > 1) {
@@ -267,15 +592,17 @@ export async function pushItems(syncType, silent = false) {
 	}
 	
 	const remoteMap = new Map()
+	// Whether remoteMap holds every remote item of the app (snapshots rely on it)
+	let remoteComplete = !only
 	
 	if (remoteItems.length > 0) {
-		const fetchPromises = remoteItems.map(item =>
-			fetchItemById(syncType, item.id, true)
-				.then(fullItem => ({ fullItem, success: true }))
-				.catch(error => ({ item, error, success: false }))
-		)
-		
-		const results = await Promise.all(fetchPromises)
+		const outcomes = await runPool(remoteItems, item => fetchItemById(syncType, item.id, true), {
+			label: `Fetching ${config.displayNamePlural}`,
+			silent
+		})
+		const results = outcomes.map(({ value, error }, i) => error
+			? { item: remoteItems[i], error, success: false }
+			: { fullItem: value, success: true })
 		
 		for (const result of results) {
 			if (result.success) {
@@ -284,7 +611,9 @@ export async function pushItems(syncType, silent = false) {
 					id: fullItem.id,
 					content: fullItem[config.contentField] || '',
 					app_id: fullItem.app_id,
-					originalName: fullItem.name
+					originalName: fullItem.name,
+					updated: getRemoteTimestamp(fullItem),
+					meta: getRemoteMeta(fullItem, config)
 				}
 				// Store by original name
 				remoteMap.set(fullItem.name, remoteData)
@@ -294,6 +623,7 @@ export async function pushItems(syncType, silent = false) {
 				}
 			} else {
 				console.error(`⚠️  Failed to fetch ${result.item.name}: ${result.error.message}`)
+				remoteComplete = false
 			}
 		}
 	}
@@ -301,6 +631,8 @@ export async function pushItems(syncType, silent = false) {
 	// Determine what needs to be updated or created
 	const toUpdate = []
 	const toCreate = []
+	const unchanged = []
+	const metaTables = readMetaTables()
 	
 	for (const localFile of localFiles) {
 		// For templates, try matching by both name variants (with and without extension)
@@ -316,26 +648,232 @@ export async function pushItems(syncType, silent = false) {
 		}
 		
 		if (remote) {
-			// File exists remotely - check if content changed
-			if (remote.content !== localFile.content) {
+			// File exists remotely - check if content or metadata changed
+			const meta = getLocalMeta(localFile.filepath, config, { remote: remote.meta, tables: metaTables, manifest })
+			const metaChanges = diffMeta(meta, remote.meta)
+			if (remote.content !== localFile.content || metaChanges.length > 0) {
+				const syncState = manifest.files[localFile.filepath] || null
 				toUpdate.push({
 					...localFile,
 					name: matchedName, // Use the name that matched the remote
 					id: remote.id,
 					app_id: remote.app_id,
-					syncType
+					syncType,
+					meta,
+					metaChanges,
+					// Someone changed the remote since our last pull/push - pushing would overwrite their work
+					remoteModified: isRemoteModified(syncState, hashContent(remote.content)) || isMetaRemoteModified(syncState, metaChanges, remote.meta),
+					remoteUpdated: remote.updated,
+					lastSynced: syncState ? syncState.syncedAt : null
 				})
+			} else {
+				unchanged.push({ ...localFile, name: matchedName, id: remote.id, syncType })
 			}
 		} else {
 			// New file - for templates, use name without extension for the API
 			toCreate.push({
 				...localFile,
-				syncType
+				syncType,
+				meta: getLocalMeta(localFile.filepath, config, { tables: metaTables, manifest })
 			})
 		}
 	}
 	
-	return { toUpdate, toCreate, successCount: 0, totalChanges: toUpdate.length + toCreate.length, remoteMap }
+	// New files replacing a locally deleted one are renames
+	const remoteById = new Map([...remoteMap.values()].map(remote => [remote.id, remote]))
+	const renameCandidates = deletedLocally.filter(([, entry]) => remoteById.has(entry.id))
+	for (const localFile of [...toCreate]) {
+		const source = findRenameSource(localFile.content, renameCandidates)
+		if (!source) continue
+		
+		const [previousPath, entry] = source
+		const remote = remoteById.get(entry.id)
+		renameCandidates.splice(renameCandidates.indexOf(source), 1)
+		toCreate.splice(toCreate.indexOf(localFile), 1)
+		const meta = getLocalMeta(localFile.filepath, config, { remote: remote.meta, renamedFrom: previousPath, tables: metaTables, manifest })
+		toUpdate.push({
+			...localFile,
+			name: getRenamedName(localFile, remote.originalName, config),
+			id: remote.id,
+			app_id: remote.app_id,
+			syncType,
+			meta,
+			metaChanges: diffMeta(meta, remote.meta),
+			remoteName: remote.originalName,
+			renamedFrom: previousPath,
+			previousFilename: getSyncPath(config, previousPath),
+			remoteModified: isRemoteModified(entry, hashContent(remote.content)) || isMetaRemoteModified(entry, diffMeta(meta, remote.meta), remote.meta),
+			remoteUpdated: remote.updated,
+			lastSynced: entry.syncedAt
+		})
+	}
+	
+	// Locally deleted files that still exist remotely
+	const toDelete = []
+	for (const [filepath, entry] of deletedLocally) {
+		const remote = remoteById.get(entry.id)
+		if (!remote || toUpdate.some(file => file.renamedFrom === filepath)) continue
+		toDelete.push({
+			filename: getSyncPath(config, filepath),
+			name: remote.originalName,
+			filepath,
+			id: remote.id,
+			syncType,
+			// Deleting would throw away changes made remotely since our last pull/push
+			remoteModified: isRemoteModified(entry, hashContent(remote.content)),
+			remoteUpdated: remote.updated,
+			lastSynced: entry.syncedAt
+		})
+	}
+	
+	return { toUpdate, toCreate, toDelete, unchanged, conflicted, successCount: 0, totalChanges: toUpdate.length + toCreate.length, remoteMap, remoteComplete }
+}
+
+/**
+ * Push a single local file to remote (create or update)
+ * Shared by single-file push, push-run and watch mode; never exits the process
+ * @param {string} syncType - Type of sync ('scriptforge', 'query' or 'template')
+ * @param {string} filepath - Local file path (e.g. 'src/my-script.js')
+ * @param {Object} [options] - Push options
+ * @param {boolean} [options.silent] - Whether to suppress progress output
+ * @param {boolean} [options.force] - Overwrite remote changes made since the last pull
+ * @param {Function} [options.confirmOverwrite] - Async callback asked whether to overwrite remote changes
+ * @param {boolean} [options.snapshot] - Save the remote item as a snapshot before overwriting it
+ * @returns {Promise<{success: boolean, status: string, id?: number, name?: string, renamedFrom?: string, error?: string}>}
+ *   status is one of 'created', 'updated', 'renamed', 'unchanged', 'remote-modified', 'conflict', 'ignored' or 'failed'
+ */
+export async function pushFile(syncType, filepath, options = {}) {
+	const config = SYNC_TYPES[syncType]
+	const silent = options.silent || false
+	const filename = getSyncPath(config, filepath)
+	const name = getRemoteName(filename, config)
+	const nameVariants = config.filenameFromName ? [name, filename] : [name]
+
+	if (!existsSync(filepath)) {
+		return { success: false, status: 'failed', error: `Local file not found: ${filepath}` }
+	}
+
+	const rules = loadIgnoreRules()
+	if (isIgnored(filepath, rules)) {
+		return { success: false, status: 'ignored', error: `${filepath} is ignored (.cxignore or [sync] ignore in cx.toml)` }
+	}
+
+	const localContent = readFileSync(filepath, 'utf-8')
+	if (hasConflictMarkers(localContent)) {
+		return { success: false, status: 'conflict', error: `${filepath} has unresolved merge conflict markers` }
+	}
+
+	if (!silent) {
+		console.log(`📡 Checking remote status for ${filename}...`)
+	}
+
+	// Find matching remote item by name
+	const remoteItems = filterByAppId(await fetchAllItems(syncType, true), syncType, true)
+	let remoteItem = remoteItems.find(item => nameVariants.includes(item.name))
+
+	// No match by name: the file may have been renamed from one synced before
+	let renamedFrom = null
+	if (!remoteItem) {
+		const remoteIds = new Set(remoteItems.map(item => String(item.id)))
+		const candidates = Object.entries(readManifest().files)
+			.filter(([path, entry]) => entry.syncType === syncType && !existsSync(path) && !isIgnored(path, rules) && remoteIds.has(String(entry.id)))
+		const source = findRenameSource(localContent, candidates)
+		if (source) {
+			renamedFrom = source[0]
+			remoteItem = remoteItems.find(item => String(item.id) === String(source[1].id))
+		}
+	}
+
+	if (!remoteItem) {
+		const appId = process.env.APP_ID
+		if (!appId) {
+			return { success: false, status: 'failed', error: `Cannot create ${filename}: No APP_ID configured` }
+		}
+
+		if (!silent) {
+			console.log(`✨ ${filename} is a new file`)
+			console.log(`\n📤 Pushing ${filename}...`)
+		}
+
+		// Metadata from [meta] in cx.toml, e.g. the script type (quickjs unless set)
+		const meta = getLocalMeta(filepath, config)
+		const body = {
+			...meta,
+			name,
+			[config.contentField]: localContent,
+			app_id: appId
+		}
+		const createResult = await makeAuthenticatedRequest(config.endpoint, 'POST', body, true)
+		if (!createResult.success) {
+			return { success: false, status: 'failed', error: `Failed to create ${filename}: ${createResult.error}` }
+		}
+
+		const id = createResult.data?.id
+		markFileSynced(filepath, { syncType, id, name, updated: getRemoteTimestamp(createResult.data), meta }, localContent)
+		return { success: true, status: 'created', id, name }
+	}
+
+	// Fetch full content to compare
+	const fullRemote = await fetchItemById(syncType, remoteItem.id, true)
+	const remoteContent = fullRemote[config.contentField] || ''
+	const remoteMeta = getRemoteMeta(fullRemote, config)
+	const meta = getLocalMeta(filepath, config, { remote: remoteMeta, renamedFrom })
+
+	if (remoteContent === localContent && !renamedFrom && diffMeta(meta, remoteMeta).length === 0) {
+		if (!silent) {
+			console.log(`✨ ${filename} is already up to date`)
+		}
+		return { success: true, status: 'unchanged', id: fullRemote.id, name: fullRemote.name }
+	}
+
+	// Someone changed the remote since our last pull/push
+	const syncState = readManifest().files[renamedFrom || filepath] || null
+	if (isRemoteModified(syncState, hashContent(remoteContent)) || isMetaRemoteModified(syncState, diffMeta(meta, remoteMeta), remoteMeta)) {
+		const remoteUpdated = getRemoteTimestamp(fullRemote)
+		console.log(`⚠️  ${filepath} was modified remotely since your last pull${remoteUpdated ? ` (remote updated ${remoteUpdated})` : ''}`)
+		const overwrite = options.force || (options.confirmOverwrite ? await options.confirmOverwrite(filepath) : false)
+		if (!overwrite) {
+			return { success: false, status: 'remote-modified', id: fullRemote.id, name: fullRemote.name, error: `${filepath} was modified remotely since your last pull` }
+		}
+	}
+
+	if (!silent) {
+		console.log(renamedFrom ? `🔀 ${filename} was renamed from ${getSyncPath(config, renamedFrom)}` : `📝 ${filename} has local ${remoteContent === localContent ? 'metadata ' : ''}changes`)
+		console.log(`\n📤 Pushing ${filename}...`)
+	}
+
+	// Save the remote item about to be overwritten, so "cx rollback" can restore it
+	if (options.snapshot) {
+		const snapshotId = saveSnapshot({
+			command: `push ${filepath}`,
+			files: { [syncType]: { complete: false, items: [toSnapshotItem(fullRemote, config)] } }
+		})
+		if (snapshotId && !silent) {
+			console.log(`💾 Saved remote snapshot ${snapshotId}`)
+		}
+	}
+
+	// Renaming keeps the remote ID, so references to the script keep working
+	const remoteName = renamedFrom
+		? getRenamedName({ filename, name }, fullRemote.name, config)
+		: fullRemote.name
+	const body = {
+		...meta,
+		name: remoteName,
+		[config.contentField]: localContent,
+		app_id: fullRemote.app_id
+	}
+	const updateResult = await makeAuthenticatedRequest(`${config.endpoint}/${fullRemote.id}`, 'PUT', body, true)
+	if (!updateResult.success) {
+		return { success: false, status: 'failed', error: `Failed to update ${filename}: ${updateResult.error}` }
+	}
+
+	if (renamedFrom) {
+		forgetFileSync(renamedFrom)
+		writeMetaTables([{ filepath, config, from: renamedFrom }])
+	}
+	markFileSynced(filepath, { syncType, id: fullRemote.id, name: remoteName, updated: getRemoteTimestamp(updateResult.data), meta }, localContent)
+	return { success: true, status: renamedFrom ? 'renamed' : 'updated', id: fullRemote.id, name: remoteName, renamedFrom }
 }
 
 /**
@@ -345,30 +883,25 @@ export async function pushItems(syncType, silent = false) {
 export function getAllSyncFiles() {
 	const allFiles = []
 	
-	for (const [syncType, config] of Object.entries(SYNC_TYPES)) {
-		if (existsSync(config.dir)) {
-			const files = readdirSync(config.dir).filter(file => {
-				const filepath = join(config.dir, file)
-				return statSync(filepath).isFile() && file.endsWith(config.extension)
-			})
-			
-			files.forEach(file => {
-				allFiles.push({ dir: config.dir, file, type: config.displayNamePlural })
-			})
-		}
+	for (const config of Object.values(SYNC_TYPES)) {
+		listSyncFiles(config).forEach(file => {
+			allFiles.push({ dir: config.dir, file, type: config.displayNamePlural })
+		})
 	}
 	
 	return allFiles
 }
 
 /**
- * Delete a file from a sync directory
+ * Delete a file from a sync directory, removing subfolders left empty
  * @param {string} dir - Directory path
- * @param {string} file - Filename
+ * @param {string} file - Filename relative to the directory (may include subfolders)
  */
 export function deleteSyncFile(dir, file) {
 	const filepath = join(dir, file)
 	rmSync(filepath)
+	forgetFileSync(filepath)
+	removeEmptyParents(filepath, dir)
 }
 
 /**
@@ -380,23 +913,15 @@ export function getExistingSyncFiles() {
 	const existingFiles = []
 	
 	for (const [syncType, config] of Object.entries(SYNC_TYPES)) {
-		if (existsSync(config.dir)) {
-			const entries = readdirSync(config.dir, { withFileTypes: true })
-			
-			for (const entry of entries) {
-				const filepath = join(config.dir, entry.name)
-				
-				if (entry.isFile() && entry.name.endsWith(config.extension)) {
-					existingFiles.push({
-						dir: config.dir,
-						file: entry.name,
-						filepath,
-						type: config.displayNamePlural,
-						syncType,
-						icon: config.icon
-					})
-				}
-			}
+		for (const file of listSyncFiles(config)) {
+			existingFiles.push({
+				dir: config.dir,
+				file,
+				filepath: join(config.dir, file),
+				type: config.displayNamePlural,
+				syncType,
+				icon: config.icon
+			})
 		}
 	}
 	
@@ -412,15 +937,19 @@ export function getExistingSyncFiles() {
 export function cleanSyncDirectories(files) {
 	let deletedCount = 0
 	const errors = []
+	const forgotten = []
 	
 	for (const fileInfo of files) {
 		try {
 			rmSync(fileInfo.filepath)
+			forgotten.push({ filepath: fileInfo.filepath, remote: null })
+			removeEmptyParents(fileInfo.filepath, fileInfo.dir)
 			deletedCount++
 		} catch (error) {
 			errors.push({ file: fileInfo.filepath, error: error.message })
 		}
 	}
 	
+	writeFileSyncStates(forgotten)
 	return { deletedCount, errors }
 }
@@ -0,0 +1,74 @@
+/**
+ * Git integration - limits a push to the files git reports as changed,
+ * so CI only deploys what the merged commits touched
+ */
+
+import { spawnSync } from 'child_process'
+import { join } from 'path'
+import { SYNC_TYPES, ENV_FILE, CONFIG_FILE } from './constants.js'
+import { getMetaPaths } from './meta.js'
+import { getStageEnvFile } from './env.js'
+import { getActiveStage } from './state.js'
+
+/**
+ * Lists files changed in git below the current directory
+ * @param {Object} options - What to compare
+ * @param {string} [options.since] - Git ref: files changed between it and the working tree
+ * @param {boolean} [options.staged] - Files staged in the index
+ * @returns {Array<string>} Changed paths relative to the current directory (deleted files included)
+ * @throws {Error} If git cannot be run, this is not a git repository or the ref is unknown
+ */
+export function getChangedPaths(options) {
+	if (options.since && options.since.startsWith('-')) {
+		throw new Error(`Invalid git ref "${options.since}"`)
+	}
+
+	// Without rename detection a renamed file is listed under its old and new path, as push needs both
+	const args = ['diff', '--name-only', '--no-renames', '--relative', '-z']
+	if (options.staged) args.push('--cached')
+	if (options.since) args.push(options.since)
+	args.push('--')
+
+	const result = spawnSync('git', args, { encoding: 'utf-8' })
+	if (result.error) {
+		throw new Error(`Failed to run git: ${result.error.message}`)
+	}
+	if (result.status !== 0) {
+		throw new Error(`git ${args.join(' ')} failed: ${result.stderr.trim()}`)
+	}
+	return result.stdout.split('\0').filter(Boolean)
+}
+
+/**
+ * Gets the synced paths changed in git: scripts, queries and templates in the sync folders, cx.env
+ * (and the env overlay of the active stage) and cx.toml
+ * @param {Object} options - Command options
+ * @param {string} [options.changedSince] - Git ref to compare the working tree with
+ * @param {boolean} [options.staged] - Use the files staged in the index
+ * @returns {{paths: Array<string>, files: Set<string>, env: boolean, config: boolean}}
+ *   Changed synced paths, the sync files among them (as local file paths) and whether cx.env / cx.toml changed
+ * @throws {Error} If git fails
+ */
+export function getChangedSyncPaths(options) {
+	const dirs = Object.values(SYNC_TYPES).map(config => join(config.dir))
+	const stage = getActiveStage()
+	const envPaths = [join(ENV_FILE), ...(stage ? [join(getStageEnvFile(stage))] : [])]
+	const configPath = join(CONFIG_FILE)
+
+	const paths = getChangedPaths({ since: options.changedSince, staged: options.staged })
+		.map(path => join(path))
+		.filter(path => envPaths.includes(path) || path === configPath || dirs.some(dir => path.startsWith(join(dir, '/'))))
+
+	// Metadata lives in cx.toml, so a change there may update any file with metadata
+	const files = paths.filter(path => !envPaths.includes(path) && path !== configPath)
+	if (paths.includes(configPath)) {
+		files.push(...getMetaPaths().map(path => join(path)))
+	}
+
+	return {
+		paths,
+		files: new Set(files),
+		env: paths.some(path => envPaths.includes(path)),
+		config: paths.includes(configPath)
+	}
+}
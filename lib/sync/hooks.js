@@ -0,0 +1,64 @@
+/**
+ * Hooks - shell commands declared in the [hooks] section of cx.toml and run before and after
+ * pull and push, e.g. pre-push = "npm run lint" or post-pull = "npm run format"
+ */
+
+import { spawnSync } from 'child_process'
+import { readConfigFile } from './config.js'
+
+export const HOOK_NAMES = ['pre-pull', 'post-pull', 'pre-push', 'post-push']
+
+/**
+ * Gets the commands configured for a hook
+ * @param {string} name - Hook name (e.g. 'pre-push')
+ * @returns {Array<string>} Commands in the order they run (none if the hook is not set)
+ * @throws {Error} If [hooks] names an unknown hook or holds something other than a command or a list of commands
+ */
+export function getHookCommands(name) {
+	const hooks = readConfigFile().hooks || {}
+	for (const [key, value] of Object.entries(hooks)) {
+		if (!HOOK_NAMES.includes(key)) {
+			throw new Error(`Unknown hook "${key}" in [hooks] of cx.toml. Use ${HOOK_NAMES.join(', ')}`)
+		}
+		const commands = Array.isArray(value) ? value : [value]
+		if (commands.some(command => typeof command !== 'string' || !command.trim())) {
+			throw new Error(`[hooks] ${key} in cx.toml must be a command or a list of commands`)
+		}
+	}
+
+	const value = hooks[name]
+	if (value === undefined) {
+		return []
+	}
+	return Array.isArray(value) ? value : [value]
+}
+
+/**
+ * Runs the commands of a hook in a shell, stopping at the first one that fails
+ * Commands run in the project folder with CX_HOOK set to the hook name and CX_FILES
+ * to the synced files involved, one path per line
+ * @param {string} name - Hook name (e.g. 'pre-push')
+ * @param {Object} [options] - Hook options
+ * @param {Array<string>} [options.files] - Synced files being pushed or that were pulled
+ * @param {boolean} [options.json] - Send the commands' output to stderr, so stdout stays JSON only
+ * @returns {{success: boolean, error?: string}} Whether every command exited with code 0
+ * @throws {Error} If [hooks] in cx.toml is invalid
+ */
+export function runHook(name, options = {}) {
+	for (const command of getHookCommands(name)) {
+		console.log(`🪝 Running ${name} hook: ${command}`)
+		const result = spawnSync(command, {
+			shell: true,
+			stdio: ['inherit', options.json ? 2 : 'inherit', 'inherit'],
+			env: { ...process.env, CX_HOOK: name, CX_FILES: (options.files || []).join('\n') }
+		})
+
+		if (result.error) {
+			return { success: false, error: `${name} hook "${command}" could not be run: ${result.error.message}` }
+		}
+		if (result.status !== 0) {
+			return { success: false, error: `${name} hook "${command}" failed (${result.signal ? `killed by ${result.signal}` : `exit code ${result.status}`})` }
+		}
+	}
+	return { success: true }
+}
@@ -0,0 +1,141 @@
+/**
+ * Ignore rules for sync - gitignore-style patterns from .cxignore and the [sync] ignore list in cx.toml
+ * Paths are matched relative to the project root, e.g. 'src/helpers/format.js'
+ */
+
+import { existsSync, readFileSync } from 'fs'
+import { relative, sep } from 'path'
+import { IGNORE_FILE } from './constants.js'
+import { readConfigFile } from './config.js'
+
+/**
+ * Converts a gitignore glob to a regular expression source
+ * Supports '*', '?', '[...]' and '**' (any number of folders)
+ * @param {string} glob - Pattern without leading '!' or '/' and trailing '/'
+ * @returns {string} Regular expression source (without anchors)
+ */
+export function globToRegex(glob) {
+	let source = ''
+	for (let i = 0; i < glob.length; i++) {
+		const char = glob[i]
+		if (char === '*' && glob[i + 1] === '*') {
+			if (glob[i + 2] === '/') {
+				// 'a/**/b' matches 'a/b', 'a/x/b', 'a/x/y/b'
+				source += '(?:.*/)?'
+				i += 2
+			} else {
+				source += '.*'
+				i += 1
+			}
+		} else if (char === '*') {
+			source += '[^/]*'
+		} else if (char === '?') {
+			source += '[^/]'
+		} else if (char === '[') {
+			const end = glob.indexOf(']', i + 2)
+			if (end === -1) {
+				source += '\\['
+				continue
+			}
+			const body = glob.slice(i + 1, end).replace(/\\/g, '\\\\')
+			source += body.startsWith('!') ? `[^${body.slice(1)}]` : `[${body}]`
+			i = end
+		} else if (char === '\\' && i + 1 < glob.length) {
+			source += glob[++i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+		} else {
+			source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&')
+		}
+	}
+	return source
+}
+
+/**
+ * Parses gitignore-style pattern lines into ignore rules
+ * @param {Array<string>} lines - Pattern lines (blank lines and '#' comments are skipped)
+ * @returns {Array<{regex: RegExp, negate: boolean, dirOnly: boolean}>} Rules in file order
+ */
+export function parseIgnorePatterns(lines) {
+	const rules = []
+	for (const rawLine of lines) {
+		let pattern = String(rawLine).replace(/(?<!\\)\s+$/, '')
+		if (!pattern || pattern.startsWith('#')) continue
+
+		const negate = pattern.startsWith('!')
+		if (negate) {
+			pattern = pattern.slice(1)
+		} else if (pattern.startsWith('\\#') || pattern.startsWith('\\!')) {
+			pattern = pattern.slice(1)
+		}
+
+		const dirOnly = pattern.endsWith('/')
+		if (dirOnly) {
+			pattern = pattern.slice(0, -1)
+		}
+
+		// A '/' at the start or in the middle anchors the pattern to the project root
+		const anchored = pattern.includes('/')
+		pattern = pattern.replace(/^\//, '')
+		if (!pattern) continue
+
+		const prefix = anchored ? '^' : '^(?:.*/)?'
+		rules.push({ regex: new RegExp(`${prefix}${globToRegex(pattern)}$`), negate, dirOnly })
+	}
+	return rules
+}
+
+/**
+ * Loads ignore rules from .cxignore and the [sync] ignore list in cx.toml
+ * @returns {Array<{regex: RegExp, negate: boolean, dirOnly: boolean}>} Rules (cx.toml patterns come after .cxignore)
+ */
+export function loadIgnoreRules() {
+	const lines = existsSync(IGNORE_FILE)
+		? readFileSync(IGNORE_FILE, 'utf-8').split(/\r?\n/)
+		: []
+
+	const syncConfig = readConfigFile().sync
+	if (syncConfig && Array.isArray(syncConfig.ignore)) {
+		lines.push(...syncConfig.ignore)
+	}
+
+	return parseIgnorePatterns(lines)
+}
+
+/**
+ * Applies rules to a single path; the last matching rule wins
+ * @param {string} path - Project-relative path using '/'
+ * @param {boolean} isDir - Whether the path is a folder
+ * @param {Array<Object>} rules - Rules from parseIgnorePatterns
+ * @returns {boolean} True if the path is ignored
+ */
+function matchRules(path, isDir, rules) {
+	let ignored = false
+	for (const rule of rules) {
+		if (rule.dirOnly && !isDir) continue
+		if (rule.regex.test(path)) {
+			ignored = !rule.negate
+		}
+	}
+	return ignored
+}
+
+/**
+ * Checks whether a local sync path is ignored
+ * As in git, a file inside an ignored folder cannot be re-included with '!'
+ * @param {string} filepath - Local path (e.g. './src/drafts/old.js' or 'src/drafts/old.js')
+ * @param {Array<Object>} [rules] - Rules from loadIgnoreRules (loaded when omitted)
+ * @param {boolean} [isDir] - Whether the path is a folder
+ * @returns {boolean} True if the path is ignored
+ */
+export function isIgnored(filepath, rules = loadIgnoreRules(), isDir = false) {
+	if (rules.length === 0) {
+		return false
+	}
+
+	const segments = relative('.', filepath).split(sep)
+	for (let i = 1; i < segments.length; i++) {
+		if (matchRules(segments.slice(0, i).join('/'), true, rules)) {
+			return true
+		}
+	}
+	return matchRules(segments.join('/'), isDir, rules)
+}
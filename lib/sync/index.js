@@ -4,52 +4,248 @@
  */
 
 import { existsSync, readFileSync } from 'fs'
-import { join } from 'path'
+import { join, dirname, basename } from 'path'
 import { confirm, select } from '@inquirer/prompts'
 import { handleError } from '../utils.js'
-import { SYNC_TYPES, SRC_DIR, QUERY_DIR, TEMPLATE_DIR } from './constants.js'
-import { pullItems, pushItems, getAllSyncFiles, deleteSyncFile, getExistingSyncFiles, cleanSyncDirectories, fetchAllItems, filterByAppId, fetchItemById } from './files.js'
-import { pullEnvVars, pushEnvVars, writeLocalEnvFile, updateLocalEnvKey, removeLocalEnvKey } from './env.js'
+import { SYNC_TYPES, SRC_DIR, QUERY_DIR, TEMPLATE_DIR, EXIT_CODES } from './constants.js'
+import { pullItems, pushItems, pushFile, getAllSyncFiles, deleteSyncFile, getExistingSyncFiles, cleanSyncDirectories, fetchAllItems, filterByAppId, fetchItemById, getLocalFilename, getSyncPath, listSyncFiles, isSyncPattern, createSyncMatcher } from './files.js'
+import { pullEnvVars, pushEnvVars, writeLocalEnvFile, readLocalEnvFile, updateLocalEnvKey, removeLocalEnvKey, getStageEnvFile } from './env.js'
 import { showPullDiffs, showPushDiffs, displayEnvDiffs, displayEnvPushDiffs } from './diff.js'
 import { makeAuthenticatedRequest } from '../utils.js'
 import { CONFIG_SECTIONS, pullConfigSection, pushConfigSection, displayConfigDiffs } from './config.js'
+import { readBaseContent, readManifest, markFileSynced, writeFileSyncStates, getRemoteTimestamp, updateManifest, captureSyncState, restoreSyncState, getActiveStage } from './state.js'
+import { resolvePull, getMergeToolCommand, runMergeTool } from './merge.js'
+import { isIgnored } from './ignore.js'
+import { loadCustomSyncTypes } from './types.js'
+import { runPool } from './pool.js'
+import { createUndoLog } from './rollback.js'
+import { getChangedSyncPaths } from './git.js'
+import { saveSnapshot, toSnapshotItem } from './snapshots.js'
+import { checkSyntax, formatSyntaxError } from './check.js'
+import { runHook } from './hooks.js'
+import { validateProject, formatIssue } from './validate.js'
+import { describeMeta, writeMetaTables, getRemoteMeta, getLocalMeta, mergeMeta, diffMeta } from './meta.js'
 import { runAction } from '../run.js'
 
 // Re-export env helpers
-export { writeLocalEnvFile, updateLocalEnvKey, removeLocalEnvKey }
+export { writeLocalEnvFile, readLocalEnvFile, updateLocalEnvKey, removeLocalEnvKey }
 
 // Re-export config functions for direct use
 export { pullConfigSection, pushConfigSection, CONFIG_SECTIONS } from './config.js'
 
+// Re-export status command
+export { statusAction } from './status.js'
+
+// Re-export diff command
+export { diffAction } from './compare.js'
+
+// Re-export watch command
+export { watchAction } from './watch.js'
+
+// Re-export template preview command
+export { templatePreviewAction } from './preview.js'
+
+// Re-export the sync type registry for plugins
+export { registerSyncType, loadCustomSyncTypes } from './types.js'
+
+// Re-export remote snapshots and rollback
+export { snapshotsAction } from './snapshots.js'
+export { rollbackAction } from './restore.js'
+
+// Re-export validate command
+export { validateAction } from './validate.js'
+
+// Re-export stage wrapper
+export { withStage } from './stage.js'
+
+/**
+ * Runs a pull or push, printing a JSON report to stdout afterwards with --json
+ * Progress output is moved to stderr meanwhile so stdout stays machine-readable
+ * @param {Object} options - Command options
+ * @param {Object} report - Report filled in by the action (plan, results, error)
+ * @param {Function} action - Async action to run
+ */
+async function runWithReport(options, report, action) {
+	if (!options.json) {
+		return action()
+	}
+
+	const log = console.log
+	console.log = console.error
+	try {
+		await action()
+	} finally {
+		console.log = log
+	}
+	console.log(JSON.stringify({ ...report, exitCode: process.exitCode || EXIT_CODES.SUCCESS }, null, 2))
+}
+
+/**
+ * Checks the non-interactive options of pull and push
+ * @param {string} [filename] - Optional specific file or glob pattern
+ * @param {Object} options - Command options
+ * @returns {string|null} Error message or null if the options are valid
+ */
+function validateBatchOptions(filename, options) {
+	if (filename && !isSyncPattern(filename) && (options.dryRun || options.json)) {
+		return '--dry-run and --json are not supported for a single file'
+	}
+	if (filename && (options.changedSince || options.staged)) {
+		return '--changed-since and --staged are not supported with a file or pattern'
+	}
+	if (options.changedSince && options.staged) {
+		return 'Use either --changed-since or --staged, not both'
+	}
+	// Prompts would corrupt the JSON output
+	if (options.json && !options.yes && !options.dryRun) {
+		return '--json requires --yes or --dry-run'
+	}
+	return null
+}
+
+/**
+ * Counts the config record changes a push applies
+ * @param {Object} configResults - Config section preview results
+ * @param {boolean} prune - Whether records removed from cx.toml are deleted remotely
+ * @returns {number} Creates, updates and (with prune) deletions
+ */
+function countConfigChanges(configResults, prune) {
+	return Object.values(configResults).reduce((sum, r) =>
+		sum + (r.success ? (r.toCreate.length + r.toUpdate.length + (prune ? r.toDelete.length : 0)) : 0), 0)
+}
+
+/**
+ * Sets the exit code of a pull or push from its outcome
+ * @param {number} succeeded - Number of items applied
+ * @param {number} failed - Number of items that failed
+ * @param {number} incomplete - Number of items skipped or left with merge conflicts
+ */
+function setOutcomeExitCode(succeeded, failed, incomplete) {
+	if (failed > 0 && succeeded === 0) {
+		process.exitCode = EXIT_CODES.ERROR
+	} else if (failed > 0 || incomplete > 0) {
+		process.exitCode = EXIT_CODES.PARTIAL
+	}
+}
+
+/**
+ * Runs a pre-pull or pre-push hook, stopping the command if it fails
+ * @param {string} name - Hook name ('pre-pull' or 'pre-push')
+ * @param {Array<string>} files - Synced files involved
+ * @param {Object} options - Command options
+ * @param {Object} [report] - Report for --json
+ * @returns {boolean} Whether the command may go ahead
+ * @throws {Error} If [hooks] in cx.toml is invalid
+ */
+function runPreHook(name, files, options, report = {}) {
+	const result = runHook(name, { files, json: options.json })
+	if (!result.success) {
+		report.error = result.error
+		console.error(`❌ ${result.error}`)
+		console.error(`🚫 ${name === 'pre-push' ? 'Push' : 'Pull'} stopped by the ${name} hook. Use --no-verify to skip it.`)
+		process.exitCode = EXIT_CODES.ERROR
+	}
+	return result.success
+}
+
+/**
+ * Runs a post-pull or post-push hook
+ * The pull or push is already applied, so a failing hook only makes the exit code partial
+ * @param {string} name - Hook name ('post-pull' or 'post-push')
+ * @param {Array<string>} files - Synced files that were pulled or pushed
+ * @param {Object} options - Command options
+ * @param {Object} [report] - Report for --json
+ */
+function runPostHook(name, files, options, report = {}) {
+	let result
+	try {
+		result = runHook(name, { files, json: options.json })
+	} catch (error) {
+		result = { success: false, error: error.message }
+	}
+	if (!result.success) {
+		report.hookError = result.error
+		console.error(`❌ ${result.error}`)
+		process.exitCode = process.exitCode || EXIT_CODES.PARTIAL
+	}
+}
+
+/**
+ * Validates cx.toml, cx.env and the sync folder names before a push
+ * @param {boolean} silent - Whether to suppress warnings
+ * @param {Object} [report] - Report for --json, which gets the validation errors
+ * @returns {boolean} Whether there are no errors
+ */
+function passesValidation(silent, report = {}) {
+	const { errors, warnings } = validateProject()
+	if (!silent) {
+		warnings.forEach(warning => console.log(`⚠️  ${formatIssue(warning)}`))
+	}
+	report.validationErrors = errors
+	if (errors.length === 0) {
+		return true
+	}
+
+	report.error = `${errors.length} validation error(s) in cx.toml, cx.env or the sync folders`
+	console.error(`\n❌ ${report.error}:`)
+	errors.forEach(error => console.error(`   • ${formatIssue(error)}`))
+	console.error('🚫 Push blocked. Fix the errors (run "cx validate" to check again), or use --no-verify to push anyway.')
+	process.exitCode = EXIT_CODES.ERROR
+	return false
+}
+
+/**
+ * Checks the syntax of the scripts and templates about to be pushed
+ * @param {Array<{filepath: string, content: string}>} files - Files about to be pushed
+ * @param {boolean} silent - Whether to suppress the progress line
+ * @param {Object} [report] - Report for --json, which gets the syntax errors
+ * @returns {Promise<boolean>} Whether every file parses
+ */
+async function passesSyntaxCheck(files, silent, report = {}) {
+	const errors = await checkSyntax(files, { silent })
+	report.syntaxErrors = errors
+	if (errors.length === 0) {
+		return true
+	}
+
+	report.error = `${errors.length} file(s) have syntax errors`
+	console.error(`\n❌ ${errors.length} file(s) have syntax errors:`)
+	errors.forEach(error => console.error(`   • ${formatSyntaxError(error)}`))
+	console.error('🚫 Push blocked. Fix the errors, or use --no-verify to push anyway.')
+	process.exitCode = EXIT_CODES.ERROR
+	return false
+}
+
 /**
  * Pull a single specific file from remote
- * @param {string} filename - File name to pull
+ * @param {string} filename - Name or path of the file to pull (any sync type)
  * @param {boolean} silent - Whether to suppress output
+ * @param {string|null} [mergeTool] - Merge tool command used to resolve conflicts
+ * @returns {Promise<string|null>} Local path of the pulled file, or null if it was already up to date
  */
-async function pullSingleFile(filename, silent) {
+async function pullSingleFile(filename, silent, mergeTool = null) {
 	const { writeFileSync, mkdirSync } = await import('fs')
-	const config = SYNC_TYPES.scriptforge
-	
-	// Normalize the filename - could be with extension or just name
-	const searchName = filename.endsWith(config.extension) 
-		? filename.slice(0, -config.extension.length) 
-		: filename
-	const fullFilename = searchName + config.extension
+	const { syncType, config, filepath, filename: fullFilename, name: searchName } = resolveSyncFile(filename)
+
+	if (isIgnored(filepath)) {
+		console.error(`❌ Error: ${filepath} is ignored (.cxignore or [sync] ignore in cx.toml)`)
+		process.exit(1)
+	}
 
 	if (!silent) {
 		console.log(`📡 Fetching ${fullFilename} from remote...`)
 	}
 
-	// Fetch remote items to find matching script
-	const allRemoteItems = await fetchAllItems('scriptforge', true)
-	const remoteItems = filterByAppId(allRemoteItems, 'scriptforge')
+	// Fetch remote items to find the matching one
+	const allRemoteItems = await fetchAllItems(syncType, true)
+	const remoteItems = filterByAppId(allRemoteItems, syncType)
 	
-	// Find matching remote item by name
-	const remoteItem = remoteItems.find(item => item.name === searchName)
+	// Find matching remote item by local filename (template names may include the extension)
+	const remoteItem = remoteItems.find(item => getLocalFilename(item, config) === fullFilename)
 	
 	if (!remoteItem) {
-		console.error(`❌ Error: Script not found on remote: ${searchName}`)
-		console.log('   Available scripts:')
+		console.error(`❌ Error: ${config.displayName} not found on remote: ${searchName}`)
+		console.log(`   Available ${config.displayNamePlural}:`)
 		remoteItems.slice(0, 10).forEach(item => console.log(`     • ${item.name}`))
 		if (remoteItems.length > 10) {
 			console.log(`     ... and ${remoteItems.length - 10} more`)
@@ -58,8 +254,16 @@ async function pullSingleFile(filename, silent) {
 	}
 
 	// Fetch full content
-	const fullRemote = await fetchItemById('scriptforge', remoteItem.id, true)
+	const fullRemote = await fetchItemById(syncType, remoteItem.id, true)
 	const remoteContent = fullRemote[config.contentField] || ''
+	const remoteMeta = getRemoteMeta(fullRemote, config)
+	const syncedRemote = {
+		syncType,
+		id: fullRemote.id,
+		name: fullRemote.name,
+		updated: getRemoteTimestamp(fullRemote),
+		meta: remoteMeta
+	}
 
 	// Ensure directory exists
 	if (!existsSync(config.dir)) {
@@ -68,16 +272,59 @@ async function pullSingleFile(filename, silent) {
 			console.log(`📁 Created ${config.dir} directory`)
 		}
 	}
+	// Names with '/' are stored in subfolders
+	mkdirSync(dirname(filepath), { recursive: true })
 
 	// Check if local file exists and compare
-	const filepath = join(config.dir, fullFilename)
+	let content = remoteContent
+	let meta = remoteMeta
 	if (existsSync(filepath)) {
 		const localContent = readFileSync(filepath, 'utf-8')
+		const manifest = readManifest()
+		const merged = mergeMeta(getLocalMeta(filepath, config, { remote: remoteMeta, manifest }), remoteMeta, manifest.files[filepath]?.meta)
+		merged.overwritten.forEach(field => console.log(`⚠️  ${fullFilename}: ${field} was changed locally and remotely, using the remote value`))
+		meta = merged.meta
+		const metaChanges = diffMeta(meta, getLocalMeta(filepath, config, { manifest }))
+
 		if (localContent === remoteContent) {
-			console.log(`✨ ${fullFilename} is already up to date`)
-			return
+			writeMetaTables([{ filepath, config, meta }])
+			markFileSynced(filepath, syncedRemote, remoteContent)
+			if (metaChanges.length === 0) {
+				console.log(`✨ ${fullFilename} is already up to date`)
+				return null
+			}
+			console.log(`✅ Pulled ${fullFilename} (updated ${metaChanges.join(', ')})`)
+			return filepath
 		}
-		if (!silent) {
+
+		// Three-way merge local changes with remote changes
+		const baseContent = readBaseContent(filepath)
+		const resolution = resolvePull(baseContent, localContent, remoteContent)
+		content = resolution.content
+
+		if (resolution.status === 'conflict' && mergeTool) {
+			const toolResult = runMergeTool(mergeTool, fullFilename, {
+				base: baseContent,
+				local: localContent,
+				remote: remoteContent,
+				merged: resolution.content
+			})
+			if (toolResult.success) {
+				content = toolResult.content
+				resolution.status = 'merge'
+			} else {
+				console.error(`⚠️  ${fullFilename}: ${toolResult.error}`)
+			}
+		}
+
+		if (resolution.status === 'conflict') {
+			console.log(`⚠️  ${fullFilename} has ${resolution.conflicts} conflict(s) - resolve the markers before pushing`)
+			process.exitCode = EXIT_CODES.PARTIAL
+		} else if (resolution.status === 'merge') {
+			console.log(`🔀 ${fullFilename} merged local and remote changes`)
+		} else if (resolution.status === 'keep') {
+			console.log(`✨ ${fullFilename} has only local changes, keeping them`)
+		} else if (!silent) {
 			console.log(`📝 ${fullFilename} will be updated (remote has changes)`)
 		}
 	} else {
@@ -86,31 +333,149 @@ async function pullSingleFile(filename, silent) {
 		}
 	}
 
-	// Write the file
-	writeFileSync(filepath, remoteContent, 'utf-8')
+	// Write the file and record the remote content as the new base
+	writeFileSync(filepath, content, 'utf-8')
+	writeMetaTables([{ filepath, config, meta }])
+	markFileSynced(filepath, syncedRemote, remoteContent)
 	console.log(`✅ Pulled ${fullFilename}`)
+	return filepath
+}
+
+/**
+ * Gets the pull summary annotation for a file with local differences
+ * @param {Object} diff - Entry from pullItems itemsWithDiffs
+ * @returns {string} Annotation to display next to the filename
+ */
+function describeMergeStatus(diff) {
+	switch (diff.mergeStatus) {
+		case 'overwrite':
+			return ' ⚠️  (will overwrite local changes)'
+		case 'keep':
+			return ' (local changes kept)'
+		case 'merge':
+			return ' 🔀 (will merge with local changes)'
+		case 'conflict':
+			return ` ⚠️  (${diff.conflictCount} conflict(s) with local changes)`
+		default:
+			return ''
+	}
+}
+
+/**
+ * Builds the machine-readable pull plan from the preview results
+ * Env var and config changes list keys and IDs only, never values
+ * @param {Object} results - Preview results per sync type
+ * @param {Object} envResults - Env var preview results
+ * @param {Object} configResults - Config section preview results
+ * @returns {Object} Plan with files, env and config changes
+ */
+function buildPullPlan(results, envResults, configResults) {
+	const files = []
+	for (const [syncType, config] of Object.entries(SYNC_TYPES)) {
+		const result = results[syncType]
+		for (const item of result.items) {
+			const filepath = join(config.dir, getLocalFilename(item, config))
+			const diff = result.itemsWithDiffs.find(d => d.item.id === item.id)
+			const rename = result.renames.find(r => r.id === item.id)
+			const action = diff ? diff.mergeStatus : (existsSync(rename ? rename.from : filepath) ? 'unchanged' : 'create')
+			files.push({
+				type: syncType,
+				path: filepath,
+				id: item.id,
+				name: item.name,
+				action,
+				...(rename ? { renamedFrom: rename.from } : {}),
+				...(diff && diff.conflictCount > 0 ? { conflicts: diff.conflictCount } : {})
+			})
+		}
+	}
+
+	const config = {}
+	for (const [sectionType, sectionConfig] of Object.entries(CONFIG_SECTIONS)) {
+		const result = configResults[sectionType]
+		config[sectionConfig.key] = result.skipped
+			? { skipped: true }
+			: result.success
+				? { total: result.total, changes: result.diffs.map(d => ({ id: d.id, type: d.type })) }
+				: { error: result.error }
+	}
+
+	return {
+		files,
+		env: envResults.skipped
+			? { skipped: true }
+			: envResults.success
+				? { total: envResults.total, changes: envResults.diffs.map(d => ({ key: d.key, type: d.type })) }
+				: { error: envResults.error },
+		config
+	}
 }
 
 /**
  * Pull command - syncs remote files to local directories
  * @param {string} [filename] - Optional specific file to pull
  * @param {Object} options - Command options
+ * @param {boolean} [options.yes] - Answer every prompt with its default (non-interactive)
+ * @param {boolean} [options.dryRun] - Show what would be pulled without pulling
+ * @param {boolean} [options.json] - Print the plan and results as JSON
+ * @param {boolean} [options.verify] - false with --no-verify: skip the pre-pull hook
  */
 export async function pullAction(filename, options) {
+	const report = { command: 'pull', dryRun: !!options.dryRun, plan: null, results: null }
+	await runWithReport(options, report, () => runPull(filename, options, report))
+}
+
+/**
+ * Runs the pull command, filling in the report
+ * @param {string} [filename] - Optional specific file to pull
+ * @param {Object} options - Command options
+ * @param {Object} report - Report for --json
+ */
+async function runPull(filename, options, report) {
 	try {
-		const silent = options.silent || options.raw || false
+		const silent = options.silent || options.raw || options.json || false
+		const interactive = !options.yes && !options.dryRun
+		const optionsError = validateBatchOptions(filename, options)
+		if (optionsError) {
+			report.error = optionsError
+			handleError(optionsError, false)
+			process.exitCode = EXIT_CODES.ERROR
+			return
+		}
+		loadCustomSyncTypes()
+		const mergeTool = options.mergeTool ? getMergeToolCommand(options.mergeTool) : null
+		if (options.mergeTool && !mergeTool) {
+			console.log('⚠️  No merge tool configured. Set CX_MERGE_TOOL or pass --merge-tool <command>. Conflicts will be marked in files.')
+		}
 
-		// If filename is provided, do single-file pull
-		if (filename) {
-			return pullSingleFile(filename, silent)
+		// --no-verify skips the pre-pull hook, as it does pre-push; a dry run runs no hooks
+		const verify = options.verify !== false && !options.dryRun
+		if (verify && !runPreHook('pre-pull', [], options, report)) {
+			return
+		}
+
+		// If filename is provided, do single-file pull; a glob pattern pulls the matching items
+		const pattern = filename && isSyncPattern(filename) ? filename : null
+		if (filename && !pattern) {
+			const pulled = await pullSingleFile(filename, silent, mergeTool)
+			if (pulled) {
+				runPostHook('post-pull', [pulled], options, report)
+			}
+			return
 		}
 
 		console.log('🔄 Starting pull operation...\n')
+		const match = pattern ? createSyncMatcher(pattern) : undefined
+		if (pattern) {
+			console.log(`🔎 Limiting the pull to remote items matching ${pattern} (cx.env and cx.toml are left alone)\n`)
+		}
+		// Env vars and config records are not part of a pattern pull
+		const skippedResult = () => ({ success: false, skipped: true, total: 0, diffs: [] })
 
 		// Check for existing files in sync directories
-		const existingFiles = getExistingSyncFiles()
+		const existingFiles = pattern ? [] : getExistingSyncFiles()
 		
-		if (existingFiles.length > 0 && !silent) {
+		if (existingFiles.length > 0 && !silent && interactive) {
 			// Group files by type for display
 			const filesByType = {}
 			for (const file of existingFiles) {
@@ -137,7 +502,7 @@ export async function pullAction(filename, options) {
 			const cleanChoice = await select({
 				message: `Found ${existingFiles.length} existing file(s). Would you like to clean the working directory first?`,
 				choices: [
-					{ name: 'No, keep existing files (pull will overwrite matching files)', value: 'keep' },
+					{ name: 'No, keep existing files (pull will merge with local changes)', value: 'keep' },
 					{ name: 'Yes, delete all sync files before pulling', value: 'clean' },
 					{ name: 'Cancel pull operation', value: 'cancel' }
 				],
@@ -166,16 +531,16 @@ export async function pullAction(filename, options) {
 		// First, do a preview to analyze changes for all sync types
 		const results = {}
 		for (const syncType of Object.keys(SYNC_TYPES)) {
-			results[syncType] = await pullItems(syncType, silent, true)
+			results[syncType] = await pullItems(syncType, silent, true, { match })
 		}
 
 		// Also preview env vars
-		const envResults = await pullEnvVars(silent, true)
+		const envResults = pattern ? skippedResult() : await pullEnvVars(silent, true)
 
 		// Preview config sections (domain, etc.)
 		const configResults = {}
 		for (const sectionType of Object.keys(CONFIG_SECTIONS)) {
-			configResults[sectionType] = await pullConfigSection(sectionType, silent, true)
+			configResults[sectionType] = pattern ? skippedResult() : await pullConfigSection(sectionType, silent, true)
 		}
 
 		const totalItems = Object.values(results).reduce((sum, r) => sum + r.total, 0)
@@ -186,6 +551,12 @@ export async function pullAction(filename, options) {
 		const hasLocalConfigData = Object.values(configResults).some(r => 
 			r.success && r.localData && r.localData.length > 0)
 
+		if (pattern && totalItems === 0) {
+			report.error = `No remote items match ${pattern}`
+			handleError(report.error, false)
+			process.exitCode = EXIT_CODES.ERROR
+			return
+		}
 		if (totalItems === 0 && !envResults.success && totalConfigItems === 0 && !hasLocalConfigData) {
 			console.log('\n📭 No items found to pull.')
 			return
@@ -200,9 +571,11 @@ export async function pullAction(filename, options) {
 			if (result.total > 0) {
 				console.log(`\n${config.icon} ${config.displayNamePlural}: ${result.total} file(s)`)
 				result.items.forEach(item => {
-					const filename = `${item.name}${config.extension}`
-					const hasLocalDiff = result.itemsWithDiffs.some(d => d.filename === filename)
-					console.log(`  • ${filename}${hasLocalDiff ? ' ⚠️  (will overwrite local changes)' : ''}`)
+					const localDiff = result.itemsWithDiffs.find(d => d.item.id === item.id)
+					const rename = result.renames.find(r => r.id === item.id)
+					const filename = localDiff ? localDiff.filename : `${item.name}${config.extension}`
+					const meta = item._meta ? describeMeta(item._meta.meta, config) : ''
+					console.log(`  • ${filename}${meta}${rename ? ` 🔀 (renamed from ${getSyncPath(config, rename.from)})` : ''}${localDiff ? describeMergeStatus(localDiff) : ''}`)
 				})
 			}
 		}
@@ -246,15 +619,33 @@ export async function pullAction(filename, options) {
 		
 		console.log(`📊 Total: ${totalItems} file(s) (${syncTypeSummary})`)
 
-		if (allItemsWithDiffs.length > 0) {
-			console.log(`⚠️  Warning: ${allItemsWithDiffs.length} file(s) have local changes that will be overwritten`)
+		const overwriteCount = allItemsWithDiffs.filter(d => d.mergeStatus === 'overwrite').length
+		const mergeCount = allItemsWithDiffs.filter(d => d.mergeStatus === 'merge').length
+		const conflictCount = allItemsWithDiffs.filter(d => d.mergeStatus === 'conflict').length
+		if (overwriteCount > 0) {
+			console.log(`⚠️  Warning: ${overwriteCount} file(s) have local changes that will be overwritten (never synced, no base to merge from)`)
+		}
+		if (mergeCount > 0) {
+			console.log(`🔀 ${mergeCount} file(s) will be merged with local changes`)
+		}
+		if (conflictCount > 0) {
+			console.log(`⚠️  Warning: ${conflictCount} file(s) have conflicting changes${mergeTool ? ' (merge tool will be opened)' : ' (conflict markers will be written)'}`)
+		}
+
+		report.plan = buildPullPlan(results, envResults, configResults)
+		if (pattern) {
+			report.plan.pattern = pattern
+		}
+		if (options.dryRun) {
+			console.log('\n🔍 Dry run: nothing was pulled.')
+			return
 		}
 
 		// Ask if user wants to view diffs
 		let viewDiffs = false
 		const hasDiffs = allItemsWithDiffs.length > 0 || envResults.diffs.length > 0 || configWithDiffs.length > 0
 		
-		if (hasDiffs && !silent) {
+		if (hasDiffs && !silent && interactive) {
 			const diffChoice = await select({
 				message: 'Files with local changes detected. What would you like to do?',
 				choices: [
@@ -303,7 +694,7 @@ export async function pullAction(filename, options) {
 		confirmMsg += '?'
 
 		// Confirm operation
-		const shouldProceed = await confirm({
+		const shouldProceed = options.yes || await confirm({
 			message: confirmMsg,
 			default: true
 		})
@@ -318,27 +709,40 @@ export async function pullAction(filename, options) {
 		
 		const pullResults = {}
 		for (const syncType of Object.keys(SYNC_TYPES)) {
-			pullResults[syncType] = await pullItems(syncType, silent, false)
+			pullResults[syncType] = await pullItems(syncType, silent, false, { mergeTool, match })
 		}
 
-		// Pull env vars (always create cx.env, even if empty)
+		// Pull env vars (always create cx.env, even if empty; a stage writes its overlay)
+		const failedSources = []
+		const stage = getActiveStage()
+		const envFile = stage ? basename(getStageEnvFile(stage)) : 'cx.env'
 		if (envResults.success) {
-			await pullEnvVars(silent, false)
-			if (envResults.total > 0) {
-				console.log(`✅ cx.env (${envResults.total} variables)`)
-			} else {
+			const envPullResult = await pullEnvVars(silent, false)
+			if (!envPullResult.success) {
+				console.error(`❌ Failed to pull env vars: ${envPullResult.error}`)
+				failedSources.push('cx.env')
+			} else if (envResults.total > 0) {
+				console.log(`✅ ${envFile} (${envResults.total} variables)`)
+			} else if (!stage) {
 				console.log(`✅ cx.env (created empty file)`)
 			}
 		}
 
 		// Pull config sections (domain, etc.)
+		let pulledConfig = false
 		for (const [sectionType, sectionConfig] of Object.entries(CONFIG_SECTIONS)) {
 			const result = configResults[sectionType]
 			// Pull if there are remote items OR local items that need to be cleared
 			const hasLocalData = result.success && result.localData && result.localData.length > 0
 			const hasRemoteData = result.success && result.total > 0
 			if (hasRemoteData || hasLocalData) {
-				await pullConfigSection(sectionType, silent, false)
+				const configPullResult = await pullConfigSection(sectionType, silent, false)
+				if (!configPullResult.success) {
+					console.error(`❌ Failed to pull ${sectionConfig.displayNamePlural}: ${configPullResult.error}`)
+					failedSources.push(`cx.toml [${sectionConfig.key}]`)
+					continue
+				}
+				pulledConfig = true
 				if (hasRemoteData) {
 					console.log(`✅ cx.toml [${sectionConfig.key}] (${result.total} ${sectionConfig.displayNamePlural.toLowerCase()})`)
 				} else {
@@ -356,8 +760,31 @@ export async function pullAction(filename, options) {
 				console.log(`   └─ ${result.pulled}/${result.total} ${config.displayNamePlural} → ${config.dir}`)
 			}
 		}
+
+		const allConflicts = Object.values(pullResults).flatMap(r => r.conflicts)
+		if (allConflicts.length > 0) {
+			console.log(`\n⚠️  ${allConflicts.length} file(s) have merge conflicts. Resolve the markers, then push:`)
+			allConflicts.forEach(filepath => console.log(`    • ${filepath}`))
+		}
+
+		const pullTotal = Object.values(pullResults).reduce((sum, r) => sum + r.total, 0)
+		const failedCount = pullTotal - totalPulled + failedSources.length
+		report.results = { pulled: totalPulled, failed: failedCount, failedSources, conflicts: allConflicts }
+		setOutcomeExitCode(totalPulled, failedCount, allConflicts.length)
+
+		// e.g. a formatter run over the files that were just written
+		const pulledFiles = [
+			...Object.values(pullResults).flatMap(r => r.written),
+			...(envResults.success && !failedSources.includes('cx.env') && existsSync(envFile) ? [envFile] : []),
+			...(pulledConfig ? ['cx.toml'] : [])
+		]
+		if (pulledFiles.length > 0) {
+			runPostHook('post-pull', pulledFiles, options, report)
+		}
 	} catch (error) {
+		report.error = error.message
 		handleError(error.message, options.silent || options.raw)
+		process.exitCode = EXIT_CODES.ERROR
 	}
 }
 
@@ -368,6 +795,7 @@ export async function pullAction(filename, options) {
 export async function clearAction(options) {
 	try {
 		const silent = options.silent || options.raw || false
+		loadCustomSyncTypes()
 
 		const allFiles = getAllSyncFiles()
 		
@@ -442,174 +870,405 @@ export async function clearAction(options) {
 }
 
 /**
- * Push a single specific file to remote
- * @param {string} filename - File name or path to push
+ * Asks before overwriting an item that was changed remotely since the last pull or push
+ * @param {string} filepath - Local file path
+ * @returns {Promise<boolean>} Whether to go ahead with the push
+ */
+async function promptRemoteOverwrite(filepath) {
+	const overwrite = await confirm({
+		message: 'Overwrite the remote changes?',
+		default: false
+	})
+	if (!overwrite) {
+		console.log(`❌ Push cancelled. Run "cx pull ${filepath}" to merge the remote changes first.`)
+	}
+	return overwrite
+}
+
+/**
+ * Resolves a file argument to a sync type and local file path
+ * The sync folder decides the type, then the extension; plain names are scripts. Accepts e.g.
+ * 'billing/invoice', 'billing/invoice.js', 'src/billing/invoice.js', 'daily.sql' or 'template/invoice.html'
+ * @param {string} filename - Name or path, with or without extension and sync folder
+ * @returns {{syncType: string, config: Object, filepath: string, filename: string, name: string}}
+ *   Sync type, its config, local path, filename with extension (inside the sync folder) and name without extension
+ */
+function resolveSyncFile(filename) {
+	// Normalize the filename - could be a path, with extension or just name
+	const relPath = filename.replace(/\\/g, '/').replace(/^\.\//, '')
+	const types = Object.entries(SYNC_TYPES)
+	const inDir = ([, config]) => relPath.startsWith(`${config.dir.replace(/^\.\//, '')}/`)
+	const hasExtension = ([, config]) => relPath.toLowerCase().endsWith(config.extension)
+	const [syncType, config] = types.find(type => inDir(type) && hasExtension(type))
+		|| types.find(inDir)
+		|| types.find(hasExtension)
+		|| ['scriptforge', SYNC_TYPES.scriptforge]
+
+	const dir = config.dir.replace(/^\.\//, '')
+	const withinDir = relPath.startsWith(`${dir}/`) ? relPath.slice(dir.length + 1) : relPath
+	const name = withinDir.toLowerCase().endsWith(config.extension)
+		? withinDir.slice(0, -config.extension.length)
+		: withinDir
+	const fullFilename = name + config.extension
+
+	return { syncType, config, filepath: join(config.dir, fullFilename), filename: fullFilename, name }
+}
+
+/**
+ * Lists the sync files matching a glob pattern, in the shape getChangedSyncPaths returns
+ * Synced files deleted locally are included, so --prune deletes them as in a full push
+ * @param {string} pattern - Glob pattern (e.g. 'src/billing-*')
+ * @returns {{paths: Array<string>, files: Set<string>, env: boolean, config: boolean}}
+ *   Matching local file paths; cx.env and cx.toml are never part of a pattern push
+ */
+function getPatternScope(pattern) {
+	const matches = createSyncMatcher(pattern)
+	const paths = new Set()
+	for (const config of Object.values(SYNC_TYPES)) {
+		listSyncFiles(config)
+			.map(file => join(config.dir, file))
+			.filter(filepath => matches(config, filepath))
+			.forEach(filepath => paths.add(filepath))
+	}
+	for (const [filepath, entry] of Object.entries(readManifest().files)) {
+		const config = SYNC_TYPES[entry.syncType]
+		if (config && matches(config, filepath) && !isIgnored(filepath)) {
+			paths.add(join(filepath))
+		}
+	}
+
+	const sorted = [...paths].sort()
+	return { paths: sorted, files: new Set(sorted), env: false, config: false }
+}
+
+/**
+ * Push a single specific file to remote, exiting on failure
+ * @param {string} filename - Name or path of the file to push (any sync type)
  * @param {boolean} silent - Whether to suppress output
+ * @param {Object} [options] - Command options
+ * @param {boolean} [options.force] - Overwrite remote changes made since the last pull without asking
+ * @param {boolean} [options.yes] - Never prompt; remote changes are kept unless --force
+ * @param {boolean} [options.verify] - false with --no-verify: skip validation, the syntax check and the pre-push hook
+ * @returns {Promise<Object>} Result of pushFile
  */
-async function pushSingleFile(filename, silent) {
-	const config = SYNC_TYPES.scriptforge
-	
-	// Normalize the filename - could be with extension or just name
-	const searchName = filename.endsWith(config.extension) 
-		? filename.slice(0, -config.extension.length) 
-		: filename
-	const fullFilename = searchName + config.extension
+async function pushSingleFile(filename, silent, options = {}) {
+	const { syncType, config, filepath, filename: fullFilename } = resolveSyncFile(filename)
 
 	// Check if local file exists
-	const filepath = join(config.dir, fullFilename)
 	if (!existsSync(filepath)) {
 		console.error(`❌ Error: Local file not found: ${filepath}`)
 		console.log(`   Make sure the file exists in ${config.dir}/`)
 		process.exit(1)
 	}
 
-	// Read local file content
-	const localContent = readFileSync(filepath, 'utf-8')
-
-	// Fetch remote items to find matching script
-	if (!silent) {
-		console.log(`📡 Checking remote status for ${fullFilename}...`)
+	if (options.verify !== false) {
+		const files = [{ filepath, content: readFileSync(filepath, 'utf-8') }]
+		if (!await passesSyntaxCheck(files, silent) || !runPreHook('pre-push', [filepath], options)) {
+			process.exit(EXIT_CODES.ERROR)
+		}
 	}
 
-	const allRemoteItems = await fetchAllItems('scriptforge', true)
-	const remoteItems = filterByAppId(allRemoteItems, 'scriptforge')
-	
-	// Find matching remote item by name
-	const remoteItem = remoteItems.find(item => item.name === searchName)
-	
-	let needsPush = false
-	let isCreate = false
-	let remoteId = null
-	let remoteAppId = null
-
-	if (remoteItem) {
-		// Fetch full content to compare
-		const fullRemote = await fetchItemById('scriptforge', remoteItem.id, true)
-		remoteId = fullRemote.id
-		remoteAppId = fullRemote.app_id
-		
-		// Check if content differs
-		const remoteContent = fullRemote[config.contentField] || ''
-		if (remoteContent !== localContent) {
-			needsPush = true
-			if (!silent) {
-				console.log(`📝 ${fullFilename} has local changes`)
-			}
-		} else {
-			if (!silent) {
-				console.log(`✨ ${fullFilename} is already up to date`)
-			}
-			return
-		}
-	} else {
-		// New file
-		needsPush = true
-		isCreate = true
-		if (!silent) {
-			console.log(`✨ ${fullFilename} is a new file`)
+	const result = await pushFile(syncType, filepath, {
+		silent,
+		force: options.force,
+		snapshot: true,
+		confirmOverwrite: options.yes ? null : promptRemoteOverwrite
+	})
+
+	if (result.status === 'created') {
+		if (!silent) console.log(`✅ Created ${fullFilename}`)
+	} else if (result.status === 'updated') {
+		if (!silent) console.log(`✅ Updated ${fullFilename}`)
+	} else if (result.status === 'renamed') {
+		if (!silent) console.log(`✅ Renamed ${result.renamedFrom} → ${filepath}`)
+	} else if (!result.success) {
+		// promptRemoteOverwrite already explained a declined overwrite
+		if (result.status !== 'remote-modified') {
+			console.error(`❌ ${result.error}`)
+		} else if (options.yes) {
+			console.error('❌ Push skipped. Use --force to overwrite the remote changes.')
 		}
+		process.exit(EXIT_CODES.ERROR)
 	}
 
-	// Push if needed
-	if (needsPush) {
-		if (!silent) {
-			console.log(`\n📤 Pushing ${fullFilename}...`)
+	if (result.status !== 'unchanged') {
+		runPostHook('post-push', [filepath], options)
+	}
+	return result
+}
+
+/**
+ * Builds the machine-readable push plan
+ * Env var and config changes list keys and IDs only, never values
+ * @param {Object} results - pushItems results per sync type
+ * @param {Object} envResults - Env var preview results
+ * @param {Object} configResults - Config section preview results
+ * @param {boolean} prune - Whether locally deleted files will be deleted remotely
+ * @returns {Object} Plan with files, env and config changes
+ */
+function buildPushPlan(results, envResults, configResults, prune) {
+	const files = []
+	for (const [syncType, result] of Object.entries(results)) {
+		for (const file of result.toUpdate) {
+			files.push({
+				type: syncType,
+				path: file.filepath,
+				id: file.id,
+				action: file.renamedFrom ? 'rename' : 'update',
+				remoteModified: file.remoteModified,
+				...(file.renamedFrom ? { renamedFrom: file.renamedFrom } : {}),
+				...(file.metaChanges?.length ? { metaChanges: file.metaChanges } : {})
+			})
+		}
+		for (const file of result.toCreate) {
+			files.push({ type: syncType, path: file.filepath, action: 'create' })
+		}
+		for (const file of result.toDelete) {
+			// Without --prune deletions are only reported
+			files.push({ type: syncType, path: file.filepath, id: file.id, action: prune ? 'delete' : 'deleted-local', remoteModified: file.remoteModified })
 		}
+		for (const file of result.conflicted) {
+			files.push({ type: syncType, path: file.filepath, action: 'conflict' })
+		}
+	}
 
-		if (isCreate) {
-			// Create new script
-			const appId = process.env.APP_ID
-			if (!appId) {
-				console.error('❌ Cannot create new script: No APP_ID configured')
-				process.exit(1)
+	const config = {}
+	for (const [sectionType, sectionConfig] of Object.entries(CONFIG_SECTIONS)) {
+		const result = configResults[sectionType]
+		config[sectionConfig.key] = result.success
+			? {
+				changes: [
+					...result.toCreate.map(item => ({ id: item.id, action: 'create' })),
+					...result.toUpdate.map(item => ({
+						id: item.id,
+						action: item.renamedFrom ? 'rename' : 'update',
+						remoteModified: item.remoteModified,
+						...(item.renamedFrom ? { renamedFrom: item.renamedFrom } : {})
+					})),
+					// Without --prune deletions are only reported
+					...result.toDelete.map(item => ({ id: item.id, action: prune ? 'delete' : 'deleted-local', remoteModified: item.remoteModified }))
+				]
 			}
+			: { error: result.error }
+	}
 
-			const body = {
-				name: searchName,
-				[config.contentField]: localContent,
-				app_id: appId,
-				type: 'quickjs'
+	return {
+		files,
+		env: envResults.success
+			? {
+				changes: [
+					...envResults.toCreate.map(item => ({ key: item.key, action: 'create' })),
+					...envResults.toUpdate.map(item => ({ key: item.key, action: 'update', remoteModified: item.remoteModified })),
+					...envResults.toDelete.map(item => ({ key: item.key, action: 'delete', remoteModified: item.remoteModified }))
+				]
 			}
+			: { error: envResults.error },
+		config
+	}
+}
 
-			const createResult = await makeAuthenticatedRequest(
-				config.endpoint,
-				'POST',
-				body,
-				true
-			)
-
-			if (createResult.success) {
-				console.log(`✅ Created ${fullFilename}`)
-			} else {
-				console.error(`❌ Failed to create ${fullFilename}: ${createResult.error}`)
-				process.exit(1)
-			}
-		} else {
-			// Update existing script
-			const body = {
-				name: searchName,
-				[config.contentField]: localContent,
-				app_id: remoteAppId
-			}
+/**
+ * Collects the remote state a push is about to overwrite, from the remote content fetched while planning it
+ * Only the sync types, env vars and config sections the push changes are included
+ * @param {Object} results - pushItems results per sync type
+ * @param {Object} envResults - Env var preview results
+ * @param {Object} configResults - Config section preview results
+ * @param {boolean} prune - Whether locally deleted files will be deleted remotely
+ * @returns {Object} Remote state for saveSnapshot
+ */
+function buildPushSnapshot(results, envResults, configResults, prune) {
+	const files = {}
+	for (const [syncType, result] of Object.entries(results)) {
+		if (result.toUpdate.length + result.toCreate.length + (prune ? result.toDelete.length : 0) === 0) continue
+		// Templates are mapped under both of their names
+		const items = new Map([...result.remoteMap.values()].map(remote => [remote.id, toSnapshotItem(remote)]))
+		files[syncType] = { complete: result.remoteComplete, items: [...items.values()] }
+	}
 
-			const updateResult = await makeAuthenticatedRequest(
-				`${config.endpoint}/${remoteId}`,
-				'PUT',
-				body,
-				true
-			)
+	const envChanged = envResults.success && envResults.toCreate.length + envResults.toUpdate.length + envResults.toDelete.length > 0
 
-			if (updateResult.success) {
-				console.log(`✅ Updated ${fullFilename}`)
-			} else {
-				console.error(`❌ Failed to update ${fullFilename}: ${updateResult.error}`)
-				process.exit(1)
-			}
+	const config = {}
+	for (const [sectionType, sectionConfig] of Object.entries(CONFIG_SECTIONS)) {
+		const result = configResults[sectionType]
+		if (result.success && result.toCreate.length + result.toUpdate.length + (prune ? result.toDelete.length : 0) > 0) {
+			config[sectionConfig.key] = result.remoteData
 		}
 	}
+
+	return { command: 'push', files, env: envChanged ? envResults.remoteEnv : null, config }
+}
+
+/**
+ * Reverts an env var change applied by pushEnvVars (used by --atomic)
+ * @param {{action: string, key: string, id: number, previousValue?: string}} change - Applied change
+ * @returns {Promise<Object>} Request result
+ */
+async function undoEnvChange(change) {
+	const appId = process.env.APP_ID
+	if (change.action === 'create') {
+		return makeAuthenticatedRequest(`setup/var/${change.id}`, 'DELETE', null, true)
+	}
+	if (change.action === 'update') {
+		return makeAuthenticatedRequest(`setup/var/${change.id}`, 'PUT', { key: change.key, value: change.previousValue, app_id: appId }, true)
+	}
+
+	// Recreating gives the variable a new ID, which the restored manifest entry must point to
+	const recreated = await makeAuthenticatedRequest('setup/var', 'POST', { key: change.key, value: change.previousValue, app_id: appId }, true)
+	if (recreated.success) {
+		updateManifest(m => {
+			if (m.env[change.key]) m.env[change.key].id = recreated.data?.id
+		})
+	}
+	return recreated
+}
+
+/**
+ * Reverts a config record change applied by pushConfigSection (used by --atomic)
+ * @param {Object} sectionConfig - Section configuration
+ * @param {{action: string, id: string, remoteId?: number, previous?: Object}} change - Applied change
+ * @returns {Promise<Object>} Request result
+ */
+async function undoConfigChange(sectionConfig, change) {
+	if (change.action === 'create') {
+		return makeAuthenticatedRequest(`${sectionConfig.endpoint}/${change.remoteId}`, 'DELETE', null, true)
+	}
+	// An updated (or renamed) record gets its previous fields back
+	const payload = { ...sectionConfig.fromToml(change.previous), app_id: process.env.APP_ID }
+	if (change.action !== 'delete') {
+		return makeAuthenticatedRequest(`${sectionConfig.endpoint}/${change.remoteId}`, 'PUT', payload, true)
+	}
+
+	// Recreating gives the record a new ID, which the restored manifest entry must point to
+	const recreated = await makeAuthenticatedRequest(sectionConfig.endpoint, 'POST', payload, true)
+	if (recreated.success && recreated.data?.id !== undefined) {
+		updateManifest(m => {
+			const entry = m.config[sectionConfig.key]?.[change.id]
+			if (entry) entry.remoteId = recreated.data.id
+		})
+	}
+	return recreated
 }
 
 /**
  * Push command - syncs local files back to remote
  * @param {string} [filename] - Optional specific file to push
  * @param {Object} options - Command options
+ * @param {boolean} [options.yes] - Answer every prompt (remotely modified items are skipped unless --force)
+ * @param {boolean} [options.dryRun] - Show what would be pushed without pushing
+ * @param {boolean} [options.json] - Print the plan and results as JSON
+ * @param {boolean} [options.atomic] - Roll back every applied change if any item fails
+ * @param {string} [options.changedSince] - Only push synced files changed in git since this ref
+ * @param {boolean} [options.staged] - Only push synced files staged in git
+ * @param {boolean} [options.verify] - false with --no-verify: skip validation, the syntax check and the pre-push hook
  */
 export async function pushAction(filename, options) {
+	const report = { command: 'push', dryRun: !!options.dryRun, plan: null, results: null }
+	await runWithReport(options, report, () => runPush(filename, options, report))
+}
+
+/**
+ * Runs the push command, filling in the report
+ * @param {string} [filename] - Optional specific file to push
+ * @param {Object} options - Command options
+ * @param {Object} report - Report for --json
+ */
+async function runPush(filename, options, report) {
 	try {
-		const silent = options.silent || options.raw || false
+		const silent = options.silent || options.raw || options.json || false
+		const interactive = !options.yes && !options.dryRun
+		const optionsError = validateBatchOptions(filename, options)
+		if (optionsError) {
+			report.error = optionsError
+			handleError(optionsError, false)
+			process.exitCode = EXIT_CODES.ERROR
+			return
+		}
+		// A typo in cx.toml or cx.env would otherwise be pushed as it is (a dry run reports it too)
+		if (options.verify !== false && !passesValidation(silent, report)) {
+			return
+		}
+		loadCustomSyncTypes()
 
-		// If filename is provided, do single-file push
-		if (filename) {
-			return pushSingleFile(filename, silent)
+		// If filename is provided, do single-file push; a glob pattern pushes the matching files
+		const pattern = filename && isSyncPattern(filename) ? filename : null
+		if (filename && !pattern) {
+			return pushSingleFile(filename, silent, options)
 		}
 
 		console.log('🔄 Starting push operation...\n')
 
+		// A pattern, --changed-since or --staged: only the matching files (or those git reports as changed) are compared with remote
+		const changed = pattern
+			? getPatternScope(pattern)
+			: options.changedSince || options.staged ? getChangedSyncPaths(options) : null
+		if (pattern && changed.paths.length === 0) {
+			report.error = `No synced files match ${pattern}`
+			handleError(report.error, false)
+			process.exitCode = EXIT_CODES.ERROR
+			return
+		}
+		if (changed) {
+			const scope = pattern ? `matching ${pattern}` : options.staged ? 'staged in git' : `changed in git since ${options.changedSince}`
+			if (changed.paths.length === 0) {
+				console.log(`✨ No synced files ${scope}. Nothing to push.`)
+				report.plan = { changedPaths: [], files: [], env: { changes: [] }, config: {} }
+				report.results = { succeeded: 0, failed: 0, skipped: [], files: [] }
+				return
+			}
+			console.log(`🔎 Limiting the push to ${changed.paths.length} synced path(s) ${scope}:`)
+			changed.paths.forEach(path => console.log(`   • ${path}`))
+			console.log('')
+		}
+		const unchangedResult = () => ({ success: true, toCreate: [], toUpdate: [], toDelete: [] })
+
 		// Analyze what needs to be pushed for each sync type
 		const results = {}
 		for (const syncType of Object.keys(SYNC_TYPES)) {
-			results[syncType] = await pushItems(syncType, silent)
+			results[syncType] = await pushItems(syncType, silent, { paths: changed ? changed.files : undefined })
 		}
 
 		// Also analyze env vars
-		const envResults = await pushEnvVars(silent, true)
+		const envResults = !changed || changed.env ? await pushEnvVars(silent, true) : unchangedResult()
 
 		// Analyze config sections (domain, etc.)
 		const configResults = {}
 		for (const sectionType of Object.keys(CONFIG_SECTIONS)) {
-			configResults[sectionType] = await pushConfigSection(sectionType, silent, true)
+			configResults[sectionType] = !changed || changed.config ? await pushConfigSection(sectionType, silent, true) : unchangedResult()
 		}
 
-		// Collect all files to update/create
-		const allToUpdate = Object.values(results).flatMap(r => r.toUpdate)
+		// Collect all files to update/create (and delete with --prune)
+		let allToUpdate = Object.values(results).flatMap(r => r.toUpdate)
 		const allToCreate = Object.values(results).flatMap(r => r.toCreate)
-		const totalChanges = allToUpdate.length + allToCreate.length
-		const envChanges = envResults.success ? (envResults.toCreate.length + envResults.toUpdate.length + envResults.toDelete.length) : 0
-		const configChanges = Object.values(configResults).reduce((sum, r) => 
-			r.success ? (r.toCreate.length + r.toUpdate.length + r.toDelete.length) : 0, 0)
+		let allToDelete = options.prune ? Object.values(results).flatMap(r => r.toDelete) : []
+		const unprunedCount = options.prune ? 0 : Object.values(results).reduce((sum, r) => sum + r.toDelete.length, 0)
+		let totalChanges = allToUpdate.length + allToCreate.length + allToDelete.length
+		let envChanges = envResults.success ? (envResults.toCreate.length + envResults.toUpdate.length + envResults.toDelete.length) : 0
+		let configChanges = countConfigChanges(configResults, options.prune)
+		const allConfigDeletes = () => Object.entries(configResults)
+			.flatMap(([sectionType, r]) => options.prune && r.success ? r.toDelete.map(item => ({ sectionType, ...item })) : [])
+		const unprunedConfigCount = options.prune ? 0 : Object.values(configResults).reduce((sum, r) => sum + (r.success ? r.toDelete.length : 0), 0)
+
+		report.plan = buildPushPlan(results, envResults, configResults, options.prune)
+		if (pattern) {
+			report.plan.pattern = pattern
+			report.plan.matchedPaths = changed.paths
+		} else if (changed) {
+			report.plan.changedPaths = changed.paths
+		}
+		// Files with unresolved merge conflicts are never pushed
+		const skipped = Object.values(results).flatMap(r => r.conflicted.map(file => file.filepath))
+
+		if (unprunedCount > 0) {
+			console.log(`\nℹ️  ${unprunedCount} file(s) deleted locally still exist remotely. Run "cx push --prune" to delete them.`)
+		}
+		if (unprunedConfigCount > 0) {
+			console.log(`\nℹ️  ${unprunedConfigCount} cx.toml record(s) removed locally still exist remotely. Run "cx push --prune" to delete them.`)
+		}
 
 		if (totalChanges === 0 && envChanges === 0 && configChanges === 0) {
 			console.log('\n✨ Everything is up to date! No changes to push.')
+			report.results = { succeeded: 0, failed: 0, skipped, files: [] }
+			setOutcomeExitCode(0, 0, skipped.length)
 			return
 		}
 
@@ -622,20 +1281,35 @@ export async function pushAction(filename, options) {
 			if (result.toUpdate.length > 0 || result.toCreate.length > 0) {
 				console.log(`\n${config.icon} ${config.displayNamePlural}:`)
 				result.toUpdate.forEach(file => {
-					console.log(`  📝 ${file.filename} (update)`)
+					const remote = result.remoteMap.get(file.remoteName || file.name)
+					const update = remote.content === file.content ? `update ${file.metaChanges.join(', ')}` : 'update'
+					const change = file.renamedFrom ? `🔀 ${file.previousFilename} → ${file.filename} (rename)` : `📝 ${file.filename} (${update})`
+					console.log(`  ${change}${file.remoteModified ? ' ⚠️  remote modified since last pull' : ''}`)
 				})
 				result.toCreate.forEach(file => {
-					console.log(`  ✨ ${file.filename} (new)`)
+					console.log(`  ✨ ${file.filename}${describeMeta(file.meta, config)} (new)`)
 				})
 			}
 		}
 
+		// Show remote deletions separately so they are not missed
+		if (allToDelete.length > 0 || allConfigDeletes().length > 0) {
+			console.log('\n🗑️  To DELETE remotely (--prune):')
+			allToDelete.forEach(file => {
+				console.log(`  ${SYNC_TYPES[file.syncType].icon} ${file.filepath} (ID: ${file.id})${file.remoteModified ? ' ⚠️  remote modified since last pull' : ''}`)
+			})
+			allConfigDeletes().forEach(item => {
+				const sectionConfig = CONFIG_SECTIONS[item.sectionType]
+				console.log(`  ${sectionConfig.icon} cx.toml [${sectionConfig.key}] ${item.id}${item.remoteModified ? ' ⚠️  remote modified since last pull' : ''}`)
+			})
+		}
+
 		// Show env changes
 		if (envChanges > 0) {
 			console.log('\n🔐 Environment Variables:')
 			envResults.toCreate.forEach(item => console.log(`  ✨ ${item.key} (new)`))
-			envResults.toUpdate.forEach(item => console.log(`  📝 ${item.key} (update)`))
-			envResults.toDelete.forEach(item => console.log(`  🗑️  ${item.key} (delete)`))
+			envResults.toUpdate.forEach(item => console.log(`  📝 ${item.key} (update)${item.remoteModified ? ' ⚠️  remote modified since last pull' : ''}`))
+			envResults.toDelete.forEach(item => console.log(`  🗑️  ${item.key} (delete)${item.remoteModified ? ' ⚠️  remote modified since last pull' : ''}`))
 		}
 
 		// Show config section changes (domain, etc.)
@@ -644,23 +1318,120 @@ export async function pushAction(filename, options) {
 			if (result.success && (result.toCreate.length > 0 || result.toUpdate.length > 0)) {
 				console.log(`\n${sectionConfig.icon} ${sectionConfig.displayNamePlural} (cx.toml):`)
 				result.toCreate.forEach(item => console.log(`  ✨ ${item.id} (new)`))
-				result.toUpdate.forEach(item => console.log(`  📝 ${item.id} (update)`))
+				result.toUpdate.forEach(item => {
+					const change = item.renamedFrom ? `🔀 ${item.renamedFrom} → ${item.id} (rename)` : `📝 ${item.id} (update)`
+					console.log(`  ${change}${item.remoteModified ? ' ⚠️  remote modified since last pull' : ''}`)
+				})
 			}
 		}
 
 		console.log('\n══════════════════════════════════════════════════')
-		console.log(`📊 Total: ${allToUpdate.length} update(s), ${allToCreate.length} new file(s)`)
+		console.log(`📊 Total: ${allToUpdate.length} update(s), ${allToCreate.length} new file(s)${allToDelete.length > 0 ? `, ${allToDelete.length} deletion(s)` : ''}`)
 		if (envChanges > 0) {
 			console.log(`   └─ ${envResults.toCreate.length} new, ${envResults.toUpdate.length} update, ${envResults.toDelete.length} delete env var(s)`)
 		}
 		if (configChanges > 0) {
-			const configCreateCount = Object.values(configResults).reduce((sum, r) => r.success ? r.toCreate.length : 0, 0)
-			const configUpdateCount = Object.values(configResults).reduce((sum, r) => r.success ? r.toUpdate.length : 0, 0)
-			console.log(`   └─ ${configCreateCount} new, ${configUpdateCount} update config item(s)`)
+			const configCreateCount = Object.values(configResults).reduce((sum, r) => sum + (r.success ? r.toCreate.length : 0), 0)
+			const configUpdateCount = Object.values(configResults).reduce((sum, r) => sum + (r.success ? r.toUpdate.length : 0), 0)
+			const configDeleteCount = allConfigDeletes().length
+			console.log(`   └─ ${configCreateCount} new, ${configUpdateCount} update${configDeleteCount > 0 ? `, ${configDeleteCount} delete` : ''} config item(s)`)
+		}
+
+		// Items changed remotely since the last pull/push would silently overwrite someone else's work
+		const modifiedFiles = [...allToUpdate, ...allToDelete].filter(f => f.remoteModified)
+		const modifiedEnv = envResults.success
+			? [...envResults.toUpdate, ...envResults.toDelete].filter(item => item.remoteModified)
+			: []
+		const modifiedConfig = [
+			...Object.entries(configResults).flatMap(([sectionType, r]) =>
+				r.success ? r.toUpdate.filter(item => item.remoteModified).map(item => ({ sectionType, id: item.id })) : []),
+			...allConfigDeletes().filter(item => item.remoteModified).map(item => ({ sectionType: item.sectionType, id: item.id }))
+		]
+		const modifiedCount = modifiedFiles.length + modifiedEnv.length + modifiedConfig.length
+		let skipEnvKeys = []
+		const skipConfigIds = {}
+
+		// A script or template that does not parse would break the app, so it blocks the push (a dry run reports it too)
+		const verify = options.verify !== false
+		const pushedFiles = [...allToUpdate, ...allToCreate]
+		if (verify && !await passesSyntaxCheck(pushedFiles, silent, report)) {
+			return
+		}
+
+		if (options.dryRun) {
+			console.log('\n🔍 Dry run: nothing was pushed.')
+			return
+		}
+
+		if (verify && !runPreHook('pre-push', pushedFiles.map(file => file.filepath), options, report)) {
+			return
+		}
+
+		if (modifiedCount > 0) {
+			console.log(`\n⚠️  ${modifiedCount} item(s) were modified remotely since your last pull:`)
+			modifiedFiles.forEach(f => console.log(`    • ${f.filepath}${f.remoteUpdated ? ` (remote updated ${f.remoteUpdated})` : ''}`))
+			modifiedEnv.forEach(item => console.log(`    • cx.env ${item.key}`))
+			modifiedConfig.forEach(item => console.log(`    • cx.toml [${CONFIG_SECTIONS[item.sectionType].key}] ${item.id}`))
+
+			let modifiedChoice = 'overwrite'
+			if (!options.force && options.yes) {
+				console.log('⏭️  Skipping remotely modified items (use --force to overwrite them)')
+				modifiedChoice = 'skip'
+			} else if (!options.force) {
+				modifiedChoice = await select({
+					message: 'Remote changes would be overwritten. What would you like to do?',
+					choices: [
+						{ name: 'Skip remotely modified items and push the rest', value: 'skip' },
+						{ name: 'Overwrite remote changes', value: 'overwrite' },
+						{ name: 'Cancel push operation', value: 'cancel' }
+					],
+					default: 'skip'
+				})
+			}
+
+			if (modifiedChoice === 'cancel') {
+				console.log('❌ Push cancelled. Run "cx pull" to merge the remote changes first.')
+				return
+			}
+
+			if (modifiedChoice === 'skip') {
+				skipped.push(
+					...modifiedFiles.map(f => f.filepath),
+					...modifiedEnv.map(item => `cx.env:${item.key}`),
+					...modifiedConfig.map(item => `cx.toml:${CONFIG_SECTIONS[item.sectionType].key}.${item.id}`)
+				)
+				for (const result of Object.values(results)) {
+					result.toUpdate = result.toUpdate.filter(f => !f.remoteModified)
+					result.toDelete = result.toDelete.filter(f => !f.remoteModified)
+				}
+				if (envResults.success) {
+					skipEnvKeys = modifiedEnv.map(item => item.key)
+					envResults.toUpdate = envResults.toUpdate.filter(item => !item.remoteModified)
+					envResults.toDelete = envResults.toDelete.filter(item => !item.remoteModified)
+				}
+				for (const { sectionType, id } of modifiedConfig) {
+					skipConfigIds[sectionType] = [...(skipConfigIds[sectionType] || []), id]
+					configResults[sectionType].toUpdate = configResults[sectionType].toUpdate.filter(item => item.id !== id)
+					configResults[sectionType].toDelete = configResults[sectionType].toDelete.filter(item => item.id !== id)
+				}
+
+				allToUpdate = Object.values(results).flatMap(r => r.toUpdate)
+				allToDelete = options.prune ? Object.values(results).flatMap(r => r.toDelete) : []
+				totalChanges = allToUpdate.length + allToCreate.length + allToDelete.length
+				envChanges = envResults.success ? (envResults.toCreate.length + envResults.toUpdate.length + envResults.toDelete.length) : 0
+				configChanges = countConfigChanges(configResults, options.prune)
+
+				if (totalChanges === 0 && envChanges === 0 && configChanges === 0) {
+					console.log('\n✨ Nothing left to push after skipping remotely modified items.')
+					report.results = { succeeded: 0, failed: 0, skipped, files: [] }
+					setOutcomeExitCode(0, 0, skipped.length)
+					return
+				}
+			}
 		}
 
 		// Ask if user wants to view diffs
-		if ((allToUpdate.length > 0 || configChanges > 0) && !silent) {
+		if ((allToUpdate.length > 0 || configChanges > 0) && !silent && interactive) {
 			const diffChoice = await select({
 				message: 'Would you like to view diffs before pushing?',
 				choices: [
@@ -690,10 +1461,10 @@ export async function pushAction(filename, options) {
 				// Show config section diffs for push
 				for (const [sectionType, sectionConfig] of Object.entries(CONFIG_SECTIONS)) {
 					const result = configResults[sectionType]
-					if (result.success && (result.toCreate.length > 0 || result.toUpdate.length > 0)) {
+					if (result.success && (result.toCreate.length > 0 || result.toUpdate.length > 0 || (options.prune && result.toDelete.length > 0))) {
 						console.log(`\n${sectionConfig.icon} ${sectionConfig.displayName} Changes:`)
 						for (const item of result.toUpdate) {
-							console.log(`  📝 Update: ${item.id}`)
+							console.log(item.renamedFrom ? `  🔀 Rename: ${item.renamedFrom} → ${item.id}` : `  📝 Update: ${item.id}`)
 							for (const key of Object.keys(item.local)) {
 								if (item.local[key] !== item.remote[key]) {
 									console.log(`     - ${key}: ${item.remote[key]}`)
@@ -707,6 +1478,12 @@ export async function pushAction(filename, options) {
 								console.log(`     + ${key}: ${value}`)
 							}
 						}
+						for (const item of options.prune ? result.toDelete : []) {
+							console.log(`  🗑️  Delete: ${item.id}`)
+							for (const [key, value] of Object.entries(item.remote)) {
+								console.log(`     - ${key}: ${value}`)
+							}
+						}
 					}
 				}
 			}
@@ -719,7 +1496,7 @@ export async function pushAction(filename, options) {
 		pushConfirmMsg += '?'
 
 		// Confirm operation
-		const shouldProceed = await confirm({
+		const shouldProceed = options.yes || await confirm({
 			message: pushConfirmMsg,
 			default: true
 		})
@@ -729,100 +1506,266 @@ export async function pushAction(filename, options) {
 			return
 		}
 
+		// Deleting remote items cannot be undone, so ask again
+		let pruneConfirmed = false
+		const deleteCount = allToDelete.length + allConfigDeletes().length
+		if (deleteCount > 0) {
+			pruneConfirmed = options.yes || await confirm({
+				message: `Permanently delete ${deleteCount} item(s) from the remote app? This cannot be undone.`,
+				default: false
+			})
+			if (!pruneConfirmed) {
+				console.log('⏭️  Skipping remote deletions.')
+			}
+		}
+
+		// Save the remote state about to be overwritten, so "cx rollback" can restore it
+		const snapshotId = saveSnapshot(buildPushSnapshot(results, envResults, configResults, options.prune && pruneConfirmed))
+		if (snapshotId) {
+			report.snapshot = snapshotId
+			console.log(`\n💾 Saved remote snapshot ${snapshotId} (undo this push with "cx rollback ${snapshotId}")`)
+		}
+
 		// Execute the push
 		console.log('\n📤 Pushing changes...\n')
 
 		let successCount = 0
 		let failCount = 0
-
-		// Process updates and creates for each sync type
+		const fileResults = []
+
+		// --atomic: record how to revert every applied change and stop at the first failure
+		const undoLog = options.atomic ? createUndoLog() : null
+		const stateSnapshot = options.atomic
+			? captureSyncState(Object.values(results).flatMap(r => [
+				...r.toUpdate.flatMap(file => file.renamedFrom ? [file.filepath, file.renamedFrom] : [file.filepath]),
+				...r.toCreate.map(file => file.filepath),
+				...r.toDelete.map(file => file.filepath)
+			]))
+			: null
+		const aborted = () => options.atomic && failCount > 0
+
+		// Process updates and creates for each sync type (requests run in the worker pool)
 		for (const [syncType, config] of Object.entries(SYNC_TYPES)) {
+			if (aborted()) break
 			const result = results[syncType]
 			
 			// Updates
-			for (const file of result.toUpdate) {
-				const body = {
+			const updateOutcomes = await runPool(result.toUpdate, file => makeAuthenticatedRequest(
+				`${config.endpoint}/${file.id}`,
+				'PUT',
+				{
+					...file.meta,
 					name: file.name,
 					[config.contentField]: file.content,
 					app_id: file.app_id
-				}
-
-				const updateResult = await makeAuthenticatedRequest(
-					`${config.endpoint}/${file.id}`,
-					'PUT',
-					body,
-					true
-				)
+				},
+				true
+			), { label: `Updating ${config.displayNamePlural}`, silent })
 
+			// Sync state and [meta] tables are written once per batch
+			const syncChanges = []
+			const metaChanges = []
+			result.toUpdate.forEach((file, i) => {
+				const updateResult = updateOutcomes[i].value
 				if (updateResult.success) {
-					console.log(`✅ Updated ${file.filename}`)
+					if (file.renamedFrom) {
+						syncChanges.push({ filepath: file.renamedFrom, remote: null })
+						metaChanges.push({ filepath: file.filepath, config, from: file.renamedFrom })
+					}
+					syncChanges.push({
+						filepath: file.filepath,
+						remote: {
+							syncType,
+							id: file.id,
+							name: file.name,
+							updated: getRemoteTimestamp(updateResult.data),
+							meta: file.meta
+						},
+						content: file.content
+					})
+					console.log(file.renamedFrom ? `✅ Renamed ${file.previousFilename} → ${file.filename}` : `✅ Updated ${file.filename}`)
 					successCount++
+					if (undoLog) {
+						// Put back the remote content fetched when the push was planned
+						const previous = result.remoteMap.get(file.remoteName || file.name)
+						undoLog.add(`${file.filepath} (${file.renamedFrom ? 'rename' : 'update'})`, () => makeAuthenticatedRequest(
+							`${config.endpoint}/${file.id}`,
+							'PUT',
+							{ ...previous.meta, name: previous.originalName, [config.contentField]: previous.content, app_id: previous.app_id },
+							true
+						))
+					}
 				} else {
 					console.error(`❌ Failed to update ${file.filename}: ${updateResult.error}`)
 					failCount++
 				}
-			}
+				fileResults.push({ path: file.filepath, action: file.renamedFrom ? 'rename' : 'update', success: updateResult.success, error: updateResult.error })
+			})
+			writeFileSyncStates(syncChanges)
+			writeMetaTables(metaChanges)
 
 			// Creates
-			for (const file of result.toCreate) {
-				const appId = process.env.APP_ID
-				if (!appId) {
+			if (aborted()) break
+			const appId = process.env.APP_ID
+			const toCreate = appId ? result.toCreate : []
+			if (!appId) {
+				for (const file of result.toCreate) {
 					console.error(`❌ Cannot create ${file.filename}: No APP_ID configured`)
 					failCount++
-					continue
+					fileResults.push({ path: file.filepath, action: 'create', success: false, error: 'No APP_ID configured' })
 				}
+			}
 
-				const body = {
+			const createOutcomes = await runPool(toCreate, file => makeAuthenticatedRequest(
+				config.endpoint,
+				'POST',
+				{
+					...file.meta,
 					name: file.name,
 					[config.contentField]: file.content,
-					app_id: appId,
-					// Always set type to 'quickjs' for scriptforge scripts
-					...(syncType === 'scriptforge' ? { type: 'quickjs' } : {})
-				}
-
-				const createResult = await makeAuthenticatedRequest(
-					config.endpoint,
-					'POST',
-					body,
-					true
-				)
+					app_id: appId
+				},
+				true
+			), { label: `Creating ${config.displayNamePlural}`, silent })
 
+			const created = []
+			toCreate.forEach((file, i) => {
+				const createResult = createOutcomes[i].value
 				if (createResult.success) {
+					created.push({
+						filepath: file.filepath,
+						remote: {
+							syncType,
+							id: createResult.data?.id,
+							name: file.name,
+							updated: getRemoteTimestamp(createResult.data),
+							meta: file.meta
+						},
+						content: file.content
+					})
 					console.log(`✅ Created ${file.filename}`)
 					successCount++
+					if (undoLog) {
+						undoLog.add(`${file.filepath} (create)`, () => makeAuthenticatedRequest(`${config.endpoint}/${createResult.data?.id}`, 'DELETE', null, true))
+					}
 				} else {
 					console.error(`❌ Failed to create ${file.filename}: ${createResult.error}`)
 					failCount++
 				}
-			}
+				fileResults.push({ path: file.filepath, action: 'create', success: createResult.success, error: createResult.error })
+			})
+			writeFileSyncStates(created)
+
+			// Deletions (--prune)
+			if (!options.prune || !pruneConfirmed || aborted()) continue
+			const deleteOutcomes = await runPool(result.toDelete, file => makeAuthenticatedRequest(
+				`${config.endpoint}/${file.id}`,
+				'DELETE',
+				null,
+				true
+			), { label: `Deleting ${config.displayNamePlural}`, silent })
+
+			const deleted = []
+			result.toDelete.forEach((file, i) => {
+				const deleteResult = deleteOutcomes[i].value
+				if (deleteResult.success) {
+					deleted.push(file.filepath)
+					console.log(`✅ Deleted ${file.filename}`)
+					successCount++
+					if (undoLog) {
+						// Recreating gives the item a new ID, which the restored manifest entry must point to
+						const previous = result.remoteMap.get(file.name)
+						undoLog.add(`${file.filepath} (delete)`, async () => {
+							const recreated = await makeAuthenticatedRequest(config.endpoint, 'POST', {
+								...previous.meta,
+								name: previous.originalName,
+								[config.contentField]: previous.content,
+								app_id: previous.app_id
+							}, true)
+							if (recreated.success) {
+								updateManifest(m => {
+									if (m.files[file.filepath]) m.files[file.filepath].id = recreated.data?.id
+								})
+							}
+							return recreated
+						})
+					}
+				} else {
+					console.error(`❌ Failed to delete ${file.filename}: ${deleteResult.error}`)
+					failCount++
+				}
+				fileResults.push({ path: file.filepath, action: 'delete', success: deleteResult.success, error: deleteResult.error })
+			})
+			writeFileSyncStates(deleted.map(filepath => ({ filepath, remote: null })))
+			writeMetaTables(deleted.map(filepath => ({ filepath, config, meta: null })))
 		}
 
 		// Push env vars
-		if (envChanges > 0) {
-			const envPushResult = await pushEnvVars(silent, false)
+		if (envChanges > 0 && !aborted()) {
+			const envPushResult = await pushEnvVars(silent, false, { skipKeys: skipEnvKeys })
 			if (envPushResult.success) {
 				successCount += envPushResult.successCount
+				failCount += envPushResult.totalChanges - envPushResult.successCount
+				if (undoLog) {
+					envPushResult.applied.forEach(change => undoLog.add(`cx.env:${change.key} (${change.action})`, () => undoEnvChange(change)))
+				}
+			} else {
+				console.error(`❌ Failed to push env vars: ${envPushResult.error}`)
+				failCount += envChanges
 			}
 		}
 
 		// Push config sections (domain, etc.)
 		if (configChanges > 0) {
-			for (const sectionType of Object.keys(CONFIG_SECTIONS)) {
+			for (const [sectionType, sectionConfig] of Object.entries(CONFIG_SECTIONS)) {
+				if (aborted()) break
 				const result = configResults[sectionType]
-				if (result.success && (result.toCreate.length > 0 || result.toUpdate.length > 0)) {
-					const pushResult = await pushConfigSection(sectionType, silent, false)
-					if (pushResult.success) {
-						successCount += pushResult.successCount
-					} else {
+				const prune = options.prune && pruneConfirmed
+				if (result.success && (result.toCreate.length > 0 || result.toUpdate.length > 0 || (prune && result.toDelete.length > 0))) {
+					const pushResult = await pushConfigSection(sectionType, silent, false, { skipIds: skipConfigIds[sectionType], prune })
+					successCount += pushResult.successCount
+					if (!pushResult.success) {
 						failCount += pushResult.failCount || 0
 					}
+					if (undoLog) {
+						pushResult.applied.forEach(change => undoLog.add(`cx.toml:${sectionConfig.key}.${change.id} (${change.action})`, () => undoConfigChange(sectionConfig, change)))
+					}
 				}
 			}
 		}
 
+		// --atomic: nothing may stay applied when anything failed
+		if (aborted() && undoLog.size() > 0) {
+			console.log(`\n↩️  Push failed, rolling back ${undoLog.size()} applied change(s)...`)
+			restoreSyncState(stateSnapshot)
+			const rollback = await undoLog.rollback()
+			rollback.rolledBack.forEach(label => console.log(`↩️  Rolled back ${label}`))
+			rollback.failed.forEach(({ label, error }) => console.error(`❌ Could not roll back ${label}: ${error}`))
+			console.log(`\n🧯 Atomic push rolled back: ${failCount} failed, ${rollback.rolledBack.length} rolled back, ${rollback.failed.length} could not be rolled back`)
+			if (rollback.failed.length > 0) {
+				console.log('   Run "cx status" to see what is left on the remote.')
+			}
+			report.results = { succeeded: 0, failed: failCount, skipped, files: fileResults, rollback }
+			process.exitCode = rollback.failed.length > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.ERROR
+			return
+		}
+
 		console.log(`\n🎉 Push complete: ${successCount} succeeded, ${failCount} failed`)
+		report.results = { succeeded: successCount, failed: failCount, skipped, files: fileResults }
+		setOutcomeExitCode(successCount, failCount, skipped.length)
+
+		if (successCount > 0) {
+			const pushed = [
+				...fileResults.filter(file => file.success).map(file => file.path),
+				...(envChanges > 0 ? ['cx.env'] : []),
+				...(configChanges > 0 ? ['cx.toml'] : [])
+			]
+			runPostHook('post-push', pushed, options, report)
+		}
 	} catch (error) {
+		report.error = error.message
 		handleError(error.message, options.silent || options.raw)
+		process.exitCode = EXIT_CODES.ERROR
 	}
 }
 
@@ -849,127 +1792,10 @@ export async function pushRunAction(id, options) {
 		}
 
 		// === PHASE 1: PUSH SPECIFIC FILE ===
-		const config = SYNC_TYPES.scriptforge
-		
-		// Normalize the id - could be filename with extension or just name
-		const searchName = id.endsWith(config.extension) 
-			? id.slice(0, -config.extension.length) 
-			: id
-		const filename = searchName + config.extension
-
-		// Check if local file exists
-		const filepath = join(config.dir, filename)
-		if (!existsSync(filepath)) {
-			console.error(`❌ Error: Local file not found: ${filepath}`)
-			console.log(`   Make sure the file exists in ${config.dir}/`)
-			process.exit(1)
-		}
-
-		// Read local file content
-		const localContent = readFileSync(filepath, 'utf-8')
-
-		// Fetch remote items to find matching script
-		if (!silent) {
-			console.log(`📡 Checking remote status for ${filename}...`)
-		}
-
-		const allRemoteItems = await fetchAllItems('scriptforge', true)
-		const remoteItems = filterByAppId(allRemoteItems, 'scriptforge')
-		
-		// Find matching remote item by name
-		const remoteItem = remoteItems.find(item => item.name === searchName)
-		
-		let needsPush = false
-		let isCreate = false
-		let remoteId = null
-		let remoteAppId = null
-
-		if (remoteItem) {
-			// Fetch full content to compare
-			const fullRemote = await fetchItemById('scriptforge', remoteItem.id, true)
-			remoteId = fullRemote.id
-			remoteAppId = fullRemote.app_id
-			
-			// Check if content differs
-			const remoteContent = fullRemote[config.contentField] || ''
-			if (remoteContent !== localContent) {
-				needsPush = true
-				if (!silent) {
-					console.log(`📝 ${filename} has local changes`)
-				}
-			} else {
-				if (!silent) {
-					console.log(`✨ ${filename} is already up to date`)
-				}
-			}
-		} else {
-			// New file
-			needsPush = true
-			isCreate = true
-			if (!silent) {
-				console.log(`✨ ${filename} is a new file`)
-			}
-		}
-
-		// Push if needed
-		if (needsPush) {
-			if (!silent) {
-				console.log(`\n📤 Pushing ${filename}...`)
-			}
-
-			if (isCreate) {
-				// Create new script
-				const appId = process.env.APP_ID
-				if (!appId) {
-					console.error('❌ Cannot create new script: No APP_ID configured')
-					process.exit(1)
-				}
-
-				const body = {
-					name: searchName,
-					[config.contentField]: localContent,
-					app_id: appId,
-					type: 'quickjs'
-				}
-
-				const createResult = await makeAuthenticatedRequest(
-					config.endpoint,
-					'POST',
-					body,
-					true
-				)
-
-				if (createResult.success) {
-					if (!silent) console.log(`✅ Created ${filename}`)
-					// Get the new ID for running
-					remoteId = createResult.data?.id
-				} else {
-					console.error(`❌ Failed to create ${filename}: ${createResult.error}`)
-					process.exit(1)
-				}
-			} else {
-				// Update existing script
-				const body = {
-					name: searchName,
-					[config.contentField]: localContent,
-					app_id: remoteAppId
-				}
-
-				const updateResult = await makeAuthenticatedRequest(
-					`${config.endpoint}/${remoteId}`,
-					'PUT',
-					body,
-					true
-				)
-
-				if (updateResult.success) {
-					if (!silent) console.log(`✅ Updated ${filename}`)
-				} else {
-					console.error(`❌ Failed to update ${filename}: ${updateResult.error}`)
-					process.exit(1)
-				}
-			}
+		if (options.verify !== false && !passesValidation(silent)) {
+			process.exit(EXIT_CODES.ERROR)
 		}
+		await pushSingleFile(id, silent, { force: options.force, verify: options.verify })
 
 		// === PHASE 2: RUN ===
 		if (!silent) {
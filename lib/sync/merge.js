@@ -0,0 +1,238 @@
+/**
+ * Three-way merge utilities for sync operations
+ * Merges local and remote edits against the last-synced base copy
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync, rmSync } from 'fs'
+import { join, basename } from 'path'
+import { spawnSync } from 'child_process'
+import { diffArrays } from 'diff'
+import { STATE_DIR } from './constants.js'
+
+const MARKER_LOCAL = '<<<<<<< local'
+const MARKER_SEPARATOR = '======='
+const MARKER_REMOTE = '>>>>>>> remote'
+
+/**
+ * Splits content into lines, keeping line endings so content round-trips exactly
+ * @param {string} content - File content
+ * @returns {Array<string>} Lines including their trailing newline
+ */
+function splitLines(content) {
+	if (!content) return []
+	return content.match(/[^\n]*\n|[^\n]+$/g) || []
+}
+
+/**
+ * Maps each base line index to its matching line index in the other version
+ * @param {Array<string>} baseLines - Lines of the base version
+ * @param {Array<string>} otherLines - Lines of the other version
+ * @returns {Array<number|undefined>} Matching index per base line (undefined if changed)
+ */
+function matchLines(baseLines, otherLines) {
+	const matches = new Array(baseLines.length)
+	let baseIndex = 0
+	let otherIndex = 0
+
+	for (const change of diffArrays(baseLines, otherLines)) {
+		const count = change.value.length
+		if (change.added) {
+			otherIndex += count
+		} else if (change.removed) {
+			baseIndex += count
+		} else {
+			for (let i = 0; i < count; i++) {
+				matches[baseIndex + i] = otherIndex + i
+			}
+			baseIndex += count
+			otherIndex += count
+		}
+	}
+
+	return matches
+}
+
+/**
+ * Checks whether two line arrays are identical
+ * @param {Array<string>} a - First lines
+ * @param {Array<string>} b - Second lines
+ * @returns {boolean} True if equal
+ */
+function sameLines(a, b) {
+	return a.length === b.length && a.every((line, i) => line === b[i])
+}
+
+/**
+ * Ensures a block of lines ends with a newline so a marker can follow it
+ * @param {Array<string>} lines - Lines to terminate
+ * @returns {Array<string>} Lines with a trailing newline on the last one
+ */
+function terminate(lines) {
+	if (lines.length === 0 || lines[lines.length - 1].endsWith('\n')) {
+		return lines
+	}
+	return [...lines.slice(0, -1), lines[lines.length - 1] + '\n']
+}
+
+/**
+ * Performs a line-based three-way merge (diff3)
+ * Non-overlapping edits are combined; overlapping edits produce git-style conflict markers
+ * @param {string} base - Content as last synced
+ * @param {string} local - Local content
+ * @param {string} remote - Remote content
+ * @returns {{content: string, conflicts: number}} Merged content and number of conflict hunks
+ */
+export function mergeThreeWay(base, local, remote) {
+	const baseLines = splitLines(base)
+	const localLines = splitLines(local)
+	const remoteLines = splitLines(remote)
+	const localMatches = matchLines(baseLines, localLines)
+	const remoteMatches = matchLines(baseLines, remoteLines)
+
+	const output = []
+	let conflicts = 0
+	let b = 0
+	let l = 0
+	let r = 0
+
+	while (b < baseLines.length || l < localLines.length || r < remoteLines.length) {
+		// Stable line: unchanged on both sides
+		if (b < baseLines.length && localMatches[b] === l && remoteMatches[b] === r) {
+			output.push(baseLines[b])
+			b++
+			l++
+			r++
+			continue
+		}
+
+		// Find the next base line that is unchanged on both sides
+		let next = b
+		while (next < baseLines.length && (localMatches[next] === undefined || remoteMatches[next] === undefined)) {
+			next++
+		}
+		const localEnd = next < baseLines.length ? localMatches[next] : localLines.length
+		const remoteEnd = next < baseLines.length ? remoteMatches[next] : remoteLines.length
+
+		const baseChunk = baseLines.slice(b, next)
+		const localChunk = localLines.slice(l, localEnd)
+		const remoteChunk = remoteLines.slice(r, remoteEnd)
+
+		if (sameLines(localChunk, baseChunk)) {
+			output.push(...remoteChunk)
+		} else if (sameLines(remoteChunk, baseChunk) || sameLines(localChunk, remoteChunk)) {
+			output.push(...localChunk)
+		} else {
+			conflicts++
+			output.push(`${MARKER_LOCAL}\n`, ...terminate(localChunk), `${MARKER_SEPARATOR}\n`, ...terminate(remoteChunk), `${MARKER_REMOTE}\n`)
+		}
+
+		b = next
+		l = localEnd
+		r = remoteEnd
+	}
+
+	return { content: output.join(''), conflicts }
+}
+
+/**
+ * Decides how a pulled file should be reconciled with local changes
+ * @param {string|null} base - Content as last synced (null if never synced)
+ * @param {string} local - Local content
+ * @param {string} remote - Remote content
+ * @returns {{status: string, content: string, conflicts: number}} status is one of
+ *   'overwrite' (no base, remote wins), 'update' (only remote changed), 'keep' (only local changed),
+ *   'merge' (both changed, merged cleanly) or 'conflict' (both changed, markers written)
+ */
+export function resolvePull(base, local, remote) {
+	if (base === null) {
+		return { status: 'overwrite', content: remote, conflicts: 0 }
+	}
+	if (local === base) {
+		return { status: 'update', content: remote, conflicts: 0 }
+	}
+	if (remote === base) {
+		return { status: 'keep', content: local, conflicts: 0 }
+	}
+
+	const merged = mergeThreeWay(base, local, remote)
+	return {
+		status: merged.conflicts > 0 ? 'conflict' : 'merge',
+		content: merged.content,
+		conflicts: merged.conflicts
+	}
+}
+
+/**
+ * Checks whether content still contains unresolved conflict markers
+ * @param {string} content - File content
+ * @returns {boolean} True if conflict markers are present
+ */
+export function hasConflictMarkers(content) {
+	return /^<{7} local$/m.test(content) && /^>{7} remote$/m.test(content)
+}
+
+/**
+ * Gets the merge tool command to use
+ * @param {string|boolean} option - Value of --merge-tool (command string, or true to use CX_MERGE_TOOL)
+ * @returns {string|null} Command or null if none configured
+ */
+export function getMergeToolCommand(option) {
+	if (typeof option === 'string' && option.trim()) {
+		return option.trim()
+	}
+	return process.env.CX_MERGE_TOOL || null
+}
+
+/**
+ * Opens an external merge tool to resolve a conflicted file
+ * The command runs in a shell with $BASE, $LOCAL, $REMOTE and $MERGED set (git mergetool style)
+ * @param {string} command - Merge tool command
+ * @param {string} filename - Name of the file being merged
+ * @param {Object} versions - Contents to merge
+ * @param {string} versions.base - Base content
+ * @param {string} versions.local - Local content
+ * @param {string} versions.remote - Remote content
+ * @param {string} versions.merged - Pre-merged content with conflict markers
+ * @returns {{success: boolean, content?: string, error?: string}}
+ */
+export function runMergeTool(command, filename, versions) {
+	const mergeDir = join(STATE_DIR, 'merge')
+	mkdirSync(mergeDir, { recursive: true })
+
+	const name = basename(filename)
+	const paths = {
+		BASE: join(mergeDir, `BASE.${name}`),
+		LOCAL: join(mergeDir, `LOCAL.${name}`),
+		REMOTE: join(mergeDir, `REMOTE.${name}`),
+		MERGED: join(mergeDir, name)
+	}
+	writeFileSync(paths.BASE, versions.base, 'utf-8')
+	writeFileSync(paths.LOCAL, versions.local, 'utf-8')
+	writeFileSync(paths.REMOTE, versions.remote, 'utf-8')
+	writeFileSync(paths.MERGED, versions.merged, 'utf-8')
+
+	try {
+		const result = spawnSync(command, {
+			shell: true,
+			stdio: 'inherit',
+			env: { ...process.env, ...paths }
+		})
+
+		if (result.error) {
+			return { success: false, error: result.error.message }
+		}
+		if (result.status !== 0) {
+			return { success: false, error: `Merge tool exited with code ${result.status}` }
+		}
+
+		const content = existsSync(paths.MERGED) ? readFileSync(paths.MERGED, 'utf-8') : versions.merged
+		if (hasConflictMarkers(content)) {
+			return { success: false, error: 'Conflict markers remain after merge tool' }
+		}
+		return { success: true, content }
+	} finally {
+		for (const path of Object.values(paths)) {
+			rmSync(path, { force: true })
+		}
+	}
+}
@@ -0,0 +1,214 @@
+/**
+ * Item metadata - the fields of scripts, queries and templates besides their name and content
+ * (e.g. a script's type and description), kept in [meta."<path>"] tables of cx.toml
+ * Only values that differ from the sync type's defaults are written, so most items need no table
+ */
+
+import { SYNC_TYPES } from './constants.js'
+import { readConfigFile, writeConfigFile } from './config.js'
+import { readManifest } from './state.js'
+
+export const META_SECTION = 'meta'
+
+/**
+ * Gets the cx.toml key of a file's metadata table
+ * @param {string} filepath - Local file path (e.g. 'src/billing.js')
+ * @returns {string} Path using '/' (e.g. 'src/billing.js')
+ */
+function toMetaKey(filepath) {
+	return filepath.replace(/\\/g, '/').replace(/^\.\//, '')
+}
+
+/**
+ * Gets the default metadata of a sync type
+ * @param {Object} config - Sync type config
+ * @returns {Object} Every metadata field with its default ('' unless metaDefaults sets one)
+ */
+export function getDefaultMeta(config) {
+	return Object.fromEntries((config.metaFields || []).map(field => [field, config.metaDefaults?.[field] ?? '']))
+}
+
+/**
+ * Reads the metadata of a remote item
+ * @param {Object} item - Remote item as returned by the API
+ * @param {Object} config - Sync type config
+ * @returns {Object} Every metadata field, with the default for fields the item has no value for
+ */
+export function getRemoteMeta(item, config) {
+	return Object.fromEntries(Object.entries(getDefaultMeta(config)).map(([field, value]) => [field, item[field] ?? value]))
+}
+
+/**
+ * Reads the [meta] tables of cx.toml
+ * @returns {Object<string, Object>} Metadata tables by file path
+ */
+export function readMetaTables() {
+	return readConfigFile()[META_SECTION] || {}
+}
+
+/**
+ * Gets the metadata a local file is pushed with
+ * Fields missing from its [meta] table use the sync type defaults. Given the remote metadata, fields not
+ * changed locally since the last sync keep the remote value, so a push never reverts someone else's change
+ * (for files synced before metadata was recorded, every field without a value in the table)
+ * @param {string} filepath - Local file path
+ * @param {Object} config - Sync type config
+ * @param {Object} [options] - Lookup options
+ * @param {Object} [options.remote] - Metadata of the matching remote item, if any
+ * @param {string} [options.renamedFrom] - Previous path of a renamed file, whose table is used if the new path has none
+ * @param {Object} [options.tables] - [meta] tables, when already read
+ * @param {Object} [options.manifest] - Sync manifest, when already read
+ * @returns {Object} Every metadata field of the sync type
+ * @throws {Error} If the table sets a field the sync type does not have
+ */
+export function getLocalMeta(filepath, config, options = {}) {
+	const tables = options.tables || readMetaTables()
+	const key = toMetaKey(filepath)
+	const table = tables[key] || (options.renamedFrom ? tables[toMetaKey(options.renamedFrom)] : null) || {}
+	const defaults = getDefaultMeta(config)
+
+	const unknown = Object.keys(table).filter(field => !(field in defaults))
+	if (unknown.length > 0) {
+		const fields = Object.keys(defaults)
+		throw new Error(`Unknown metadata field(s) ${unknown.join(', ')} in [meta."${key}"] of cx.toml (${config.displayNamePlural} have ${fields.length > 0 ? fields.join(', ') : 'no metadata fields'})`)
+	}
+
+	const local = { ...defaults, ...table }
+	const synced = (options.manifest || readManifest()).files[options.renamedFrom || filepath]
+	if (!options.remote || !synced) {
+		return local
+	}
+	return Object.fromEntries(Object.keys(defaults).map(field => {
+		const unchanged = synced.meta ? local[field] === synced.meta[field] : !(field in table)
+		return [field, unchanged ? options.remote[field] : local[field]]
+	}))
+}
+
+/**
+ * Lists the metadata fields that differ
+ * @param {Object} a - Metadata
+ * @param {Object} b - Metadata with the same fields
+ * @returns {Array<string>} Differing field names
+ */
+export function diffMeta(a, b) {
+	return Object.keys(a).filter(field => a[field] !== b[field])
+}
+
+/**
+ * Merges remote metadata changes into local metadata on pull
+ * A field changed only locally keeps the local value; when both sides changed it, the remote value wins
+ * @param {Object} local - Local metadata
+ * @param {Object} remote - Remote metadata
+ * @param {Object|undefined} base - Metadata at the last sync (none for files synced before metadata was recorded)
+ * @returns {{meta: Object, kept: Array<string>, overwritten: Array<string>}} Merged metadata,
+ *   fields that kept their local change and fields whose local change was replaced
+ */
+export function mergeMeta(local, remote, base) {
+	const meta = { ...remote }
+	const kept = []
+	const overwritten = []
+	if (!base) {
+		return { meta, kept, overwritten }
+	}
+
+	for (const field of diffMeta(local, remote)) {
+		if (local[field] === base[field]) continue
+		if (remote[field] === base[field]) {
+			meta[field] = local[field]
+			kept.push(field)
+		} else {
+			overwritten.push(field)
+		}
+	}
+	return { meta, kept, overwritten }
+}
+
+/**
+ * Describes the metadata worth showing next to a file name: fields with a declared default
+ * (such as a script's type) that the item does not use
+ * @param {Object} meta - Metadata
+ * @param {Object} config - Sync type config
+ * @returns {string} e.g. ' (type: debug)', or '' if every such field has its default
+ */
+export function describeMeta(meta, config) {
+	const shown = Object.entries(config.metaDefaults || {})
+		.filter(([field, value]) => meta[field] !== undefined && meta[field] !== value)
+		.map(([field]) => `${field}: ${meta[field]}`)
+	return shown.length > 0 ? ` (${shown.join(', ')})` : ''
+}
+
+/**
+ * Updates [meta] tables of cx.toml, keeping only values that differ from the defaults
+ * @param {Array<{filepath: string, config: Object, meta?: Object|null, from?: string}>} changes - Metadata to write
+ *   per file (null removes the table); from moves the table of a renamed file first
+ */
+export function writeMetaTables(changes) {
+	if (changes.length === 0) {
+		return
+	}
+
+	const cxConfig = readConfigFile()
+	const tables = cxConfig[META_SECTION] || {}
+	const before = JSON.stringify(tables)
+	for (const { filepath, config, meta, from } of changes) {
+		const key = toMetaKey(filepath)
+		if (from) {
+			if (tables[toMetaKey(from)]) {
+				tables[key] = tables[toMetaKey(from)]
+			}
+			delete tables[toMetaKey(from)]
+		}
+		if (meta === undefined) continue
+
+		const defaults = getDefaultMeta(config)
+		const table = meta ? Object.fromEntries(Object.entries(meta).filter(([field, value]) => value !== defaults[field])) : {}
+		if (Object.keys(table).length > 0) {
+			tables[key] = table
+		} else {
+			delete tables[key]
+		}
+	}
+
+	if (JSON.stringify(tables) === before) {
+		return
+	}
+	if (Object.keys(tables).length > 0) {
+		cxConfig[META_SECTION] = tables
+	} else {
+		delete cxConfig[META_SECTION]
+	}
+	writeConfigFile(cxConfig)
+}
+
+/**
+ * Lists the files whose metadata may differ from the defaults: those with a [meta] table
+ * and those last synced with non-default metadata (their table may have been removed since)
+ * @returns {Array<string>} Local file paths
+ */
+export function getMetaPaths() {
+	const paths = new Set(Object.keys(readMetaTables()))
+	for (const [filepath, entry] of Object.entries(readManifest().files)) {
+		const config = SYNC_TYPES[entry.syncType]
+		if (entry.meta && config && diffMeta(getDefaultMeta(config), entry.meta).length > 0) {
+			paths.add(toMetaKey(filepath))
+		}
+	}
+	return [...paths]
+}
+
+/**
+ * Gets the item types a sync type syncs (e.g. ScriptForge scripts of type quickjs and debug)
+ * For scripts, [sync] script_types in cx.toml replaces the default list; "*" syncs every type
+ * @param {Object} config - Sync type config
+ * @param {string} syncType - Sync type key
+ * @returns {Array<string>|null} Item types, or null if items of every type are synced
+ */
+export function getSyncedItemTypes(config, syncType) {
+	const configured = syncType === 'scriptforge' ? readConfigFile().sync?.script_types : undefined
+	const types = configured ?? config.itemTypes
+	if (!types) {
+		return null
+	}
+	const list = Array.isArray(types) ? types : [types]
+	return list.includes('*') ? null : list.map(String)
+}
@@ -0,0 +1,145 @@
+/**
+ * Worker pool for bulk sync requests - bounded concurrency, retries for transient failures
+ * and a live progress line with ETA (on an interactive terminal)
+ */
+
+import { readConfigFile } from './config.js'
+
+export const DEFAULT_CONCURRENCY = 8
+export const DEFAULT_RETRIES = 3
+
+// First retry waits this long, doubling on each further attempt
+const RETRY_DELAY_MS = 500
+
+/**
+ * Gets pool settings from CX_SYNC_CONCURRENCY / CX_SYNC_RETRIES or [sync] concurrency / retries in cx.toml
+ * @returns {{concurrency: number, retries: number}} Pool settings
+ * @throws {Error} If a setting is not a valid number
+ */
+export function getPoolSettings() {
+	const sync = readConfigFile().sync || {}
+	const concurrency = parseInt(process.env.CX_SYNC_CONCURRENCY ?? sync.concurrency ?? DEFAULT_CONCURRENCY, 10)
+	const retries = parseInt(process.env.CX_SYNC_RETRIES ?? sync.retries ?? DEFAULT_RETRIES, 10)
+
+	if (isNaN(concurrency) || concurrency < 1) {
+		throw new Error('Sync concurrency must be a number of at least 1 (CX_SYNC_CONCURRENCY or [sync] concurrency)')
+	}
+	if (isNaN(retries) || retries < 0) {
+		throw new Error('Sync retries must be a number of at least 0 (CX_SYNC_RETRIES or [sync] retries)')
+	}
+	return { concurrency, retries }
+}
+
+/**
+ * Formats a duration for the progress line
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. '45s' or '2m 05s'
+ */
+function formatDuration(ms) {
+	const seconds = Math.ceil(ms / 1000)
+	if (seconds < 60) {
+		return `${seconds}s`
+	}
+	return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`
+}
+
+/**
+ * Creates a progress line on stderr, redrawn as items complete
+ * Only shown on an interactive terminal, so piped and CI output stays clean
+ * @param {string} label - What is being done (e.g. 'Fetching SQL queries')
+ * @param {number} total - Number of items
+ * @param {boolean} silent - Whether to suppress the progress line
+ * @returns {{tick: Function, done: Function}} Progress controls
+ */
+function createProgress(label, total, silent) {
+	if (silent || total < 2 || !process.stderr.isTTY) {
+		return { tick: () => {}, done: () => {} }
+	}
+
+	const startedAt = Date.now()
+	let completed = 0
+	const render = () => {
+		const percent = Math.floor((completed / total) * 100)
+		const eta = completed > 0 && completed < total
+			? ` · ETA ${formatDuration(((Date.now() - startedAt) / completed) * (total - completed))}`
+			: ''
+		process.stderr.write(`\r\x1b[2K⏳ ${label} ${completed}/${total} (${percent}%)${eta}`)
+	}
+
+	render()
+	return {
+		tick: () => {
+			completed++
+			render()
+		},
+		done: () => process.stderr.write('\r\x1b[2K')
+	}
+}
+
+/**
+ * Runs a worker for one item, retrying transient failures with exponential backoff
+ * A failure is transient when the worker throws an error with retryable set,
+ * or resolves to a request result with success false and retryable set (see makeAuthenticatedRequest)
+ * @param {*} item - Item to process
+ * @param {Function} worker - Async worker
+ * @param {number} retries - Maximum number of retries
+ * @returns {Promise<{value?: *, error?: Error, attempts: number}>} Final outcome
+ */
+export async function runWithRetry(item, worker, retries) {
+	for (let attempt = 1; ; attempt++) {
+		let outcome
+		try {
+			const value = await worker(item)
+			if (!(value && value.success === false && value.retryable)) {
+				return { value, attempts: attempt }
+			}
+			outcome = { value, attempts: attempt }
+		} catch (error) {
+			if (!error.retryable) {
+				return { error, attempts: attempt }
+			}
+			outcome = { error, attempts: attempt }
+		}
+
+		if (attempt > retries) {
+			return outcome
+		}
+		await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * 2 ** (attempt - 1)))
+	}
+}
+
+/**
+ * Runs an async worker over items with bounded concurrency
+ * Outcomes are returned in item order once all items are done, so callers report results in a stable order
+ * @param {Array} items - Items to process
+ * @param {Function} worker - Async worker called with each item
+ * @param {Object} [options] - Pool options
+ * @param {string} [options.label] - Progress label (e.g. 'Pushing env vars')
+ * @param {boolean} [options.silent] - Whether to suppress the progress line
+ * @returns {Promise<Array<{value?: *, error?: Error, attempts: number}>>} Outcome for each item: the worker's value, or the error it threw
+ */
+export async function runPool(items, worker, options = {}) {
+	if (items.length === 0) {
+		return []
+	}
+
+	const { concurrency, retries } = getPoolSettings()
+	const progress = createProgress(options.label || 'Processing', items.length, options.silent)
+	const outcomes = new Array(items.length)
+	let next = 0
+
+	const runWorker = async () => {
+		while (next < items.length) {
+			const index = next++
+			outcomes[index] = await runWithRetry(items[index], worker, retries)
+			progress.tick()
+		}
+	}
+
+	try {
+		await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runWorker))
+	} finally {
+		progress.done()
+	}
+	return outcomes
+}
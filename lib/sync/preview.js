@@ -0,0 +1,214 @@
+/**
+ * Template preview - serves a local template on localhost with its placeholders filled from
+ * sample data, and reloads the page whenever the template or the sample data is saved
+ */
+
+import { createServer } from 'http'
+import { existsSync, readFileSync, watch } from 'fs'
+import { join, dirname, basename } from 'path'
+import { handleError } from '../utils.js'
+import { SYNC_TYPES } from './constants.js'
+import { getLocalFilename } from './files.js'
+
+const DEFAULT_PORT = 4000
+const RELOAD_PATH = '/__cx/reload'
+
+// Reloads the page when the server sends an event (EventSource reconnects by itself after a restart)
+const RELOAD_SCRIPT = `<script>new EventSource('${RELOAD_PATH}').onmessage = () => location.reload()</script>`
+
+/**
+ * Formats the current time for preview log lines
+ * @returns {string} Time as HH:MM:SS
+ */
+function timestamp() {
+	return new Date().toTimeString().slice(0, 8)
+}
+
+/**
+ * Escapes text for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+	return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;')
+}
+
+/**
+ * Resolves a template argument to its local file, with the naming rules pull and push use
+ * Accepts 'invoice', 'invoice.html', 'billing/invoice' or 'template/billing/invoice.html'
+ * @param {string} name - Template name or path
+ * @returns {string} Local file path (e.g. 'template/invoice.html')
+ */
+function resolveTemplatePath(name) {
+	const config = SYNC_TYPES.template
+	const dir = config.dir.replace(/^\.\//, '')
+	const relPath = name.replace(/\\/g, '/').replace(/^\.\//, '')
+	const withinDir = relPath.startsWith(`${dir}/`) ? relPath.slice(dir.length + 1) : relPath
+	return join(config.dir, getLocalFilename({ name: withinDir }, config))
+}
+
+/**
+ * Fills the placeholders of a template with sample data
+ * {{ path }} inserts the HTML-escaped value and {{{ path }}} the raw value; paths use dots (e.g. customer.name
+ * or items.0.price). Placeholders without sample data, and any other template tags, are left as they are
+ * @param {string} source - Template HTML
+ * @param {Object} data - Sample data
+ * @returns {{html: string, missing: Array<string>}} Rendered HTML and the paths that had no sample data
+ */
+export function renderTemplate(source, data) {
+	const missing = new Set()
+	const html = source.replace(/\{\{\{\s*([\w$-]+(?:\.[\w$-]+)*)\s*\}\}\}|\{\{\s*([\w$-]+(?:\.[\w$-]+)*)\s*\}\}/g, (placeholder, rawPath, path) => {
+		const value = (rawPath || path).split('.').reduce((current, key) => current?.[key], data)
+		if (value === undefined || value === null) {
+			missing.add(rawPath || path)
+			return placeholder
+		}
+		const text = typeof value === 'object' ? JSON.stringify(value) : String(value)
+		return rawPath ? text : escapeHtml(text)
+	})
+	return { html, missing: [...missing] }
+}
+
+/**
+ * Adds the live-reload script to a page, before </body> when there is one
+ * @param {string} html - Page HTML
+ * @returns {string} HTML with the reload script
+ */
+function injectReloadScript(html) {
+	const index = html.toLowerCase().lastIndexOf('</body>')
+	return index === -1 ? html + RELOAD_SCRIPT : html.slice(0, index) + RELOAD_SCRIPT + html.slice(index)
+}
+
+/**
+ * Reads the sample data file
+ * @param {string} dataPath - Sample data file path
+ * @returns {Object} Sample data ({} if the file does not exist)
+ * @throws {Error} If the file is not a JSON object
+ */
+function readSampleData(dataPath) {
+	if (!existsSync(dataPath)) {
+		return {}
+	}
+	let data
+	try {
+		data = JSON.parse(readFileSync(dataPath, 'utf-8'))
+	} catch (error) {
+		throw new Error(`${dataPath} is not valid JSON: ${error.message}`)
+	}
+	if (!data || typeof data !== 'object' || Array.isArray(data)) {
+		throw new Error(`${dataPath} must hold a JSON object`)
+	}
+	return data
+}
+
+/**
+ * Renders the page served for the template, or an error page if it cannot be rendered
+ * @param {string} filepath - Template file path
+ * @param {string} dataPath - Sample data file path
+ * @returns {{status: number, html: string, missing: Array<string>, error?: string}} Page to serve
+ */
+function renderPage(filepath, dataPath) {
+	try {
+		if (!existsSync(filepath)) {
+			throw new Error(`${filepath} no longer exists`)
+		}
+		const { html, missing } = renderTemplate(readFileSync(filepath, 'utf-8'), readSampleData(dataPath))
+		return { status: 200, html: injectReloadScript(html), missing }
+	} catch (error) {
+		const html = `<!DOCTYPE html><html><body><h1>Preview error</h1><pre>${escapeHtml(error.message)}</pre></body></html>`
+		return { status: 500, html: injectReloadScript(html), missing: [], error: error.message }
+	}
+}
+
+/**
+ * Reports placeholders without sample data and render errors in the console
+ * @param {Object} page - Page from renderPage
+ * @param {string} dataPath - Sample data file path
+ */
+function reportPage(page, dataPath) {
+	if (page.error) {
+		console.error(`❌ ${page.error}`)
+	} else if (page.missing.length > 0) {
+		console.log(`⚠️  No sample data in ${dataPath} for: ${page.missing.join(', ')}`)
+	}
+}
+
+/**
+ * Template preview command - serves a template on localhost and live-reloads it on save
+ * @param {string} name - Template name or path (e.g. 'invoice' or 'template/invoice.html')
+ * @param {Object} options - Command options
+ * @param {string} [options.data] - Sample data JSON file (defaults to <template>.sample.json next to the template)
+ * @param {string} [options.port] - Port to listen on (default: 4000)
+ */
+export async function templatePreviewAction(name, options) {
+	const filepath = resolveTemplatePath(name)
+	if (!existsSync(filepath)) {
+		handleError(`Template not found: ${filepath}. Run "cx pull ${filepath}" to fetch it first.`, false)
+		process.exit(1)
+	}
+
+	const port = options.port === undefined ? DEFAULT_PORT : parseInt(options.port, 10)
+	if (!Number.isInteger(port) || port < 0 || port > 65535) {
+		handleError('--port must be a number from 0 to 65535', false)
+		process.exit(1)
+	}
+
+	const dataPath = options.data || join(dirname(filepath), `${basename(filepath, SYNC_TYPES.template.extension)}.sample.json`)
+	if (!existsSync(dataPath)) {
+		console.log(`ℹ️  No sample data at ${dataPath}: placeholders are shown as they are. Create the file (a JSON object) or pass --data <file>.`)
+	}
+
+	const clients = new Set()
+	const server = createServer((request, response) => {
+		const path = request.url.split('?')[0]
+		if (path === RELOAD_PATH) {
+			response.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' })
+			response.write(': connected\n\n')
+			clients.add(response)
+			request.on('close', () => clients.delete(response))
+			return
+		}
+		if (path !== '/' && path !== `/${basename(filepath)}`) {
+			response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' })
+			response.end(`Not found: ${path}. The preview only serves ${filepath}.`)
+			return
+		}
+		const page = renderPage(filepath, dataPath)
+		response.writeHead(page.status, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' })
+		response.end(page.html)
+	})
+
+	server.on('error', error => {
+		handleError(error.code === 'EADDRINUSE' ? `Port ${port} is already in use. Pick another with --port <port>.` : error.message, false)
+		process.exit(1)
+	})
+
+	// Editors may replace files on save, so watch the folders and match the file names
+	let timer = null
+	const reload = (file) => {
+		clearTimeout(timer)
+		timer = setTimeout(() => {
+			console.log(`🔄 [${timestamp()}] ${file} changed, reloading`)
+			reportPage(renderPage(filepath, dataPath), dataPath)
+			clients.forEach(client => client.write('data: reload\n\n'))
+		}, 100)
+	}
+	const watchFile = (path) => {
+		watch(dirname(path), (event, filename) => {
+			if (filename === basename(path)) {
+				reload(path)
+			}
+		})
+	}
+	watchFile(filepath)
+	if (existsSync(dirname(dataPath))) {
+		watchFile(dataPath)
+	}
+
+	server.listen(port, '127.0.0.1', () => {
+		console.log(`👀 Previewing ${filepath} at http://localhost:${server.address().port}`)
+		console.log(`📄 Sample data: ${dataPath}`)
+		reportPage(renderPage(filepath, dataPath), dataPath)
+		console.log('Press Ctrl+C to stop.')
+	})
+}
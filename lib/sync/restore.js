@@ -0,0 +1,321 @@
+/**
+ * Rollback command - restores the remote app to a snapshot saved before a push
+ * The current remote state is compared with the snapshot, so only items that differ are written
+ */
+
+import { join } from 'path'
+import { confirm } from '@inquirer/prompts'
+import { handleError, makeAuthenticatedRequest } from '../utils.js'
+import { SYNC_TYPES, EXIT_CODES } from './constants.js'
+import { fetchAllItems, fetchItemById, filterByAppId, getLocalFilename } from './files.js'
+import { fetchRemoteEnvVars } from './env.js'
+import { CONFIG_SECTIONS, fetchRemoteConfig } from './config.js'
+import { findSnapshot, saveSnapshot, toSnapshotItem, describeSnapshot } from './snapshots.js'
+import { loadCustomSyncTypes } from './types.js'
+import { getDefaultMeta, diffMeta } from './meta.js'
+import { runPool } from './pool.js'
+import { decryptEnvValues } from './secrets.js'
+
+const ACTION_ICONS = { restore: '📝', recreate: '✨', delete: '🗑️ ' }
+
+/**
+ * Plans the changes restoring one sync type, and captures its current remote state
+ * @param {string} syncType - Sync type key
+ * @param {{complete: boolean, items: Array}} entry - Snapshot entry for the sync type
+ * @param {boolean} silent - Whether to suppress the progress line
+ * @returns {Promise<{changes: Array, current: {complete: boolean, items: Array}}>} Changes and current state
+ * @throws {Error} If the remote items cannot be fetched
+ */
+async function planFileRestore(syncType, entry, silent) {
+	const config = SYNC_TYPES[syncType]
+	const remoteItems = filterByAppId(await fetchAllItems(syncType, true), syncType, true)
+
+	// Deciding what to restore from partly fetched state could delete the wrong items
+	const outcomes = await runPool(remoteItems, item => fetchItemById(syncType, item.id, true), {
+		label: `Fetching ${config.displayNamePlural}`,
+		silent
+	})
+	const failed = outcomes.findIndex(outcome => outcome.error)
+	if (failed !== -1) {
+		throw new Error(`Failed to fetch ${remoteItems[failed].name}: ${outcomes[failed].error.message}`)
+	}
+	const currentItems = outcomes.map(outcome => toSnapshotItem(outcome.value, config))
+	const currentById = new Map(currentItems.map(item => [String(item.id), item]))
+
+	const changes = []
+	const snapshotIds = new Set()
+	for (const item of entry.items) {
+		snapshotIds.add(String(item.id))
+		const current = currentById.get(String(item.id))
+		if (!current) {
+			changes.push({ action: 'recreate', item })
+		} else if (current.name !== item.name || current.content !== item.content || diffMeta(item.meta || {}, current.meta).length > 0) {
+			changes.push({ action: 'restore', item })
+		}
+	}
+	// Only a complete snapshot knows which items did not exist yet
+	if (entry.complete) {
+		for (const current of currentItems) {
+			if (!snapshotIds.has(String(current.id))) {
+				changes.push({ action: 'delete', item: current })
+			}
+		}
+	}
+
+	return {
+		changes: changes.map(change => ({ ...change, label: join(config.dir, getLocalFilename(change.item, config)) })),
+		current: { complete: true, items: currentItems }
+	}
+}
+
+/**
+ * Applies a restore change to a script, query or template
+ * @param {string} syncType - Sync type key
+ * @param {{action: string, item: Object}} change - Planned change
+ * @returns {Promise<Object>} Request result
+ */
+function applyFileChange(syncType, { action, item }) {
+	const config = SYNC_TYPES[syncType]
+	if (action === 'delete') {
+		return makeAuthenticatedRequest(`${config.endpoint}/${item.id}`, 'DELETE', null, true)
+	}
+	// Snapshots saved before metadata was recorded have none: keep the current values, or use the defaults when recreating
+	const body = { ...item.meta, name: item.name, [config.contentField]: item.content, app_id: item.app_id }
+	if (action === 'restore') {
+		return makeAuthenticatedRequest(`${config.endpoint}/${item.id}`, 'PUT', body, true)
+	}
+	return makeAuthenticatedRequest(config.endpoint, 'POST', { ...getDefaultMeta(config), ...body }, true)
+}
+
+/**
+ * Plans the changes restoring the env vars, and captures their current remote values
+ * @param {Object<string, string>} snapshotEnv - Env vars in the snapshot
+ * @returns {Promise<{changes: Array, current: Object<string, string>}>} Changes and current values
+ * @throws {Error} If the env vars cannot be fetched
+ */
+async function planEnvRestore(snapshotEnv) {
+	const remote = await fetchRemoteEnvVars(true)
+	if (!remote.success) {
+		throw new Error(`Failed to fetch env vars: ${remote.error}`)
+	}
+	const idByKey = new Map(remote.rawData.map(item => [item.key, item.id]))
+
+	const changes = []
+	for (const [key, value] of Object.entries(snapshotEnv)) {
+		if (remote.data[key] === undefined) {
+			changes.push({ action: 'recreate', key, value })
+		} else if (remote.data[key] !== value) {
+			changes.push({ action: 'restore', key, value, id: idByKey.get(key) })
+		}
+	}
+	for (const key of Object.keys(remote.data)) {
+		if (snapshotEnv[key] === undefined) {
+			changes.push({ action: 'delete', key, id: idByKey.get(key) })
+		}
+	}
+
+	return { changes: changes.map(change => ({ ...change, label: change.key })), current: remote.data }
+}
+
+/**
+ * Applies a restore change to an env var
+ * @param {{action: string, key: string, value?: string, id?: number}} change - Planned change
+ * @returns {Promise<Object>} Request result
+ */
+function applyEnvChange(change) {
+	const appId = process.env.APP_ID
+	if (change.action === 'delete') {
+		return makeAuthenticatedRequest(`setup/var/${change.id}`, 'DELETE', null, true)
+	}
+	if (change.action === 'restore') {
+		return makeAuthenticatedRequest(`setup/var/${change.id}`, 'PUT', { key: change.key, value: change.value, app_id: appId }, true)
+	}
+	return makeAuthenticatedRequest('setup/var', 'POST', { key: change.key, value: change.value, app_id: appId }, true)
+}
+
+/**
+ * Plans the changes restoring a config section, and captures its current remote records
+ * @param {string} sectionType - Section type from CONFIG_SECTIONS
+ * @param {Array} snapshotRecords - Records in the snapshot, in cx.toml form
+ * @returns {Promise<{changes: Array, current: Array}>} Changes and current records
+ * @throws {Error} If the records cannot be fetched
+ */
+async function planConfigRestore(sectionType, snapshotRecords) {
+	const sectionConfig = CONFIG_SECTIONS[sectionType]
+	const remote = await fetchRemoteConfig(sectionType, true)
+	if (!remote.success) {
+		throw new Error(`Failed to fetch ${sectionConfig.displayNamePlural}: ${remote.error}`)
+	}
+	const remoteById = new Map(remote.data.map(raw => {
+		const toml = sectionConfig.toToml(raw)
+		return [sectionConfig.getId(toml), { toml, raw }]
+	}))
+
+	const changes = []
+	for (const record of snapshotRecords) {
+		const id = sectionConfig.getId(record)
+		const current = remoteById.get(id)
+		if (!current) {
+			changes.push({ action: 'recreate', id, record })
+		} else if (!sectionConfig.isEqual(record, current.toml)) {
+			changes.push({ action: 'restore', id, record, remoteId: current.raw.id })
+		}
+		remoteById.delete(id)
+	}
+	for (const [id, current] of remoteById) {
+		changes.push({ action: 'delete', id, remoteId: current.raw.id })
+	}
+
+	return {
+		changes: changes.map(change => ({ ...change, label: change.id })),
+		current: remote.data.map(raw => sectionConfig.toToml(raw))
+	}
+}
+
+/**
+ * Applies a restore change to a config record
+ * @param {Object} sectionConfig - Section configuration
+ * @param {{action: string, record?: Object, remoteId?: number}} change - Planned change
+ * @returns {Promise<Object>} Request result
+ */
+function applyConfigChange(sectionConfig, change) {
+	if (change.action === 'delete') {
+		return makeAuthenticatedRequest(`${sectionConfig.endpoint}/${change.remoteId}`, 'DELETE', null, true)
+	}
+	const payload = { ...sectionConfig.fromToml(change.record), app_id: process.env.APP_ID }
+	if (change.action === 'restore') {
+		return makeAuthenticatedRequest(`${sectionConfig.endpoint}/${change.remoteId}`, 'PUT', payload, true)
+	}
+	return makeAuthenticatedRequest(sectionConfig.endpoint, 'POST', payload, true)
+}
+
+/**
+ * Plans a rollback: what has to change remotely to match the snapshot
+ * @param {Object} snapshot - Snapshot to restore
+ * @param {boolean} silent - Whether to suppress progress lines
+ * @returns {Promise<{groups: Array, current: Object}>} Changes grouped for display and applying,
+ *   and the current remote state of everything the rollback may touch
+ * @throws {Error} If a sync type or config section in the snapshot is unknown, an env value cannot be decrypted, or fetching fails
+ */
+async function planRollback(snapshot, silent) {
+	const groups = []
+	const current = { files: {}, config: {} }
+
+	for (const [syncType, entry] of Object.entries(snapshot.files)) {
+		const config = SYNC_TYPES[syncType]
+		if (!config) {
+			throw new Error(`Snapshot contains unknown sync type "${syncType}". Is it still defined in cx.toml?`)
+		}
+		const plan = await planFileRestore(syncType, entry, silent)
+		current.files[syncType] = plan.current
+		groups.push({ title: config.displayNamePlural, icon: config.icon, changes: plan.changes, apply: change => applyFileChange(syncType, change) })
+	}
+
+	if (snapshot.env) {
+		// Values saved encrypted are only decrypted here, to compare and restore them
+		const plan = await planEnvRestore(decryptEnvValues(snapshot.env, `snapshot ${snapshot.id}`))
+		current.env = plan.current
+		groups.push({ title: 'Environment Variables', icon: '🔐', changes: plan.changes, apply: applyEnvChange })
+	}
+
+	for (const [key, records] of Object.entries(snapshot.config)) {
+		const sectionType = Object.keys(CONFIG_SECTIONS).find(type => CONFIG_SECTIONS[type].key === key)
+		if (!sectionType) {
+			throw new Error(`Snapshot contains unknown config section "${key}"`)
+		}
+		const sectionConfig = CONFIG_SECTIONS[sectionType]
+		const plan = await planConfigRestore(sectionType, records)
+		current.config[key] = plan.current
+		groups.push({ title: `${sectionConfig.displayNamePlural} (cx.toml)`, icon: sectionConfig.icon, changes: plan.changes, apply: change => applyConfigChange(sectionConfig, change) })
+	}
+
+	return { groups, current }
+}
+
+/**
+ * Rollback command - restores scripts, queries, templates, env vars and config records to a snapshot
+ * The remote state being replaced is itself saved as a snapshot first, so a rollback can be undone
+ * @param {string} [ref] - Snapshot ID or unique prefix (defaults to the newest snapshot)
+ * @param {Object} options - Command options
+ * @param {boolean} [options.yes] - Skip the confirmation
+ * @param {boolean} [options.dryRun] - Show what would change without changing it
+ */
+export async function rollbackAction(ref, options) {
+	const silent = options.silent || options.raw || false
+
+	try {
+		loadCustomSyncTypes()
+		const snapshot = findSnapshot(ref)
+		if (snapshot.appId && process.env.APP_ID && String(snapshot.appId) !== String(process.env.APP_ID)) {
+			throw new Error(`Snapshot ${snapshot.id} belongs to app ${snapshot.appId}, but APP_ID is ${process.env.APP_ID}`)
+		}
+
+		console.log(`🔄 Comparing the remote app with snapshot ${snapshot.id} (before cx ${snapshot.command})...`)
+		if (!silent) {
+			console.log(`   Snapshot holds ${describeSnapshot(snapshot)}`)
+		}
+		const { groups, current } = await planRollback(snapshot, silent)
+		const total = groups.reduce((sum, group) => sum + group.changes.length, 0)
+
+		if (total === 0) {
+			console.log('\n✨ The remote app already matches the snapshot. Nothing to roll back.')
+			return
+		}
+
+		console.log('\n↩️  Changes to roll back:')
+		console.log('══════════════════════════════════════════════════')
+		for (const group of groups) {
+			if (group.changes.length === 0) continue
+			console.log(`\n${group.icon} ${group.title}:`)
+			group.changes.forEach(change => console.log(`  ${ACTION_ICONS[change.action]} ${change.label} (${change.action})`))
+		}
+		console.log('\n══════════════════════════════════════════════════')
+		console.log(`📊 Total: ${total} change(s)`)
+
+		if (options.dryRun) {
+			console.log('\n🔍 Dry run: nothing was rolled back.')
+			return
+		}
+
+		const shouldProceed = options.yes || await confirm({
+			message: `Roll back ${total} change(s) on the remote app?`,
+			default: false
+		})
+		if (!shouldProceed) {
+			console.log('❌ Rollback cancelled.')
+			return
+		}
+
+		const undoId = saveSnapshot({ command: `rollback ${snapshot.id}`, ...current })
+
+		console.log('\n↩️  Rolling back...\n')
+		let successCount = 0
+		let failCount = 0
+		for (const group of groups) {
+			const outcomes = await runPool(group.changes, group.apply, { label: `Rolling back ${group.title}`, silent })
+			group.changes.forEach((change, i) => {
+				const { value, error } = outcomes[i]
+				if (value && value.success) {
+					console.log(`✅ ${change.action === 'delete' ? 'Deleted' : change.action === 'restore' ? 'Restored' : 'Recreated'} ${change.label}`)
+					successCount++
+				} else {
+					console.error(`❌ Failed to roll back ${change.label}: ${error ? error.message : value.error}`)
+					failCount++
+				}
+			})
+		}
+
+		console.log(`\n🎉 Rollback complete: ${successCount} succeeded, ${failCount} failed`)
+		if (undoId) {
+			console.log(`💾 The replaced remote state was saved as snapshot ${undoId}`)
+		}
+		console.log('💡 Run "cx pull" to bring your local files in line with the restored app.')
+
+		if (failCount > 0) {
+			process.exitCode = successCount === 0 ? EXIT_CODES.ERROR : EXIT_CODES.PARTIAL
+		}
+	} catch (error) {
+		handleError(error.message, silent)
+		process.exitCode = EXIT_CODES.ERROR
+	}
+}
@@ -0,0 +1,54 @@
+/**
+ * Undo log for atomic push - records how to revert each remote change as it is applied,
+ * so a push that fails part-way can put the remote app back as it was
+ */
+
+import { getPoolSettings, runWithRetry } from './pool.js'
+
+/**
+ * Creates an undo log
+ * @returns {{add: Function, size: Function, rollback: Function}} Undo log
+ */
+export function createUndoLog() {
+	const entries = []
+
+	return {
+		/**
+		 * Records how to revert an applied change
+		 * @param {string} label - What was changed (e.g. 'src/billing.js (update)')
+		 * @param {Function} undo - Async function reverting the change, resolving to a request result
+		 */
+		add(label, undo) {
+			entries.push({ label, undo })
+		},
+
+		/**
+		 * Gets the number of recorded changes
+		 * @returns {number} Number of changes that would be rolled back
+		 */
+		size() {
+			return entries.length
+		},
+
+		/**
+		 * Reverts every recorded change one at a time, most recent first (transient failures are retried)
+		 * Steps can depend on each other (e.g. deleting a created a.js before renaming b.js back to a.js),
+		 * so each one finishes before the next starts
+		 * @returns {Promise<{rolledBack: Array<string>, failed: Array<{label: string, error: string}>}>} Rollback report
+		 */
+		async rollback() {
+			const { retries } = getPoolSettings()
+			const rolledBack = []
+			const failed = []
+			for (const entry of [...entries].reverse()) {
+				const { value, error } = await runWithRetry(entry, pending => pending.undo(), retries)
+				if (value && value.success) {
+					rolledBack.push(entry.label)
+				} else {
+					failed.push({ label: entry.label, error: error ? error.message : value.error })
+				}
+			}
+			return { rolledBack, failed }
+		}
+	}
+}
@@ -0,0 +1,181 @@
+/**
+ * Encrypted cx.env values - KEY=enc:... so cx.env can be committed
+ * Values are encrypted with AES-256-GCM, using a key derived (scrypt) from the CX_ENV_KEY passphrase
+ * or the contents of a key file (CX_ENV_KEY_FILE, default cx.key). The key never leaves the machine:
+ * push decrypts before sending, and pull encrypts the keys that were encrypted or match [env] encrypt in cx.toml
+ */
+
+import { existsSync, readFileSync } from 'fs'
+import { createCipheriv, createDecipheriv, randomBytes, scryptSync } from 'crypto'
+import { readConfigFile } from './config.js'
+
+export const ENCRYPTED_PREFIX = 'enc:'
+export const DEFAULT_KEY_FILE = './cx.key'
+
+const SALT_LENGTH = 16
+const IV_LENGTH = 12
+const TAG_LENGTH = 16
+
+// Derived keys by passphrase and salt, as scrypt is deliberately slow
+const derivedKeys = new Map()
+
+/**
+ * Checks whether a cx.env value is encrypted
+ * @param {string} value - Value as written in the file
+ * @returns {boolean} True for enc:... values
+ */
+export function isEncryptedValue(value) {
+	return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX)
+}
+
+/**
+ * Checks whether an encrypted value is well-formed, without decrypting it
+ * @param {string} value - enc:... value
+ * @returns {boolean} True if the value can be decrypted with the right key
+ */
+export function isWellFormedEncryptedValue(value) {
+	const data = value.slice(ENCRYPTED_PREFIX.length)
+	return /^[A-Za-z0-9_-]+$/.test(data) && Buffer.from(data, 'base64url').length >= SALT_LENGTH + IV_LENGTH + TAG_LENGTH
+}
+
+/**
+ * Reads the secret the encryption key is derived from
+ * @returns {string|null} CX_ENV_KEY, or the contents of the key file, or null if neither is set
+ * @throws {Error} If CX_ENV_KEY_FILE names a file that does not exist or the key file is empty
+ */
+function readSecret() {
+	if (process.env.CX_ENV_KEY) {
+		return process.env.CX_ENV_KEY
+	}
+	const keyFile = process.env.CX_ENV_KEY_FILE || DEFAULT_KEY_FILE
+	if (!existsSync(keyFile)) {
+		if (process.env.CX_ENV_KEY_FILE) {
+			throw new Error(`Key file not found: ${keyFile} (CX_ENV_KEY_FILE)`)
+		}
+		return null
+	}
+	const secret = readFileSync(keyFile, 'utf-8').trim()
+	if (!secret) {
+		throw new Error(`Key file ${keyFile} is empty`)
+	}
+	return secret
+}
+
+/**
+ * Gets the encryption key for a salt
+ * @param {Buffer} salt - Salt of the value
+ * @returns {Buffer} 256-bit key
+ * @throws {Error} If no passphrase or key file is configured
+ */
+function getKey(salt) {
+	const secret = readSecret()
+	if (secret === null) {
+		throw new Error(`No key to encrypt or decrypt cx.env values. Set CX_ENV_KEY (e.g. in .env) or create ${DEFAULT_KEY_FILE.replace(/^\.\//, '')}`)
+	}
+	const id = `${secret}\0${salt.toString('hex')}`
+	if (!derivedKeys.has(id)) {
+		derivedKeys.set(id, scryptSync(secret, salt, 32))
+	}
+	return derivedKeys.get(id)
+}
+
+/**
+ * Encrypts a value
+ * @param {string} value - Plaintext value
+ * @param {Buffer} salt - Salt to derive the key with (shared by the values of a file, so the key is derived once)
+ * @returns {string} enc:... value
+ */
+function encryptValue(value, salt) {
+	const iv = randomBytes(IV_LENGTH)
+	const cipher = createCipheriv('aes-256-gcm', getKey(salt), iv)
+	const ciphertext = Buffer.concat([cipher.update(value, 'utf-8'), cipher.final()])
+	return ENCRYPTED_PREFIX + Buffer.concat([salt, iv, cipher.getAuthTag(), ciphertext]).toString('base64url')
+}
+
+/**
+ * Decrypts a value
+ * @param {string} value - enc:... value
+ * @returns {string} Plaintext value
+ * @throws {Error} If there is no key, or the value is malformed or was encrypted with another key
+ */
+export function decryptValue(value) {
+	if (!isWellFormedEncryptedValue(value)) {
+		throw new Error('malformed encrypted value')
+	}
+	const data = Buffer.from(value.slice(ENCRYPTED_PREFIX.length), 'base64url')
+	const salt = data.subarray(0, SALT_LENGTH)
+	const iv = data.subarray(SALT_LENGTH, SALT_LENGTH + IV_LENGTH)
+	const tag = data.subarray(SALT_LENGTH + IV_LENGTH, SALT_LENGTH + IV_LENGTH + TAG_LENGTH)
+	const decipher = createDecipheriv('aes-256-gcm', getKey(salt), iv)
+	decipher.setAuthTag(tag)
+	try {
+		return Buffer.concat([decipher.update(data.subarray(SALT_LENGTH + IV_LENGTH + TAG_LENGTH)), decipher.final()]).toString('utf-8')
+	} catch {
+		throw new Error('wrong key (CX_ENV_KEY or the key file) or a damaged value')
+	}
+}
+
+/**
+ * Decrypts the encrypted values of an env file
+ * @param {Object} env - Key-value pairs as written in the file
+ * @param {string} file - File name, for error messages
+ * @returns {Object} Key-value pairs with plaintext values
+ * @throws {Error} If a value cannot be decrypted
+ */
+export function decryptEnvValues(env, file) {
+	const result = {}
+	for (const [key, value] of Object.entries(env)) {
+		if (!isEncryptedValue(value)) {
+			result[key] = value
+			continue
+		}
+		try {
+			result[key] = decryptValue(value)
+		} catch (error) {
+			throw new Error(`Cannot decrypt ${key} in ${file.replace(/^\.\//, '')}: ${error.message}`)
+		}
+	}
+	return result
+}
+
+/**
+ * Creates a matcher for the keys [env] encrypt in cx.toml lists (true for every key, '*' matches any characters)
+ * @returns {Function} (key) => boolean
+ */
+function getEncryptMatcher() {
+	const setting = readConfigFile().env?.encrypt
+	if (setting === true) {
+		return () => true
+	}
+	const patterns = [].concat(setting || []).map(pattern => new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`))
+	return key => patterns.some(pattern => pattern.test(key))
+}
+
+/**
+ * Encrypts the values of an env file about to be written: keys that were encrypted in the file before,
+ * and keys matching [env] encrypt in cx.toml. An unchanged value keeps its ciphertext, so the file
+ * (and git) only changes when a value does
+ * @param {Object} env - Key-value pairs with plaintext values
+ * @param {Object} previous - Key-value pairs as written in the file before (enc:... values still encrypted)
+ * @returns {Object} Key-value pairs to write
+ * @throws {Error} If values must be encrypted but there is no key
+ */
+export function encryptEnvValues(env, previous) {
+	const shouldEncrypt = getEncryptMatcher()
+	// New values reuse the salt of the values already encrypted, so reading the file derives a single key
+	const encrypted = Object.values(previous).find(value => isEncryptedValue(value) && isWellFormedEncryptedValue(value))
+	let salt = encrypted ? Buffer.from(encrypted.slice(ENCRYPTED_PREFIX.length), 'base64url').subarray(0, SALT_LENGTH) : null
+	const result = {}
+	for (const [key, value] of Object.entries(env)) {
+		const before = previous[key]
+		if (!isEncryptedValue(before) && !shouldEncrypt(key)) {
+			result[key] = value
+		} else if (isEncryptedValue(before) && isWellFormedEncryptedValue(before) && decryptValue(before) === value) {
+			result[key] = before
+		} else {
+			salt = salt || randomBytes(SALT_LENGTH)
+			result[key] = encryptValue(value, salt)
+		}
+	}
+	return result
+}
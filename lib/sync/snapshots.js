@@ -0,0 +1,241 @@
+/**
+ * Remote snapshots - the remote state a push is about to overwrite, saved under .cx/snapshots
+ * (.cx/stages/<name>/snapshots for a stage) so "cx rollback" can put the app back as it was before that push
+ */
+
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync, rmSync } from 'fs'
+import { join } from 'path'
+import { handleError } from '../utils.js'
+import { SYNC_TYPES } from './constants.js'
+import { CONFIG_SECTIONS, readConfigFile } from './config.js'
+import { getRemoteMeta } from './meta.js'
+import { getStateDir } from './state.js'
+import { readStoredEnvFile } from './env.js'
+import { encryptEnvValues } from './secrets.js'
+
+const SNAPSHOT_VERSION = 1
+
+export const DEFAULT_SNAPSHOT_LIMIT = 20
+
+/**
+ * Gets how many snapshots to keep from [sync] snapshots in cx.toml (0 turns snapshots off)
+ * @returns {number} Number of snapshots to keep
+ * @throws {Error} If the setting is not a valid number
+ */
+export function getSnapshotLimit() {
+	const limit = parseInt(readConfigFile().sync?.snapshots ?? DEFAULT_SNAPSHOT_LIMIT, 10)
+	if (isNaN(limit) || limit < 0) {
+		throw new Error('[sync] snapshots in cx.toml must be a number of at least 0')
+	}
+	return limit
+}
+
+/**
+ * Converts a remote record to the form stored in a snapshot
+ * @param {Object} item - Remote record with id, name, app_id, meta and content (or the raw API record)
+ * @param {Object} [config] - Sync type config, when item is the raw API record
+ * @returns {{id: number, name: string, content: string, app_id: string, meta: Object}} Snapshot item
+ */
+export function toSnapshotItem(item, config = null) {
+	return {
+		id: item.id,
+		name: item.originalName || item.name,
+		content: (config ? item[config.contentField] : item.content) || '',
+		app_id: item.app_id,
+		meta: (config ? getRemoteMeta(item, config) : item.meta) || {}
+	}
+}
+
+/**
+ * Saves a snapshot of remote state and drops the oldest snapshots over the limit
+ * A sync type marked complete holds every remote item of the app, so items missing from it
+ * were created later and are deleted on rollback; otherwise only the listed items are restored
+ * @param {Object} state - Remote state to save
+ * @param {string} state.command - Command that took the snapshot (e.g. 'push')
+ * @param {Object<string, {complete: boolean, items: Array}>} [state.files] - Snapshot items per sync type
+ * @param {Object<string, string>} [state.env] - All remote env vars (key: value). Keys encrypted in cx.env are
+ *   saved encrypted (enc:...), so secrets do not end up in .cx in plaintext
+ * @param {Object<string, Array>} [state.config] - All remote records per config section key, in cx.toml form
+ * @returns {string|null} Snapshot ID, or null if snapshots are turned off
+ * @throws {Error} If env values must be encrypted but there is no key
+ */
+export function saveSnapshot(state) {
+	const limit = getSnapshotLimit()
+	if (limit === 0) {
+		return null
+	}
+
+	mkdirSync(getSnapshotDir(), { recursive: true })
+	const createdAt = new Date().toISOString()
+	const base = createdAt.replace(/[:.]/g, '-')
+	let id = base
+	for (let n = 2; existsSync(getSnapshotPath(id)); n++) {
+		id = `${base}-${n}`
+	}
+
+	const snapshot = {
+		version: SNAPSHOT_VERSION,
+		id,
+		createdAt,
+		appId: process.env.APP_ID || null,
+		command: state.command,
+		files: state.files || {},
+		...(state.env ? { env: encryptEnvValues(state.env, readStoredEnvFile()) } : {}),
+		config: state.config || {}
+	}
+	writeFileSync(getSnapshotPath(id), JSON.stringify(snapshot, null, '\t') + '\n', 'utf-8')
+
+	for (const old of listSnapshotIds().slice(limit)) {
+		rmSync(getSnapshotPath(old), { force: true })
+	}
+	return id
+}
+
+/**
+ * Gets the snapshot folder of the active stage
+ * @returns {string} .cx/snapshots, or .cx/stages/<name>/snapshots for a stage
+ */
+function getSnapshotDir() {
+	return join(getStateDir(), 'snapshots')
+}
+
+/**
+ * Gets the path of a snapshot file
+ * @param {string} id - Snapshot ID
+ * @returns {string} Path under the snapshot folder
+ */
+function getSnapshotPath(id) {
+	return join(getSnapshotDir(), `${id}.json`)
+}
+
+/**
+ * Lists snapshot IDs, newest first
+ * @returns {Array<string>} Snapshot IDs
+ */
+function listSnapshotIds() {
+	const dir = getSnapshotDir()
+	if (!existsSync(dir)) {
+		return []
+	}
+	return readdirSync(dir)
+		.filter(file => file.endsWith('.json'))
+		.map(file => file.slice(0, -'.json'.length))
+		.sort()
+		.reverse()
+}
+
+/**
+ * Reads a snapshot
+ * @param {string} id - Snapshot ID
+ * @returns {Object} Snapshot
+ * @throws {Error} If the snapshot cannot be parsed
+ */
+function readSnapshotFile(id) {
+	try {
+		return JSON.parse(readFileSync(getSnapshotPath(id), 'utf-8'))
+	} catch (error) {
+		throw new Error(`Failed to read snapshot ${id}: ${error.message}`)
+	}
+}
+
+/**
+ * Finds a snapshot by ID or unique ID prefix, or the newest one
+ * @param {string} [ref] - Snapshot ID or prefix (e.g. '2026-10-19T18-38')
+ * @returns {Object} Snapshot
+ * @throws {Error} If no snapshot or more than one snapshot matches
+ */
+export function findSnapshot(ref) {
+	const ids = listSnapshotIds()
+	if (ids.length === 0) {
+		throw new Error('No snapshots found. A snapshot is saved before every push.')
+	}
+	if (!ref) {
+		return readSnapshotFile(ids[0])
+	}
+
+	const matches = ids.includes(ref) ? [ref] : ids.filter(id => id.startsWith(ref))
+	if (matches.length === 0) {
+		throw new Error(`Snapshot "${ref}" not found. Run "cx snapshots" to list them.`)
+	}
+	if (matches.length > 1) {
+		throw new Error(`Snapshot "${ref}" is ambiguous: ${matches.join(', ')}`)
+	}
+	return readSnapshotFile(matches[0])
+}
+
+/**
+ * Summarises what a snapshot holds
+ * @param {Object} snapshot - Snapshot
+ * @returns {{files: number, env: number, config: number}} Number of items, env vars and config records
+ */
+function countSnapshot(snapshot) {
+	return {
+		files: Object.values(snapshot.files).reduce((sum, entry) => sum + entry.items.length, 0),
+		env: snapshot.env ? Object.keys(snapshot.env).length : 0,
+		config: Object.values(snapshot.config).reduce((sum, records) => sum + records.length, 0)
+	}
+}
+
+/**
+ * Describes the contents of a snapshot for display
+ * @param {Object} snapshot - Snapshot
+ * @returns {string} e.g. '12 ScriptForge scripts, 3 env vars, 1 Domain'
+ */
+export function describeSnapshot(snapshot) {
+	const parts = Object.entries(snapshot.files).map(([syncType, entry]) => {
+		const config = SYNC_TYPES[syncType]
+		const label = config ? (entry.items.length === 1 ? config.displayName : config.displayNamePlural) : syncType
+		return `${entry.items.length} ${label}${entry.complete ? '' : ' (single item)'}`
+	})
+	if (snapshot.env) {
+		parts.push(`${Object.keys(snapshot.env).length} env var(s)`)
+	}
+	for (const [key, records] of Object.entries(snapshot.config)) {
+		const section = Object.values(CONFIG_SECTIONS).find(s => s.key === key)
+		parts.push(`${records.length} ${section ? (records.length === 1 ? section.displayName : section.displayNamePlural) : key}`)
+	}
+	return parts.join(', ') || 'nothing'
+}
+
+/**
+ * Snapshots command - lists saved remote snapshots, newest first
+ * @param {Object} options - Command options
+ * @param {boolean} [options.json] - Output machine-readable JSON
+ */
+export async function snapshotsAction(options) {
+	const silent = options.silent || options.raw || false
+
+	try {
+		const snapshots = listSnapshotIds().map(readSnapshotFile)
+
+		if (options.json) {
+			console.log(JSON.stringify(snapshots.map(s => ({
+				id: s.id,
+				createdAt: s.createdAt,
+				appId: s.appId,
+				command: s.command,
+				counts: countSnapshot(s)
+			})), null, 2))
+			return
+		}
+
+		if (snapshots.length === 0) {
+			console.log('📸 No snapshots yet. A snapshot of the remote app is saved before every push.')
+			return
+		}
+
+		console.log(`\n📸 Snapshots (${snapshots.length}, newest first):`)
+		console.log('══════════════════════════════════════════════════')
+		for (const snapshot of snapshots) {
+			console.log(`  ${snapshot.id}  cx ${snapshot.command}`)
+			console.log(`     ${describeSnapshot(snapshot)}`)
+		}
+		console.log('══════════════════════════════════════════════════')
+		if (!silent) {
+			console.log('💡 Run "cx rollback <snapshot>" to restore the remote app to a snapshot.')
+		}
+	} catch (error) {
+		handleError(error.message, silent)
+		process.exitCode = 1
+	}
+}
@@ -0,0 +1,97 @@
+/**
+ * Stages - deploying the same code to several apps (e.g. staging and production)
+ * A [stage.<name>] table in cx.toml holds the stage's app_id and the config sections it overrides
+ * (e.g. [[stage.production.domain]]), and cx.<name>.env the env vars it overrides.
+ * With --stage <name> these are merged over the base cx.toml and cx.env, the stage's app is targeted,
+ * and the sync state is kept apart under .cx/stages/<name>
+ */
+
+import { readdirSync } from 'fs'
+import { basename } from 'path'
+import { handleError } from '../utils.js'
+import { ENV_FILE } from './constants.js'
+import { readConfigFile } from './config.js'
+
+// Stage names end up in file names (cx.<name>.env and .cx/stages/<name>)
+export const STAGE_NAME = /^[A-Za-z0-9_-]+$/
+
+/**
+ * Reads a stage from cx.toml
+ * @param {string} name - Stage name
+ * @returns {{name: string, appId: string}} Stage
+ * @throws {Error} If the stage is not defined or has no app_id
+ */
+export function resolveStage(name) {
+	if (!STAGE_NAME.test(name)) {
+		throw new Error(`Invalid stage name "${name}" (use letters, digits, '_' and '-')`)
+	}
+	const stages = readConfigFile().stage || {}
+	const stage = stages[name]
+	if (!stage) {
+		const names = Object.keys(stages)
+		throw new Error(names.length > 0
+			? `Unknown stage "${name}". Stages in cx.toml: ${names.join(', ')}`
+			: `No stages in cx.toml. Add a [stage.${name}] table with the app_id of the stage`)
+	}
+	if (!stage.app_id) {
+		throw new Error(`Stage "${name}" is missing app_id`)
+	}
+	return { name, appId: String(stage.app_id) }
+}
+
+/**
+ * Lists the env overlay files next to cx.env
+ * @returns {Array<{stage: string, file: string}>} Stage name and file name of each overlay (e.g. cx.production.env)
+ */
+export function listStageEnvFiles() {
+	const [prefix, extension] = basename(ENV_FILE).split('.')
+	const pattern = new RegExp(`^${prefix}\\.([^.]+)\\.${extension}$`)
+	return readdirSync('.')
+		.map(file => ({ stage: pattern.exec(file)?.[1], file }))
+		.filter(overlay => overlay.stage)
+		.sort((a, b) => a.file.localeCompare(b.file))
+}
+
+/**
+ * Wraps a commander action so it runs for the stage given with --stage
+ * APP_ID is set to the stage's app and CX_STAGE to its name (see getActiveStage) while the action runs.
+ * Without --stage the action runs unchanged
+ * @param {Function} action - Commander action (args..., options, command)
+ * @returns {Function} Commander action
+ */
+export function withStage(action) {
+	return async (...args) => {
+		const options = args[args.length - 2] || {}
+		if (!options.stage) {
+			return action(...args)
+		}
+
+		let stage
+		try {
+			stage = resolveStage(options.stage)
+		} catch (error) {
+			handleError(error.message, false)
+			process.exit(1)
+		}
+
+		const silent = options.silent || options.raw || options.json || false
+		if (!silent) {
+			console.log(`🎭 Stage: ${stage.name} (APP_ID ${stage.appId})`)
+		}
+
+		const original = { APP_ID: process.env.APP_ID, CX_STAGE: process.env.CX_STAGE }
+		process.env.APP_ID = stage.appId
+		process.env.CX_STAGE = stage.name
+		try {
+			await action(...args)
+		} finally {
+			for (const [key, value] of Object.entries(original)) {
+				if (value === undefined) {
+					delete process.env[key]
+				} else {
+					process.env[key] = value
+				}
+			}
+		}
+	}
+}
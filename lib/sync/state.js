@@ -0,0 +1,252 @@
+/**
+ * Local sync state kept under .cx/ (under .cx/stages/<name>/ for a stage, which targets its own app)
+ * - Base copies of every file as last synced (common ancestor for three-way merges)
+ * - A manifest recording remote id, content hash and remote timestamp of every synced item,
+ *   used to detect remote changes made since the last pull or push
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync, rmSync } from 'fs'
+import { join, dirname } from 'path'
+import { createHash } from 'crypto'
+import { STATE_DIR, CONFIG_FILE } from './constants.js'
+
+const MANIFEST_VERSION = 1
+
+/**
+ * Gets the stage the command runs for (set by --stage, see withStage)
+ * @returns {string|null} Stage name, or null for the base files
+ */
+export function getActiveStage() {
+	return process.env.CX_STAGE || null
+}
+
+/**
+ * Gets the folder holding the sync state of the active stage
+ * @returns {string} '.cx', or '.cx/stages/<name>' for a stage
+ */
+export function getStateDir() {
+	const stage = getActiveStage()
+	return stage ? join(STATE_DIR, 'stages', stage) : STATE_DIR
+}
+
+/**
+ * Gets the path of the sync manifest of the active stage
+ * @returns {string} Manifest path
+ */
+function getManifestPath() {
+	return join(getStateDir(), 'manifest.json')
+}
+
+/**
+ * Gets the path of the base copy for a sync file
+ * @param {string} filepath - Working tree path (e.g. 'src/my-script.js')
+ * @returns {string} Path of the base copy under .cx/base
+ */
+function getBasePath(filepath) {
+	return join(getStateDir(), 'base', filepath)
+}
+
+/**
+ * Reads the base copy of a file as it was last synced
+ * @param {string} filepath - Working tree path
+ * @returns {string|null} Base content or null if the file was never synced
+ */
+export function readBaseContent(filepath) {
+	const basePath = getBasePath(filepath)
+	if (!existsSync(basePath)) {
+		return null
+	}
+	return readFileSync(basePath, 'utf-8')
+}
+
+/**
+ * Records the content of a file as last synced with remote
+ * @param {string} filepath - Working tree path
+ * @param {string} content - Content that is now in sync
+ */
+export function writeBaseContent(filepath, content) {
+	const basePath = getBasePath(filepath)
+	mkdirSync(dirname(basePath), { recursive: true })
+	writeFileSync(basePath, content, 'utf-8')
+}
+
+/**
+ * Removes the base copy of a file (e.g. when the local file is deleted)
+ * @param {string} filepath - Working tree path
+ */
+export function removeBaseContent(filepath) {
+	rmSync(getBasePath(filepath), { force: true })
+}
+
+/**
+ * Hashes content for change detection
+ * @param {string} content - Content to hash
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashContent(content) {
+	return createHash('sha256').update(content || '', 'utf-8').digest('hex')
+}
+
+/**
+ * Gets the last-modified timestamp reported by the API for a record
+ * @param {Object} item - Remote record
+ * @returns {string|null} Timestamp or null if the record has none
+ */
+export function getRemoteTimestamp(item) {
+	if (!item || typeof item !== 'object') return null
+	return item.updated_at || item.updated || item.modified || item.date_modified || null
+}
+
+/**
+ * Reads the sync manifest
+ * @returns {{version: number, files: Object, env: Object, config: Object}} Manifest (empty if none yet)
+ */
+export function readManifest() {
+	const empty = { version: MANIFEST_VERSION, files: {}, env: {}, config: {} }
+	const manifestPath = getManifestPath()
+	if (!existsSync(manifestPath)) {
+		return empty
+	}
+	try {
+		return { ...empty, ...JSON.parse(readFileSync(manifestPath, 'utf-8')) }
+	} catch (error) {
+		throw new Error(`Failed to parse ${manifestPath}: ${error.message}`)
+	}
+}
+
+/**
+ * Writes the sync manifest
+ * @param {Object} manifest - Manifest to write
+ */
+export function writeManifest(manifest) {
+	const manifestPath = getManifestPath()
+	mkdirSync(dirname(manifestPath), { recursive: true })
+	writeFileSync(manifestPath, JSON.stringify(manifest, null, '\t') + '\n', 'utf-8')
+}
+
+/**
+ * Reads, modifies and writes the sync manifest
+ * @param {Function} mutator - Receives the manifest and modifies it in place
+ */
+export function updateManifest(mutator) {
+	const manifest = readManifest()
+	mutator(manifest)
+	writeManifest(manifest)
+}
+
+/**
+ * Gets the recorded sync state for a file
+ * @param {string} filepath - Working tree path
+ * @returns {Object|null} Entry with syncType, id, name, hash, updated, meta, syncedAt or null
+ */
+export function getFileSyncState(filepath) {
+	return readManifest().files[filepath] || null
+}
+
+/**
+ * Marks a file as in sync with remote after a pull or push
+ * Stores the base copy and records remote id, content hash and remote timestamp
+ * @param {string} filepath - Working tree path
+ * @param {Object} remote - Remote record details
+ * @param {string} remote.syncType - Sync type key
+ * @param {number|string} remote.id - Remote record ID
+ * @param {string} remote.name - Remote record name
+ * @param {string|null} [remote.updated] - Remote last-modified timestamp
+ * @param {Object} [remote.meta] - Remote metadata (type, description, ...), the base for merging metadata on pull
+ * @param {string} content - Content that is now in sync
+ */
+export function markFileSynced(filepath, remote, content) {
+	writeFileSyncStates([{ filepath, remote, content }])
+}
+
+/**
+ * Forgets all sync state for a file (base copy and manifest entry)
+ * @param {string} filepath - Working tree path
+ */
+export function forgetFileSync(filepath) {
+	writeFileSyncStates([{ filepath, remote: null }])
+}
+
+/**
+ * Records the sync state of several files, reading and writing the manifest once
+ * Changes are applied in order, so a renamed file's old path can be forgotten before its new path is marked
+ * @param {Array<{filepath: string, remote: Object|null, content?: string}>} changes - Files now in sync, with
+ *   their remote record details and content as for markFileSynced; a null remote forgets the file
+ */
+export function writeFileSyncStates(changes) {
+	if (changes.length === 0) {
+		return
+	}
+
+	for (const { filepath, remote, content } of changes) {
+		if (remote) {
+			writeBaseContent(filepath, content)
+		} else {
+			removeBaseContent(filepath)
+		}
+	}
+
+	const syncedAt = new Date().toISOString()
+	updateManifest(manifest => {
+		for (const { filepath, remote, content } of changes) {
+			if (!remote) {
+				delete manifest.files[filepath]
+				continue
+			}
+			manifest.files[filepath] = {
+				syncType: remote.syncType,
+				id: remote.id,
+				name: remote.name,
+				hash: hashContent(content),
+				updated: remote.updated || null,
+				...(remote.meta ? { meta: remote.meta } : {}),
+				syncedAt
+			}
+		}
+	})
+}
+
+/**
+ * Checks whether a remote item changed since it was last synced
+ * @param {Object|null} entry - Manifest entry (files/env/config)
+ * @param {string} remoteHash - Hash of the current remote content
+ * @returns {boolean} True if the remote changed since the last pull or push
+ */
+export function isRemoteModified(entry, remoteHash) {
+	return !!entry && entry.hash !== remoteHash
+}
+
+/**
+ * Captures the sync state (manifest, base copies and cx.toml) so it can be restored after a rollback
+ * cx.toml is included because a push moves or removes the [meta] tables of renamed and deleted files
+ * @param {Array<string>} filepaths - Working tree paths whose base copies may change
+ * @returns {{manifest: Object, bases: Object<string, string|null>, configFile: string|null}} Snapshot for restoreSyncState
+ */
+export function captureSyncState(filepaths) {
+	const bases = {}
+	for (const filepath of filepaths) {
+		bases[filepath] = readBaseContent(filepath)
+	}
+	const configFile = existsSync(CONFIG_FILE) ? readFileSync(CONFIG_FILE, 'utf-8') : null
+	return { manifest: readManifest(), bases, configFile }
+}
+
+/**
+ * Restores sync state captured by captureSyncState
+ * @param {{manifest: Object, bases: Object<string, string|null>, configFile: string|null}} snapshot - Captured state
+ */
+export function restoreSyncState(snapshot) {
+	writeManifest(snapshot.manifest)
+	for (const [filepath, content] of Object.entries(snapshot.bases)) {
+		if (content === null) {
+			removeBaseContent(filepath)
+		} else {
+			writeBaseContent(filepath, content)
+		}
+	}
+	if (snapshot.configFile === null) {
+		rmSync(CONFIG_FILE, { force: true })
+	} else {
+		writeFileSync(CONFIG_FILE, snapshot.configFile, 'utf-8')
+	}
+}
@@ -0,0 +1,261 @@
+/**
+ * Status command - summarises drift between local files and the remote app
+ * Reuses the preview (dry-run) modes of the push functions (pushItems, pushEnvVars, pushConfigSection),
+ * so nothing is written locally or remotely
+ */
+
+import { handleError } from '../utils.js'
+import { SYNC_TYPES, ENV_FILE, CONFIG_FILE } from './constants.js'
+import { pushItems, fetchAllItems, filterByAppId, getLocalFilename } from './files.js'
+import { pushEnvVars } from './env.js'
+import { CONFIG_SECTIONS, pushConfigSection, fetchRemoteConfig, hashConfigRecord } from './config.js'
+import { readManifest, hashContent } from './state.js'
+import { loadIgnoreRules, isIgnored } from './ignore.js'
+import { loadCustomSyncTypes } from './types.js'
+
+/**
+ * Display labels for each status, in display order
+ */
+export const STATUS_LABELS = {
+	'modified-local': { icon: '📝', label: 'modified locally' },
+	'modified-remote': { icon: '📡', label: 'modified remotely' },
+	'modified-both': { icon: '⚠️ ', label: 'modified locally and remotely' },
+	'new-local': { icon: '✨', label: 'new locally' },
+	'deleted-local': { icon: '🗑️ ', label: 'deleted locally' },
+	'only-remote': { icon: '☁️ ', label: 'only remote' },
+	'in-sync': { icon: '✅', label: 'in sync' }
+}
+
+/**
+ * Classifies an item that differs between local and remote using the sync manifest
+ * Items never synced through cx have no recorded hash and count as modified locally
+ * @param {Object|null} entry - Manifest entry with the hash as last synced
+ * @param {string} localHash - Hash of the local content
+ * @param {string} remoteHash - Hash of the remote content
+ * @returns {string} 'modified-local', 'modified-remote' or 'modified-both'
+ */
+function classifyModified(entry, localHash, remoteHash) {
+	if (!entry) {
+		return 'modified-local'
+	}
+	const localModified = entry.hash !== localHash
+	const remoteModified = entry.hash !== remoteHash
+	if (localModified && remoteModified) return 'modified-both'
+	if (remoteModified) return 'modified-remote'
+	return 'modified-local'
+}
+
+/**
+ * Collects the sync status of every script, query, template, env var and config record
+ * @returns {Promise<{items: Array, errors: Array}>} Status entries and per-source errors
+ */
+export async function collectStatus() {
+	const manifest = readManifest()
+	const items = []
+	const errors = []
+
+	// Scripts, queries and templates
+	const rules = loadIgnoreRules()
+	for (const [syncType, config] of Object.entries(SYNC_TYPES)) {
+		try {
+			const result = await pushItems(syncType, true)
+			const add = (path, status) => items.push({ kind: 'file', type: syncType, path, status })
+
+			for (const file of result.unchanged) {
+				add(file.filepath, 'in-sync')
+			}
+			for (const file of result.toCreate) {
+				add(file.filepath, 'new-local')
+			}
+			for (const file of result.toUpdate) {
+				// Renamed locally: pushing renames the remote item
+				if (file.renamedFrom) {
+					add(`${file.renamedFrom} → ${file.filepath}`, file.remoteModified ? 'modified-both' : 'modified-local')
+					continue
+				}
+				const remote = result.remoteMap.get(file.name)
+				add(file.filepath, classifyModified(manifest.files[file.filepath], hashContent(file.content), hashContent(remote.content)))
+			}
+			// Files with unresolved merge conflict markers are not compared by push
+			for (const file of result.conflicted) {
+				add(file.filepath, 'modified-both')
+			}
+			for (const file of result.toDelete) {
+				add(file.filepath, 'deleted-local')
+			}
+
+			// Remote items without a local file (push skips the remote fetch when there are no local files)
+			const matchedIds = new Set([...result.unchanged, ...result.toUpdate, ...result.toDelete].map(file => file.id))
+			const conflictedNames = new Set(result.conflicted.flatMap(file => file.nameVariants))
+			const remoteItems = result.remoteMap.size > 0
+				? [...result.remoteMap.values()].map(remote => ({ id: remote.id, name: remote.originalName }))
+				: filterByAppId(await fetchAllItems(syncType, true), syncType, true)
+			const remoteOnly = new Map()
+			for (const remote of remoteItems) {
+				if (!matchedIds.has(remote.id) && !conflictedNames.has(remote.name)) {
+					remoteOnly.set(remote.id, remote.name)
+				}
+			}
+			for (const name of remoteOnly.values()) {
+				const filepath = `${config.dir.replace(/^\.\//, '')}/${getLocalFilename({ name }, config)}`
+				// Ignored remote items are never pulled, so they are not drift
+				if (!isIgnored(filepath, rules)) {
+					add(filepath, 'only-remote')
+				}
+			}
+		} catch (error) {
+			errors.push({ source: config.displayNamePlural, error: error.message })
+		}
+	}
+
+	// Environment variables
+	const envResult = await pushEnvVars(true, true)
+	if (envResult.success) {
+		const add = (key, status) => items.push({ kind: 'env', type: 'env', path: `${ENV_FILE.replace(/^\.\//, '')}:${key}`, status })
+		const changed = new Set()
+
+		for (const item of envResult.toCreate) {
+			add(item.key, 'new-local')
+			changed.add(item.key)
+		}
+		for (const item of envResult.toUpdate) {
+			add(item.key, classifyModified(manifest.env[item.key], hashContent(item.value), hashContent(envResult.remoteEnv[item.key])))
+			changed.add(item.key)
+		}
+		for (const item of envResult.toDelete) {
+			add(item.key, 'only-remote')
+			changed.add(item.key)
+		}
+		for (const key of Object.keys(envResult.localEnv)) {
+			if (!changed.has(key)) add(key, 'in-sync')
+		}
+	} else {
+		errors.push({ source: 'Environment Variables', error: envResult.error })
+	}
+
+	// Config sections (domain, etc.), compared the way push compares them so renamed records show as renames
+	for (const [sectionType, sectionConfig] of Object.entries(CONFIG_SECTIONS)) {
+		const result = await pushConfigSection(sectionType, true, true)
+		// Push skips the remote fetch when cx.toml has no records and none were synced
+		const remote = result.success && !result.remoteData ? await fetchRemoteConfig(sectionType, true) : null
+		if (!result.success || (remote && !remote.success)) {
+			errors.push({ source: sectionConfig.displayNamePlural, error: result.error || remote.error })
+			continue
+		}
+
+		const add = (id, status) => items.push({ kind: 'config', type: sectionType, path: `${CONFIG_FILE.replace(/^\.\//, '')}:${sectionConfig.key}.${id}`, status })
+		const sectionState = manifest.config[sectionConfig.key] || {}
+		// Identifiers of the remote records a local record (or a deletion) accounts for
+		const accounted = new Set()
+
+		for (const item of result.toCreate) {
+			add(item.id, 'new-local')
+		}
+		for (const item of result.toUpdate) {
+			accounted.add(sectionConfig.getId(item.remote))
+			if (item.renamedFrom) {
+				add(`${item.renamedFrom} → ${item.id}`, item.remoteModified ? 'modified-both' : 'modified-local')
+				continue
+			}
+			// Normalise the local record so it hashes the same way as the remote one
+			const localRecord = sectionConfig.toToml(sectionConfig.fromToml(item.local))
+			add(item.id, classifyModified(sectionState[item.id], hashConfigRecord(localRecord), hashConfigRecord(item.remote)))
+		}
+		// Records synced before were removed from cx.toml; "cx push --prune" deletes them
+		for (const item of result.toDelete) {
+			accounted.add(sectionConfig.getId(item.remote))
+			add(item.id, 'deleted-local')
+		}
+
+		const changed = new Set([...result.toCreate, ...result.toUpdate].map(item => item.id))
+		for (const localItem of result.localData || []) {
+			const id = sectionConfig.getId(localItem)
+			accounted.add(id)
+			if (!changed.has(id)) add(id, 'in-sync')
+		}
+
+		const remoteData = result.remoteData || remote.data.map(item => sectionConfig.toToml(item))
+		for (const record of remoteData) {
+			const id = sectionConfig.getId(record)
+			if (!accounted.has(id)) add(id, 'only-remote')
+		}
+	}
+
+	return { items, errors }
+}
+
+/**
+ * Counts status entries by status
+ * @param {Array} items - Status entries
+ * @returns {Object} Count per status
+ */
+function summarise(items) {
+	const summary = {}
+	for (const status of Object.keys(STATUS_LABELS)) {
+		summary[status] = items.filter(item => item.status === status).length
+	}
+	return summary
+}
+
+/**
+ * Displays status entries grouped by status
+ * @param {Array} items - Status entries
+ * @param {Object} summary - Count per status
+ */
+function displayStatus(items, summary) {
+	console.log('\n📊 Sync status (local vs remote):')
+	console.log('══════════════════════════════════════════════════')
+
+	for (const [status, { icon, label }] of Object.entries(STATUS_LABELS)) {
+		const matching = items.filter(item => item.status === status)
+		if (matching.length === 0) continue
+
+		console.log(`\n${icon} ${label.charAt(0).toUpperCase() + label.slice(1)} (${matching.length}):`)
+		matching.forEach(item => console.log(`  • ${item.path}`))
+	}
+
+	console.log('\n══════════════════════════════════════════════════')
+	const parts = Object.entries(summary)
+		.filter(([, count]) => count > 0)
+		.map(([status, count]) => `${count} ${STATUS_LABELS[status].label}`)
+	console.log(`📊 Total: ${items.length} item(s)${parts.length > 0 ? ` (${parts.join(', ')})` : ''}`)
+}
+
+/**
+ * Status command - lists local vs remote drift for every synced item
+ * @param {Object} options - Command options
+ * @param {boolean} [options.json] - Output machine-readable JSON
+ * @param {boolean} [options.exitCode] - Exit with code 1 when anything is out of sync (2 on errors)
+ */
+export async function statusAction(options) {
+	const silent = options.silent || options.raw || false
+	const json = options.json || false
+
+	try {
+		loadCustomSyncTypes()
+		if (!silent && !json) {
+			console.log('🔄 Comparing local files with remote...')
+		}
+
+		const { items, errors } = await collectStatus()
+		const summary = summarise(items)
+		const inSync = items.every(item => item.status === 'in-sync')
+
+		if (json) {
+			console.log(JSON.stringify({ inSync, summary, items, errors }, null, 2))
+		} else {
+			displayStatus(items, summary)
+			errors.forEach(e => console.error(`⚠️  ${e.source}: ${e.error}`))
+			if (inSync && errors.length === 0) {
+				console.log('✨ Everything is in sync.')
+			}
+		}
+
+		if (options.exitCode) {
+			process.exitCode = errors.length > 0 ? 2 : (inSync ? 0 : 1)
+		}
+	} catch (error) {
+		handleError(error.message, silent)
+		process.exitCode = options.exitCode ? 2 : 1
+	}
+}
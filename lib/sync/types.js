@@ -0,0 +1,165 @@
+/**
+ * Sync type registry - adds sync types beyond the built-in scripts, queries and templates
+ * Types come from [sync.types.<key>] tables in cx.toml or from plugins calling registerSyncType
+ */
+
+import { SYNC_TYPES } from './constants.js'
+import { readConfigFile } from './config.js'
+
+// Keys registered from cx.toml, replaced whenever cx.toml is re-read
+const configTypeKeys = new Set()
+
+// Metadata fields of the built-in types, before [sync.meta_fields] adds to them
+const builtInMetaFields = Object.fromEntries(Object.entries(SYNC_TYPES).map(([key, config]) => [key, config.metaFields || []]))
+
+/**
+ * Checks that a definition value is a list of strings
+ * @param {string} key - Sync type key
+ * @param {string} name - Setting name for the error message
+ * @param {*} value - Value to check (undefined is allowed)
+ * @throws {Error} If the value is not a list of strings
+ */
+function assertStringList(key, name, value) {
+	if (value !== undefined && (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item))) {
+		throw new Error(`Sync type "${key}" has an invalid ${name} (expected a list of names)`)
+	}
+}
+
+/**
+ * Normalizes a sync directory to the './name' form used by the built-in types
+ * @param {string} dir - Directory relative to the project root
+ * @returns {string|null} Normalized directory, or null if it is outside the project
+ */
+function normalizeDir(dir) {
+	const trimmed = String(dir).replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '')
+	const segments = trimmed.split('/')
+	if (!trimmed || trimmed.startsWith('/') || segments.some(segment => segment === '' || segment === '.' || segment === '..')) {
+		return null
+	}
+	return `./${trimmed}`
+}
+
+/**
+ * Registers a sync type so pull, push, status, watch and clear handle it like the built-in types
+ * @param {string} key - Sync type key (letters, digits, '_' and '-')
+ * @param {Object} definition - Sync type definition
+ * @param {string} definition.endpoint - API endpoint listing the items (e.g. 'setup/query')
+ * @param {string} definition.dir - Local directory (e.g. './query')
+ * @param {string} definition.extension - Local file extension including the dot (e.g. '.sql')
+ * @param {string} definition.contentField - Field holding the item's text body (e.g. 'query')
+ * @param {string} [definition.displayName] - Singular display name (defaults to key)
+ * @param {string} [definition.displayNamePlural] - Plural display name (defaults to displayName + 's')
+ * @param {string} [definition.icon] - Icon shown in summaries
+ * @param {boolean} [definition.filenameFromName] - Remote names may already include the extension
+ * @param {Array<string>} [definition.metaFields] - Fields besides name and content kept in [meta] tables of cx.toml
+ * @param {Object} [definition.metaDefaults] - Default values of metadata fields (others default to '')
+ * @param {Array<string>} [definition.itemTypes] - Only sync items whose type field is one of these
+ * @returns {Object} The registered sync type config
+ * @throws {Error} If the key is taken or the definition is incomplete
+ */
+export function registerSyncType(key, definition) {
+	if (!/^[a-z][a-z0-9_-]*$/i.test(key || '')) {
+		throw new Error(`Invalid sync type key "${key}": use letters, digits, '_' and '-'`)
+	}
+	if (SYNC_TYPES[key]) {
+		throw new Error(`Sync type "${key}" is already registered`)
+	}
+
+	for (const field of ['endpoint', 'dir', 'extension', 'contentField']) {
+		if (!definition || typeof definition[field] !== 'string' || !definition[field]) {
+			throw new Error(`Sync type "${key}" is missing ${field}`)
+		}
+	}
+	if (!/^\.[^./\\]+$/.test(definition.extension)) {
+		throw new Error(`Sync type "${key}" has an invalid extension "${definition.extension}" (expected e.g. ".txt")`)
+	}
+
+	assertStringList(key, 'metaFields', definition.metaFields)
+	assertStringList(key, 'itemTypes', definition.itemTypes)
+
+	const dir = normalizeDir(definition.dir)
+	if (!dir) {
+		throw new Error(`Sync type "${key}" has an invalid dir "${definition.dir}" (must be inside the project)`)
+	}
+
+	// Two types writing the same files would overwrite each other
+	const clash = Object.entries(SYNC_TYPES)
+		.find(([, config]) => normalizeDir(config.dir) === dir && config.extension === definition.extension)
+	if (clash) {
+		throw new Error(`Sync type "${key}" uses the same dir and extension as "${clash[0]}"`)
+	}
+
+	const displayName = definition.displayName || key
+	SYNC_TYPES[key] = {
+		dir,
+		endpoint: definition.endpoint.replace(/^\/+|\/+$/g, ''),
+		extension: definition.extension,
+		contentField: definition.contentField,
+		displayName,
+		displayNamePlural: definition.displayNamePlural || `${displayName}s`,
+		icon: definition.icon || '📦',
+		...(definition.filenameFromName ? { filenameFromName: true } : {}),
+		...(definition.metaFields ? { metaFields: definition.metaFields } : {}),
+		...(definition.metaDefaults ? { metaDefaults: definition.metaDefaults } : {}),
+		...(definition.itemTypes ? { itemTypes: definition.itemTypes } : {})
+	}
+	return SYNC_TYPES[key]
+}
+
+/**
+ * Loads custom sync types from [sync.types.<key>] tables in cx.toml
+ * Safe to call repeatedly: types from an earlier read are replaced
+ * @example
+ * [sync.types.ivr]
+ * endpoint = "setup/ivr"
+ * dir = "./ivr"
+ * extension = ".json"
+ * content_field = "body"
+ * display_name = "IVR"
+ * meta_fields = ["description"]
+ *
+ * # Extra metadata fields for any type, built-in ones included
+ * [sync.meta_fields]
+ * query = ["description"]
+ * @returns {Array<string>} Keys of the loaded types
+ * @throws {Error} If cx.toml cannot be parsed or a type definition is invalid
+ */
+export function loadCustomSyncTypes() {
+	for (const key of configTypeKeys) {
+		delete SYNC_TYPES[key]
+	}
+	configTypeKeys.clear()
+
+	const sync = readConfigFile().sync || {}
+	for (const [key, fields] of Object.entries(builtInMetaFields)) {
+		SYNC_TYPES[key].metaFields = fields
+	}
+
+	const types = sync.types || {}
+	for (const [key, type] of Object.entries(types)) {
+		registerSyncType(key, {
+			endpoint: type.endpoint,
+			dir: type.dir,
+			extension: type.extension,
+			contentField: type.content_field,
+			displayName: type.display_name,
+			displayNamePlural: type.display_name_plural,
+			icon: type.icon,
+			filenameFromName: type.filename_from_name,
+			metaFields: type.meta_fields,
+			metaDefaults: type.meta_defaults,
+			itemTypes: type.item_types
+		})
+		configTypeKeys.add(key)
+	}
+
+	for (const [key, fields] of Object.entries(sync.meta_fields || {})) {
+		if (!SYNC_TYPES[key]) {
+			throw new Error(`[sync.meta_fields] in cx.toml names an unknown sync type "${key}"`)
+		}
+		assertStringList(key, 'meta_fields', fields)
+		SYNC_TYPES[key].metaFields = [...new Set([...(SYNC_TYPES[key].metaFields || []), ...fields])]
+	}
+
+	return [...configTypeKeys]
+}
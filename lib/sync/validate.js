@@ -0,0 +1,673 @@
+/**
+ * Validation - checks cx.toml against the schema of every table cx reads, the keys of cx.env
+ * and the names of the files in the sync folders, citing the line and column of each problem
+ * Push runs it first, so a typo in a domain or framework_version never reaches the remote app
+ */
+
+import { existsSync, readFileSync } from 'fs'
+import { join } from 'path'
+import * as TOML from '@iarna/toml'
+import { handleError } from '../utils.js'
+import { SYNC_TYPES, CONFIG_FILE, ENV_FILE, EXIT_CODES } from './constants.js'
+import { CONFIG_SECTIONS, readConfigFile } from './config.js'
+import { HOOK_NAMES } from './hooks.js'
+import { META_SECTION } from './meta.js'
+import { loadCustomSyncTypes } from './types.js'
+import { listSyncFiles } from './files.js'
+import { readManifest } from './state.js'
+import { STAGE_NAME, listStageEnvFiles } from './stage.js'
+import { isEncryptedValue, isWellFormedEncryptedValue } from './secrets.js'
+
+const CONFIG_NAME = CONFIG_FILE.replace(/^\.\//, '')
+const ENV_NAME = ENV_FILE.replace(/^\.\//, '')
+
+// Keys the remote app accepts for env vars
+const ENV_KEY = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+// Characters that cannot be part of a file name on every platform a project may be pulled on
+const UNSAFE_NAME_CHARS = /[<>:"|?*\\\x00-\x1f]/
+
+const TYPE_NAMES = {
+	string: 'a string',
+	integer: 'a whole number',
+	float: 'a number',
+	boolean: 'true or false',
+	datetime: 'a date',
+	array: 'a list',
+	table: 'a table'
+}
+
+const STRING_LIST = { type: 'array', items: { type: 'string', nonEmpty: true } }
+const SCALAR = { type: ['string', 'integer', 'float', 'boolean'] }
+
+// [sync.types.<key>] tables, see loadCustomSyncTypes
+const SYNC_TYPE_SCHEMA = {
+	type: 'table',
+	fields: {
+		endpoint: { type: 'string', required: true, nonEmpty: true },
+		dir: { type: 'string', required: true, nonEmpty: true },
+		extension: { type: 'string', required: true, pattern: /^\.[^./\\]+$/, expected: 'an extension such as ".txt"' },
+		content_field: { type: 'string', required: true, nonEmpty: true },
+		display_name: { type: 'string', nonEmpty: true },
+		display_name_plural: { type: 'string', nonEmpty: true },
+		icon: { type: 'string' },
+		filename_from_name: { type: 'boolean' },
+		meta_fields: STRING_LIST,
+		meta_defaults: { type: 'table', values: SCALAR },
+		item_types: STRING_LIST
+	}
+}
+
+/**
+ * Builds the schema of cx.toml from the tables cx reads and the CONFIG_SECTIONS records it syncs
+ * @returns {Object} Schema of the whole file
+ */
+function getConfigSchema() {
+	const sections = Object.fromEntries(Object.values(CONFIG_SECTIONS).map(section => [
+		section.key,
+		// pullConfigSection also reads a single [<key>] table as one record
+		{ type: ['array', 'table'], expected: `[[${section.key}]] tables`, fields: section.schema, items: { type: 'table', fields: section.schema } }
+	]))
+
+	return {
+		type: 'table',
+		fields: {
+			stage: {
+				type: 'table',
+				keyPattern: STAGE_NAME,
+				keyExpected: 'letters, digits, \'_\' and \'-\'',
+				values: {
+					type: 'table',
+					fields: {
+						app_id: { type: ['string', 'integer'], required: true },
+						...sections
+					}
+				}
+			},
+			sync: {
+				type: 'table',
+				fields: {
+					concurrency: { type: 'integer', min: 1 },
+					retries: { type: 'integer', min: 0 },
+					snapshots: { type: 'integer', min: 0 },
+					ignore: { type: 'array', items: { type: 'string' } },
+					script_types: { type: ['string', 'array'], nonEmpty: true, items: { type: 'string', nonEmpty: true } },
+					types: { type: 'table', keyPattern: /^[a-z][a-z0-9_-]*$/i, keyExpected: 'letters, digits, \'_\' and \'-\'', values: SYNC_TYPE_SCHEMA },
+					meta_fields: { type: 'table', values: STRING_LIST }
+				}
+			},
+			env: {
+				type: 'table',
+				fields: {
+					encrypt: { type: ['boolean', 'array'], expected: 'true or a list of keys', items: { type: 'string', nonEmpty: true } }
+				}
+			},
+			hooks: {
+				type: 'table',
+				fields: Object.fromEntries(HOOK_NAMES.map(name => [
+					name,
+					{ type: ['string', 'array'], nonEmpty: true, expected: 'a command or a list of commands', items: { type: 'string', nonEmpty: true } }
+				]))
+			},
+			[META_SECTION]: { type: 'table', values: { type: 'table', values: SCALAR } },
+			workspace: {
+				type: 'table',
+				fields: {
+					apps: {
+						type: 'table',
+						values: {
+							type: 'table',
+							fields: {
+								app_id: { type: ['string', 'integer'], required: true },
+								dir: { type: 'string', required: true, nonEmpty: true }
+							}
+						}
+					}
+				}
+			},
+			...sections
+		}
+	}
+}
+
+/**
+ * Gets the schema type name of a parsed TOML value
+ * @param {*} value - Parsed value
+ * @returns {string} One of the TYPE_NAMES keys
+ */
+function typeOf(value) {
+	if (Array.isArray(value)) return 'array'
+	if (value instanceof Date) return 'datetime'
+	if (typeof value === 'bigint') return 'integer'
+	if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'float'
+	if (value && typeof value === 'object') return 'table'
+	return typeof value
+}
+
+/**
+ * Formats a key path the way it is written in TOML
+ * @param {Array<string|number>} path - Keys and array indexes (e.g. ['domain', 0, 'domain'])
+ * @returns {string} e.g. 'domain[0].domain' or 'meta."src/billing.js".type' ('cx.toml' for the root)
+ */
+function formatPath(path) {
+	if (path.length === 0) {
+		return CONFIG_NAME
+	}
+	return path.reduce((text, key) => {
+		if (typeof key === 'number') return `${text}[${key}]`
+		const part = /^[A-Za-z0-9_-]+$/.test(key) ? key : JSON.stringify(key)
+		return text ? `${text}.${part}` : part
+	}, '')
+}
+
+/**
+ * Describes a value for an error message
+ * @param {*} value - Parsed value
+ * @returns {string} e.g. '"lates"', '0' or 'a table'
+ */
+function describeValue(value) {
+	const type = typeOf(value)
+	if (type === 'string') return JSON.stringify(value)
+	if (type === 'integer' || type === 'float' || type === 'boolean') return String(value)
+	return TYPE_NAMES[type] || type
+}
+
+/**
+ * Checks a parsed value against a schema
+ * @param {*} value - Parsed value
+ * @param {Object} schema - Schema of the value
+ * @param {Array<string|number>} path - Key path of the value
+ * @param {Array<Object>} issues - Problems found, each {path, message, onValue}
+ */
+function checkValue(value, schema, path, issues) {
+	const types = [].concat(schema.type)
+	const type = typeOf(value)
+	if (!types.includes(type) && !(type === 'integer' && types.includes('float'))) {
+		const expected = schema.expected || types.map(name => TYPE_NAMES[name]).join(' or ')
+		issues.push({ path, message: `${formatPath(path)} must be ${expected} (found ${describeValue(value)})`, onValue: true })
+		return
+	}
+
+	if (type === 'string') {
+		if (schema.nonEmpty && !value.trim()) {
+			issues.push({ path, message: `${formatPath(path)} must not be empty`, onValue: true })
+		} else if (schema.pattern && !schema.pattern.test(value)) {
+			issues.push({ path, message: `${formatPath(path)} must be ${schema.expected} (found ${describeValue(value)})`, onValue: true })
+		}
+	} else if (type === 'integer' && schema.min !== undefined && Number(value) < schema.min) {
+		issues.push({ path, message: `${formatPath(path)} must be at least ${schema.min} (found ${value})`, onValue: true })
+	} else if (type === 'array') {
+		if (schema.nonEmpty && value.length === 0) {
+			issues.push({ path, message: `${formatPath(path)} must not be empty`, onValue: true })
+		}
+		value.forEach((item, i) => checkValue(item, schema.items, [...path, i], issues))
+	} else if (type === 'table') {
+		checkTable(value, schema, path, issues)
+	}
+}
+
+/**
+ * Checks the keys of a parsed table against a schema with fields (fixed keys) or values (any key)
+ * @param {Object} table - Parsed table
+ * @param {Object} schema - Schema of the table
+ * @param {Array<string|number>} path - Key path of the table
+ * @param {Array<Object>} issues - Problems found
+ */
+function checkTable(table, schema, path, issues) {
+	if (schema.values) {
+		for (const [key, value] of Object.entries(table)) {
+			if (schema.keyPattern && !schema.keyPattern.test(key)) {
+				issues.push({ path: [...path, key], message: `${formatPath(path)} has an invalid key ${JSON.stringify(key)} (use ${schema.keyExpected})` })
+			} else {
+				checkValue(value, schema.values, [...path, key], issues)
+			}
+		}
+		return
+	}
+
+	const fields = schema.fields || {}
+	for (const [key, value] of Object.entries(table)) {
+		if (!fields[key]) {
+			issues.push({ path: [...path, key], message: `${formatPath(path)} has an unknown key ${JSON.stringify(key)} (expected ${Object.keys(fields).join(', ')})` })
+		} else {
+			checkValue(value, fields[key], [...path, key], issues)
+		}
+	}
+	for (const [key, field] of Object.entries(fields)) {
+		if (field.required && table[key] === undefined) {
+			issues.push({ path, message: `${formatPath(path)} is missing ${key}` })
+		}
+	}
+}
+
+/**
+ * Reads a TOML key (bare, quoted or dotted) from a line
+ * @param {string} text - Line text
+ * @param {number} start - Index the key starts at (leading whitespace is skipped)
+ * @returns {{keys: Array<string>, end: number}|null} Key parts and the index after the key, or null if there is no key
+ */
+function parseKey(text, start) {
+	const keys = []
+	let i = start
+	while (true) {
+		while (text[i] === ' ' || text[i] === '\t') i++
+		const token = /^(?:[A-Za-z0-9_-]+|"(?:[^"\\]|\\.)*"|'[^']*')/.exec(text.slice(i))?.[0]
+		if (!token) {
+			return null
+		}
+		if (token[0] === '"') {
+			try {
+				keys.push(JSON.parse(token))
+			} catch {
+				keys.push(token.slice(1, -1))
+			}
+		} else {
+			keys.push(token[0] === '\'' ? token.slice(1, -1) : token)
+		}
+		i += token.length
+		while (text[i] === ' ' || text[i] === '\t') i++
+		if (text[i] !== '.') {
+			return { keys, end: i }
+		}
+		i++
+	}
+}
+
+/**
+ * Counts the brackets and braces a line leaves open, ignoring strings and comments
+ * @param {string} text - Line text
+ * @returns {number} Open minus closed brackets
+ */
+function bracketDepth(text) {
+	let depth = 0
+	let quote = null
+	for (let i = 0; i < text.length; i++) {
+		const char = text[i]
+		if (quote) {
+			if (char === '\\' && quote === '"') i++
+			else if (char === quote) quote = null
+		} else if (char === '"' || char === '\'') {
+			quote = char
+		} else if (char === '#') {
+			break
+		} else if (char === '[' || char === '{') {
+			depth++
+		} else if (char === ']' || char === '}') {
+			depth--
+		}
+	}
+	return depth
+}
+
+/**
+ * Finds where each table and key of a TOML file is written
+ * Values spanning several lines (arrays, inline tables, multi-line strings) are located by their key
+ * @param {string} source - TOML text
+ * @returns {Map<string, {line: number, column: number, valueColumn: number}>} 1-based positions by JSON key path
+ */
+function locateKeys(source) {
+	const locations = new Map()
+	const arrayCounts = new Map()
+	let table = []
+	let closing = null
+	let depth = 0
+
+	const record = (path, line, column, valueColumn = column) => {
+		const id = JSON.stringify(path)
+		if (!locations.has(id)) {
+			locations.set(id, { line, column, valueColumn })
+		}
+	}
+
+	source.split(/\r?\n/).forEach((text, index) => {
+		const line = index + 1
+		if (closing) {
+			if (text.includes(closing)) closing = null
+			return
+		}
+		if (depth > 0) {
+			depth += bracketDepth(text)
+			return
+		}
+
+		const start = text.search(/\S/)
+		if (start === -1 || text[start] === '#') {
+			return
+		}
+
+		if (text[start] === '[') {
+			const isArray = text[start + 1] === '['
+			const header = parseKey(text, start + (isArray ? 2 : 1))
+			if (!header) return
+			// [[array]] tables get the index of their entry, and tables below them the index of the latest entry
+			table = []
+			header.keys.forEach((key, i) => {
+				table.push(key)
+				const id = JSON.stringify(table)
+				if (isArray && i === header.keys.length - 1) {
+					arrayCounts.set(id, (arrayCounts.get(id) ?? -1) + 1)
+				}
+				if (arrayCounts.has(id)) {
+					table.push(arrayCounts.get(id))
+				}
+				record(table, line, start + 1)
+			})
+			return
+		}
+
+		const key = parseKey(text, start)
+		if (!key || text[key.end] !== '=') {
+			return
+		}
+		let valueStart = key.end + 1
+		while (text[valueStart] === ' ' || text[valueStart] === '\t') valueStart++
+		key.keys.forEach((_, i) => record([...table, ...key.keys.slice(0, i + 1)], line, start + 1, valueStart + 1))
+
+		const value = text.slice(valueStart)
+		const delimiter = value.startsWith('"""') ? '"""' : value.startsWith('\'\'\'') ? '\'\'\'' : null
+		if (delimiter && !value.slice(3).includes(delimiter)) {
+			closing = delimiter
+		} else if (!delimiter) {
+			depth = Math.max(bracketDepth(value), 0)
+		}
+	})
+	return locations
+}
+
+/**
+ * Turns a schema problem into an issue with the position of its key, or of the closest table that is written out
+ * @param {Object} problem - Problem from checkValue ({path, message, onValue})
+ * @param {Map} locations - Positions from locateKeys
+ * @returns {{file: string, line?: number, column?: number, message: string}} Issue
+ */
+function toConfigIssue(problem, locations) {
+	for (let length = problem.path.length; length > 0; length--) {
+		const location = locations.get(JSON.stringify(problem.path.slice(0, length)))
+		if (location) {
+			const exact = length === problem.path.length
+			return { file: CONFIG_NAME, line: location.line, column: exact && problem.onValue ? location.valueColumn : location.column, message: problem.message }
+		}
+	}
+	return { file: CONFIG_NAME, message: problem.message }
+}
+
+/**
+ * Finds the sync type a [meta] table belongs to from its path
+ * @param {string} filepath - Table key (e.g. 'src/billing.js')
+ * @returns {Object|undefined} Sync type config
+ */
+function findSyncTypeForPath(filepath) {
+	return Object.values(SYNC_TYPES).find(config => {
+		const dir = config.dir.replace(/^\.\//, '')
+		return filepath.startsWith(`${dir}/`) && filepath.endsWith(config.extension)
+	})
+}
+
+/**
+ * Checks whether the schema check rejected a value
+ * @param {Array<string|number>} path - Key path of the value
+ * @param {Array<Object>} rejected - Problems found by the schema check
+ * @param {boolean} [inside] - Also count problems inside the value (e.g. a field of a record)
+ * @returns {boolean} True if the value, a table holding it or (with inside) one of its keys was rejected
+ */
+function isRejected(path, rejected, inside = true) {
+	const startsWith = (full, prefix) => prefix.length <= full.length && prefix.every((key, i) => key === full[i])
+	return rejected.some(problem => startsWith(path, problem.path) || (inside && startsWith(problem.path, path)))
+}
+
+/**
+ * Checks what the schema cannot: custom sync type definitions, [meta] tables against the
+ * metadata fields of their sync type, and duplicate config records (in the base sections and in each stage)
+ * Values the schema check rejected are skipped, so the rest is still checked in the same run
+ * @param {Object} cxConfig - Parsed cx.toml
+ * @param {Array<Object>} problems - Errors found, each {path, message, onValue}
+ * @param {Array<Object>} warnings - Warnings found
+ */
+function checkConfigRules(cxConfig, problems, warnings) {
+	const rejected = [...problems]
+
+	if (!isRejected(['sync', 'types'], rejected)) {
+		try {
+			loadCustomSyncTypes()
+		} catch (error) {
+			const key = error.message.match(/^Sync type "([^"]+)"/)?.[1]
+			problems.push({ path: key ? ['sync', 'types', key] : ['sync'], message: error.message })
+		}
+	}
+
+	const manifest = readManifest()
+	for (const [filepath, table] of Object.entries(cxConfig[META_SECTION] || {})) {
+		const path = [META_SECTION, filepath]
+		if (isRejected(path, rejected)) continue
+		const config = findSyncTypeForPath(filepath)
+		if (!config) {
+			problems.push({ path, message: `${formatPath(path)} is not a file in a sync folder (e.g. [meta."src/billing.js"])` })
+			continue
+		}
+		const fields = config.metaFields || []
+		for (const field of Object.keys(table).filter(field => !fields.includes(field))) {
+			problems.push({ path: [...path, field], message: `${formatPath([...path, field])} is not a metadata field of ${config.displayNamePlural} (they have ${fields.length > 0 ? fields.join(', ') : 'no metadata fields'})` })
+		}
+		if (!existsSync(filepath) && !manifest.files[join(filepath)]) {
+			warnings.push({ path, message: `${formatPath(path)} names a file that does not exist, so the table is not used` })
+		}
+	}
+
+	// Records of the base sections, and of the sections each stage overrides
+	const layers = [[], ...Object.keys(cxConfig.stage || {}).map(name => ['stage', name])]
+	for (const prefix of layers) {
+		if (isRejected(prefix, rejected, false)) continue
+		const table = prefix.reduce((current, key) => current[key], cxConfig)
+		for (const section of Object.values(CONFIG_SECTIONS)) {
+			const seen = new Map()
+			const path = [...prefix, section.key]
+			const records = Array.isArray(table[section.key]) ? table[section.key] : []
+			records.forEach((record, i) => {
+				if (isRejected([...path, i], rejected)) return
+				const id = section.getId(record)
+				if (seen.has(id)) {
+					problems.push({ path: [...path, i], message: `${formatPath([...path, i])} repeats ${section.displayName.toLowerCase()} ${JSON.stringify(id)} (first at ${formatPath([...path, seen.get(id)])})` })
+				} else {
+					seen.set(id, i)
+				}
+			})
+		}
+	}
+}
+
+/**
+ * Validates cx.toml
+ * @returns {{errors: Array<Object>, warnings: Array<Object>, parsed: boolean}} Issues, and whether the file parses
+ */
+function validateConfigFile() {
+	if (!existsSync(CONFIG_FILE)) {
+		return { errors: [], warnings: [], parsed: true }
+	}
+
+	const source = readFileSync(CONFIG_FILE, 'utf-8')
+	let cxConfig
+	try {
+		cxConfig = TOML.parse(source)
+	} catch (error) {
+		// e.g. 'Unterminated string at row 3, col 7, pos 15:' followed by the lines around it
+		const message = error.message.split('\n')[0].replace(/ at row \d+, col \d+, pos \d+:$/, '')
+		const issue = error.line === undefined
+			? { file: CONFIG_NAME, message }
+			: { file: CONFIG_NAME, line: error.line + 1, column: error.col + 1, message }
+		return { errors: [issue], warnings: [], parsed: false }
+	}
+
+	const problems = []
+	const warnings = []
+	checkValue(cxConfig, getConfigSchema(), [], problems)
+	checkConfigRules(cxConfig, problems, warnings)
+
+	const locations = locateKeys(source)
+	const byLine = (a, b) => (a.line ?? Infinity) - (b.line ?? Infinity)
+	return {
+		errors: problems.map(problem => toConfigIssue(problem, locations)).sort(byLine),
+		warnings: warnings.map(warning => toConfigIssue(warning, locations)).sort(byLine),
+		parsed: true
+	}
+}
+
+/**
+ * Validates the lines of cx.env or a stage overlay: each must be a comment or KEY=value with a valid, unique key
+ * (dotenv silently ignores lines it cannot read, so they would never be pushed)
+ * @param {string} [file] - File name (default cx.env)
+ * @returns {Array<Object>} Errors
+ */
+function validateEnvFile(file = ENV_NAME) {
+	if (!existsSync(file)) {
+		return []
+	}
+
+	const errors = []
+	const seen = new Map()
+	let closing = null
+	readFileSync(file, 'utf-8').split(/\r?\n/).forEach((text, index) => {
+		const line = index + 1
+		if (closing) {
+			if (text.includes(closing)) closing = null
+			return
+		}
+		const start = text.search(/\S/)
+		if (start === -1 || text[start] === '#') {
+			return
+		}
+
+		const match = /^(export\s+)?([^=\s]*)\s*=\s*(.*)$/.exec(text.slice(start))
+		if (!match) {
+			errors.push({ file, line, column: start + 1, message: 'not a KEY=value line, so it is ignored' })
+			return
+		}
+		const column = start + (match[1] || '').length + 1
+		const key = match[2]
+		if (!ENV_KEY.test(key)) {
+			errors.push({ file, line, column, message: `invalid key ${JSON.stringify(key)} (use letters, digits and '_', not starting with a digit)` })
+		} else if (seen.has(key)) {
+			errors.push({ file, line, column, message: `${key} is already set on line ${seen.get(key)}` })
+		} else {
+			seen.set(key, line)
+		}
+		const value = match[3].replace(/^(["'`])(.*)\1\s*$/, '$2')
+		if (isEncryptedValue(value) && !isWellFormedEncryptedValue(value)) {
+			errors.push({ file, line, column: text.indexOf(match[3], start) + 1, message: `${key} has a damaged encrypted value (enc:... values are written by cx, do not edit them by hand)` })
+		}
+
+		// A quoted value may continue on the next lines
+		const quote = match[3][0]
+		if ((quote === '"' || quote === '\'' || quote === '`') && !match[3].slice(1).includes(quote)) {
+			closing = quote
+		}
+	})
+	return errors
+}
+
+/**
+ * Validates the names of the files in the sync folders, which become the remote item names
+ * @returns {Array<Object>} Errors
+ */
+function validateSyncNames() {
+	const errors = []
+	for (const config of Object.values(SYNC_TYPES)) {
+		const seen = new Map()
+		for (const file of listSyncFiles(config)) {
+			const filepath = join(config.dir, file).split('\\').join('/')
+			const segments = file.split('/')
+			const unsafe = segments.find(segment => UNSAFE_NAME_CHARS.test(segment) || segment !== segment.trim())
+			if (segments[segments.length - 1] === config.extension) {
+				errors.push({ file: filepath, message: `${config.displayName} has no name, only the ${config.extension} extension` })
+			} else if (unsafe !== undefined) {
+				errors.push({ file: filepath, message: `${JSON.stringify(unsafe)} cannot be used in a ${config.displayName} name (no leading or trailing spaces, control characters or < > : " | ? * \\)` })
+			}
+
+			// Names that differ only in case overwrite each other when pulled on macOS or Windows
+			const folded = file.toLowerCase()
+			if (seen.has(folded)) {
+				errors.push({ file: filepath, message: `name differs from ${seen.get(folded)} only in case, so one overwrites the other on case-insensitive file systems` })
+			} else {
+				seen.set(folded, filepath)
+			}
+		}
+	}
+	return errors
+}
+
+/**
+ * Validates the stage env overlays (cx.<stage>.env), and warns about overlays without a [stage.<name>] table
+ * @param {boolean} parsed - Whether cx.toml parses, so its stages are known
+ * @returns {{errors: Array<Object>, warnings: Array<Object>}} Issues
+ */
+function validateStageEnvFiles(parsed) {
+	const stages = parsed ? (readConfigFile().stage || {}) : null
+	const errors = []
+	const warnings = []
+	for (const { stage, file } of listStageEnvFiles()) {
+		errors.push(...validateEnvFile(file))
+		if (stages && !stages[stage]) {
+			warnings.push({ file, message: `there is no [stage.${stage}] table in ${CONFIG_NAME}, so the file is not used` })
+		}
+	}
+	return { errors, warnings }
+}
+
+/**
+ * Validates cx.toml, cx.env (and its stage overlays) and the names of the files in the sync folders
+ * @returns {{errors: Array<{file: string, line?: number, column?: number, message: string}>, warnings: Array<Object>}}
+ *   Problems that block a push, and problems worth a look
+ */
+export function validateProject() {
+	const config = validateConfigFile()
+	const stageEnv = validateStageEnvFiles(config.parsed)
+	// Without a readable cx.toml the ignore rules and custom sync types are unknown
+	const names = config.parsed ? validateSyncNames() : []
+	return {
+		errors: [...config.errors, ...validateEnvFile(), ...stageEnv.errors, ...names],
+		warnings: [...config.warnings, ...stageEnv.warnings]
+	}
+}
+
+/**
+ * Formats a validation issue for display
+ * @param {{file: string, line?: number, column?: number, message: string}} issue - Issue from validateProject
+ * @returns {string} e.g. 'cx.toml:12:21: domain[0].framework_version must be ... (found "lates")'
+ */
+export function formatIssue(issue) {
+	return `${issue.file}${issue.line ? `:${issue.line}:${issue.column}` : ''}: ${issue.message}`
+}
+
+/**
+ * Validate command - checks cx.toml, cx.env and the sync folder names without contacting the remote app
+ * @param {Object} options - Command options
+ * @param {boolean} [options.json] - Output machine-readable JSON
+ */
+export async function validateAction(options) {
+	const silent = options.silent || options.raw || false
+
+	try {
+		if (!silent && !options.json) {
+			console.log('🔎 Validating cx.toml, cx.env and the sync folders...')
+		}
+
+		const { errors, warnings } = validateProject()
+		if (options.json) {
+			console.log(JSON.stringify({ valid: errors.length === 0, errors, warnings }, null, 2))
+		} else {
+			warnings.forEach(warning => console.log(`⚠️  ${formatIssue(warning)}`))
+			errors.forEach(error => console.error(`❌ ${formatIssue(error)}`))
+			if (errors.length > 0) {
+				console.error(`\n🚫 ${errors.length} problem(s) found. Push is blocked until they are fixed.`)
+			} else {
+				console.log(`✅ No problems found${warnings.length > 0 ? ` (${warnings.length} warning(s))` : ''}.`)
+			}
+		}
+
+		if (errors.length > 0) {
+			process.exitCode = EXIT_CODES.ERROR
+		}
+	} catch (error) {
+		handleError(error.message, silent)
+		process.exitCode = EXIT_CODES.ERROR
+	}
+}
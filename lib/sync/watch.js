@@ -0,0 +1,293 @@
+/**
+ * Watch command - pushes scripts, queries, templates, cx.env and cx.toml as they are saved
+ * and optionally re-runs a script after each successful push
+ */
+
+import { existsSync, readFileSync, watch } from 'fs'
+import { join, basename } from 'path'
+import { handleError } from '../utils.js'
+import { SYNC_TYPES, ENV_FILE, CONFIG_FILE } from './constants.js'
+import { pushFile, getSyncPath } from './files.js'
+import { pushEnvVars } from './env.js'
+import { CONFIG_SECTIONS, pushConfigSection } from './config.js'
+import { readManifest, hashContent } from './state.js'
+import { isIgnored } from './ignore.js'
+import { loadCustomSyncTypes } from './types.js'
+import { checkSyntax, formatSyntaxError } from './check.js'
+import { validateProject, formatIssue } from './validate.js'
+import { getLocalMeta, readMetaTables, diffMeta } from './meta.js'
+import { runScript } from '../run.js'
+
+const DEFAULT_DEBOUNCE_MS = 300
+
+/**
+ * Formats the current time for watch log lines
+ * @returns {string} Time as HH:MM:SS
+ */
+function timestamp() {
+	return new Date().toTimeString().slice(0, 8)
+}
+
+/**
+ * Checks whether a synced file's metadata in cx.toml differs from what was last synced
+ * @param {string} syncType - Sync type key
+ * @param {string} filepath - Local file path
+ * @param {Object} entry - Manifest entry of the file
+ * @param {Object} [tables] - [meta] tables of cx.toml, when already read
+ * @returns {boolean} True if the metadata changed (never for files synced before metadata was recorded)
+ */
+function hasMetaChanges(syncType, filepath, entry, tables) {
+	return !!entry.meta && diffMeta(getLocalMeta(filepath, SYNC_TYPES[syncType], { tables }), entry.meta).length > 0
+}
+
+/**
+ * Pushes a changed script, query or template
+ * @param {string} syncType - Sync type key
+ * @param {string} filepath - Local file path
+ * @param {Object} options - Watch options
+ * @returns {Promise<boolean>} Whether anything was pushed
+ */
+async function pushChangedFile(syncType, filepath, options) {
+	if (!existsSync(filepath)) {
+		console.log(`🗑️  ${filepath} was removed locally (not deleted remotely, run "cx push --prune" to delete it)`)
+		return false
+	}
+
+	// Editors often write the same content again (touch, format on save)
+	const content = readFileSync(filepath, 'utf-8')
+	const entry = readManifest().files[filepath]
+	if (entry && entry.hash === hashContent(content) && !hasMetaChanges(syncType, filepath, entry)) {
+		return false
+	}
+
+	// Like cx push, a file that does not parse waits until it is fixed
+	if (options.verify !== false) {
+		const [syntaxError] = await checkSyntax([{ filepath, content }], { silent: true })
+		if (syntaxError) {
+			console.error(`❌ ${formatSyntaxError(syntaxError)} (not pushed)`)
+			return false
+		}
+	}
+
+	const result = await pushFile(syncType, filepath, { silent: true, force: options.force })
+	if (result.status === 'created') {
+		console.log(`✅ Created ${filepath}`)
+	} else if (result.status === 'updated') {
+		console.log(`✅ Updated ${filepath}`)
+	} else if (result.status === 'renamed') {
+		console.log(`✅ Renamed ${result.renamedFrom} → ${filepath}`)
+	} else if (result.status === 'remote-modified') {
+		console.log(`⏭️  Skipped ${filepath}. Run "cx pull ${getSyncPath(SYNC_TYPES[syncType], filepath)}" to merge, or watch with --force to overwrite.`)
+	} else if (!result.success) {
+		console.error(`❌ ${result.error}`)
+	}
+	return ['created', 'updated', 'renamed'].includes(result.status)
+}
+
+/**
+ * Validates cx.env or cx.toml before its changes are pushed; like cx push, a file with errors waits until it is fixed
+ * @param {string} file - 'cx.env' or 'cx.toml'
+ * @param {Object} options - Watch options
+ * @returns {boolean} Whether the file has no errors (always true with --no-verify)
+ */
+function isValidFile(file, options) {
+	if (options.verify === false) {
+		return true
+	}
+	const errors = validateProject().errors.filter(error => error.file === file)
+	errors.forEach(error => console.error(`❌ ${formatIssue(error)} (not pushed)`))
+	return errors.length === 0
+}
+
+/**
+ * Pushes changed environment variables from cx.env
+ * @param {Object} options - Watch options
+ * @returns {Promise<boolean>} Whether anything was pushed
+ */
+async function pushChangedEnv(options) {
+	const preview = await pushEnvVars(true, true)
+	if (!preview.success) {
+		console.error(`❌ Environment variables: ${preview.error}`)
+		return false
+	}
+
+	const skipKeys = options.force
+		? []
+		: [...preview.toUpdate, ...preview.toDelete].filter(item => item.remoteModified).map(item => item.key)
+	skipKeys.forEach(key => console.log(`⏭️  Skipped ${key}: modified remotely since your last pull`))
+
+	const changes = preview.toCreate.length + preview.toUpdate.length + preview.toDelete.length - skipKeys.length
+	if (changes === 0) {
+		return false
+	}
+
+	const result = await pushEnvVars(false, false, { skipKeys })
+	return result.success && result.successCount > 0
+}
+
+/**
+ * Pushes the synced files whose [meta] table in cx.toml changed
+ * @param {Object} options - Watch options
+ * @returns {Promise<boolean>} Whether anything was pushed
+ */
+async function pushChangedMeta(options) {
+	const tables = readMetaTables()
+	let pushed = false
+	for (const [filepath, entry] of Object.entries(readManifest().files)) {
+		if (!SYNC_TYPES[entry.syncType] || !existsSync(filepath) || isIgnored(filepath)) continue
+		if (hasMetaChanges(entry.syncType, filepath, entry, tables) && await pushChangedFile(entry.syncType, filepath, options)) {
+			pushed = true
+		}
+	}
+	return pushed
+}
+
+/**
+ * Pushes changed config sections from cx.toml
+ * @param {Object} options - Watch options
+ * @returns {Promise<boolean>} Whether anything was pushed
+ */
+async function pushChangedConfig(options) {
+	let pushed = false
+
+	for (const [sectionType, sectionConfig] of Object.entries(CONFIG_SECTIONS)) {
+		const preview = await pushConfigSection(sectionType, true, true)
+		if (!preview.success) {
+			console.error(`❌ ${sectionConfig.displayNamePlural}: ${preview.error}`)
+			continue
+		}
+
+		const skipIds = options.force
+			? []
+			: preview.toUpdate.filter(item => item.remoteModified).map(item => item.id)
+		skipIds.forEach(id => console.log(`⏭️  Skipped ${sectionConfig.key}.${id}: modified remotely since your last pull`))
+
+		if (preview.toCreate.length + preview.toUpdate.length - skipIds.length === 0) {
+			continue
+		}
+
+		// Per-record failures are reported by pushConfigSection
+		const result = await pushConfigSection(sectionType, false, false, { skipIds })
+		if (result.successCount > 0) {
+			pushed = true
+		}
+	}
+
+	return pushed
+}
+
+/**
+ * Re-runs the watched script after a successful push
+ * @param {Object} options - Watch options (run, fn, body, sse)
+ */
+async function rerun(options) {
+	console.log('\n' + '═'.repeat(50))
+	console.log(`🚀 Running ${options.run}...\n`)
+
+	try {
+		const result = await runScript(options.run, {
+			fn: options.fn,
+			body: options.body,
+			sse: options.sse
+		})
+		if (!result.success) {
+			handleError(result.error, false, 'Execution failed')
+		}
+	} catch (error) {
+		handleError(error.message, false)
+	}
+}
+
+/**
+ * Watch command - pushes each item as it changes locally
+ * Changes are debounced per file and pushed one at a time; errors are reported without stopping the watcher
+ * @param {Object} options - Command options
+ * @param {string} [options.run] - Script to re-run after each successful push
+ * @param {string} [options.fn] - Function name to execute within the script
+ * @param {string} [options.body] - JSON request body (string or file path)
+ * @param {string} [options.debounce] - Debounce delay in milliseconds
+ * @param {boolean} [options.force] - Overwrite items modified remotely since the last pull
+ * @param {boolean} [options.verify] - false with --no-verify: push without validating cx.env and cx.toml or checking file syntax
+ */
+export async function watchAction(options) {
+	const debounceMs = options.debounce !== undefined ? parseInt(options.debounce, 10) : DEFAULT_DEBOUNCE_MS
+	if (isNaN(debounceMs) || debounceMs < 0) {
+		handleError(`Invalid --debounce value: ${options.debounce}`, false)
+		process.exit(1)
+	}
+	if (!options.run && (options.fn || options.body)) {
+		handleError('--fn and --body require --run <script>', false)
+		process.exit(1)
+	}
+	try {
+		loadCustomSyncTypes()
+	} catch (error) {
+		handleError(error.message, false)
+		process.exit(1)
+	}
+
+	const timers = new Map()
+	let queue = Promise.resolve()
+
+	/**
+	 * Queues a push once a path has been quiet for the debounce delay
+	 * @param {string} key - Path being debounced
+	 * @param {Function} task - Async push task returning whether anything was pushed
+	 */
+	const schedule = (key, task) => {
+		clearTimeout(timers.get(key))
+		timers.set(key, setTimeout(() => {
+			timers.delete(key)
+			queue = queue.then(async () => {
+				console.log(`\n🔄 [${timestamp()}] ${key} changed`)
+				try {
+					if (await task() && options.run) {
+						await rerun(options)
+					}
+				} catch (error) {
+					console.error(`❌ ${key}: ${error.message}`)
+				}
+			})
+		}, debounceMs))
+	}
+
+	const watched = []
+
+	// Sync type directories (built-in and custom), including subfolders
+	for (const [syncType, config] of Object.entries(SYNC_TYPES)) {
+		if (!existsSync(config.dir)) continue
+
+		watch(config.dir, { recursive: true }, (event, filename) => {
+			if (!filename || !filename.endsWith(config.extension)) return
+			const filepath = join(config.dir, filename)
+			// Rules are re-read on every change, so edits to .cxignore apply immediately
+			if (isIgnored(filepath)) return
+			schedule(filepath, () => pushChangedFile(syncType, filepath, options))
+		})
+		watched.push(`${config.dir}/`)
+	}
+
+	// cx.env and cx.toml (editors may replace the file, so watch the directory)
+	const envFile = basename(ENV_FILE)
+	const configFile = basename(CONFIG_FILE)
+	watch('.', (event, filename) => {
+		if (filename === envFile) {
+			schedule(envFile, async () => isValidFile(envFile, options) && await pushChangedEnv(options))
+		} else if (filename === configFile) {
+			schedule(configFile, async () => {
+				if (!isValidFile(configFile, options)) {
+					return false
+				}
+				const pushedConfig = await pushChangedConfig(options)
+				return await pushChangedMeta(options) || pushedConfig
+			})
+		}
+	})
+	watched.push(envFile, configFile)
+
+	console.log(`👀 Watching ${watched.join(', ')}`)
+	if (options.run) {
+		console.log(`🚀 Will run ${options.run}${options.fn ? ` (function: ${options.fn})` : ''} after each push`)
+	}
+	console.log('Press Ctrl+C to stop.')
+}
@@ -4,6 +4,11 @@ import { hostname } from 'os'
 
 export const baseUrl = 'https://app.connexcs.com/api/cp/'
 
+// Statuses worth retrying: timeouts, throttling and temporary server errors
+const TRANSIENT_STATUSES = [408, 429, 500, 502, 503, 504]
+// The server turned these away without processing them, so even a POST can be repeated safely
+const REJECTED_STATUSES = [429, 503]
+
 /**
  * Finds .env file by traversing up the directory tree from cwd
  * @returns {string|null} Path to .env file or null if not found
@@ -264,7 +269,8 @@ export function validateJSON(data) {
  * @param {string} method - HTTP method (GET, POST, PUT, DELETE)
  * @param {Object|null} body - Request body (will be JSON stringified)
  * @param {boolean} silent - Whether to suppress progress output
- * @returns {Promise<{success: boolean, data?: any, error?: string, contentType?: string}>}
+ * @returns {Promise<{success: boolean, data?: any, error?: string, contentType?: string, status?: number, retryable?: boolean}>}
+ *   Failures include the HTTP status (if any) and whether repeating the request is safe and may succeed
  */
 export async function makeAuthenticatedRequest(endpoint, method = 'GET', body = null, silent = false) {
 	const url = `${baseUrl}${endpoint}`
@@ -306,7 +312,14 @@ export async function makeAuthenticatedRequest(endpoint, method = 'GET', body =
 			options.body = JSON.stringify(body)
 		}
 		
-		const response = await fetch(url, options)
+		// POST is not idempotent: only retry it when the server clearly did not process it
+		const idempotent = method !== 'POST'
+		let response
+		try {
+			response = await fetch(url, options)
+		} catch (error) {
+			return { success: false, error: `Network error: ${error.message}`, retryable: idempotent }
+		}
 		const contentType = response.headers.get('content-type') || ''
 		
 		if (response.ok) {
@@ -352,7 +365,9 @@ export async function makeAuthenticatedRequest(endpoint, method = 'GET', body =
 				errorMessage = responseText
 			}
 			
-			return { success: false, error: errorMessage }
+			const retryable = REJECTED_STATUSES.includes(response.status) ||
+				(idempotent && TRANSIENT_STATUSES.includes(response.status))
+			return { success: false, error: errorMessage, status: response.status, retryable }
 		}
 	} catch (error) {
 		return { success: false, error: `Network error: ${error.message}` }
@@ -0,0 +1,168 @@
+/**
+ * Multi-app workspaces - one repository holding several ConnexCS apps
+ * A [workspace.apps.<name>] table in the root cx.toml maps each app to its own folder,
+ * which holds that app's src/, query/, template/, cx.env, cx.toml and .cx/ state
+ */
+
+import { existsSync, readFileSync, mkdirSync } from 'fs'
+import { join, dirname, parse, resolve, relative, sep, isAbsolute } from 'path'
+import * as TOML from '@iarna/toml'
+import { handleError } from './utils.js'
+
+/**
+ * Finds the workspace by traversing up the directory tree from cwd
+ * The first cx.toml with a [workspace] table is the workspace root
+ * @returns {{root: string, apps: Array<{name: string, appId: string, dir: string}>}|null} Workspace or null outside one
+ * @throws {Error} If the workspace cx.toml is invalid
+ */
+export function findWorkspace() {
+	let currentDir = process.cwd()
+	const { root } = parse(currentDir)
+
+	while (true) {
+		const configPath = join(currentDir, 'cx.toml')
+		if (existsSync(configPath)) {
+			let config
+			try {
+				config = TOML.parse(readFileSync(configPath, 'utf-8'))
+			} catch (error) {
+				throw new Error(`Failed to parse ${configPath}: ${error.message}`)
+			}
+			if (config.workspace) {
+				return { root: currentDir, apps: parseWorkspaceApps(config.workspace, currentDir) }
+			}
+		}
+		if (currentDir === root) {
+			return null
+		}
+		currentDir = dirname(currentDir)
+	}
+}
+
+/**
+ * Reads and validates the apps of a [workspace] table
+ * @param {Object} workspace - Parsed [workspace] table
+ * @param {string} root - Workspace root directory
+ * @returns {Array<{name: string, appId: string, dir: string}>} Apps with absolute directories
+ * @throws {Error} If an app is missing app_id or dir, or its dir is outside the workspace
+ */
+function parseWorkspaceApps(workspace, root) {
+	const apps = []
+	for (const [name, app] of Object.entries(workspace.apps || {})) {
+		if (!app.app_id) {
+			throw new Error(`Workspace app "${name}" is missing app_id`)
+		}
+		if (!app.dir || isAbsolute(app.dir)) {
+			throw new Error(`Workspace app "${name}" needs a dir relative to ${root}`)
+		}
+		const dir = resolve(root, app.dir)
+		if (!dir.startsWith(root + sep)) {
+			throw new Error(`Workspace app "${name}" dir must be inside the workspace: ${app.dir}`)
+		}
+		apps.push({ name, appId: String(app.app_id), dir })
+	}
+	if (apps.length === 0) {
+		throw new Error('Workspace has no apps. Add [workspace.apps.<name>] tables with app_id and dir to cx.toml')
+	}
+	return apps
+}
+
+/**
+ * Picks the workspace apps a command applies to
+ * --all-apps selects every app, --app <name> one app; otherwise the app whose folder contains cwd
+ * @param {Object} workspace - Workspace from findWorkspace
+ * @param {Object} options - Command options (app, allApps)
+ * @returns {Array<Object>} Selected apps
+ * @throws {Error} If no app can be selected
+ */
+export function selectWorkspaceApps(workspace, options) {
+	if (options.allApps && options.app) {
+		throw new Error('Use either --app or --all-apps, not both')
+	}
+	if (options.allApps) {
+		return workspace.apps
+	}
+	if (options.app) {
+		const app = workspace.apps.find(a => a.name === options.app)
+		if (!app) {
+			throw new Error(`Unknown app "${options.app}". Workspace apps: ${workspace.apps.map(a => a.name).join(', ')}`)
+		}
+		return [app]
+	}
+
+	const cwd = process.cwd()
+	const current = workspace.apps.find(a => cwd === a.dir || cwd.startsWith(a.dir + sep))
+	if (!current) {
+		throw new Error(`Not inside an app folder. Use --app <name> or --all-apps (apps: ${workspace.apps.map(a => a.name).join(', ')})`)
+	}
+	return [current]
+}
+
+/**
+ * Wraps a commander action so it runs in each selected workspace app
+ * For every app APP_ID is set to the app's ID and (for sync commands) the working directory to the app folder.
+ * Outside a workspace the action runs unchanged. With several apps the exit code is the highest of any app
+ * @param {Function} action - Commander action (args..., options, command)
+ * @param {Object} [settings] - Wrapper settings
+ * @param {boolean} [settings.allApps] - Whether the command supports --all-apps
+ * @param {boolean} [settings.chdir] - Whether to run in the app folder (default true; false keeps file arguments relative to cwd)
+ * @returns {Function} Commander action
+ */
+export function withWorkspace(action, settings = {}) {
+	return async (...args) => {
+		const options = args[args.length - 2] || {}
+
+		let workspace
+		let apps
+		try {
+			workspace = findWorkspace()
+			if (!workspace) {
+				if (options.app || options.allApps) {
+					throw new Error('--app and --all-apps need a [workspace] table in cx.toml')
+				}
+				return action(...args)
+			}
+			if (options.allApps && !settings.allApps) {
+				throw new Error('--all-apps is not supported by this command, use --app <name>')
+			}
+			if (options.allApps && options.json) {
+				throw new Error('--json cannot be combined with --all-apps, run once per app with --app <name>')
+			}
+			apps = selectWorkspaceApps(workspace, options)
+		} catch (error) {
+			handleError(error.message, false)
+			process.exit(1)
+		}
+
+		const silent = options.silent || options.raw || options.json || false
+		const originalCwd = process.cwd()
+		const originalAppId = process.env.APP_ID
+		let exitCode = 0
+
+		for (const app of apps) {
+			if (!silent) {
+				console.log(`${apps.length > 1 ? '\n' : ''}📦 App: ${app.name} (${relative(workspace.root, app.dir)}, APP_ID ${app.appId})`)
+			}
+			if (settings.chdir !== false) {
+				// A new app folder is created on the first pull
+				mkdirSync(app.dir, { recursive: true })
+				process.chdir(app.dir)
+			}
+			process.env.APP_ID = app.appId
+			process.exitCode = undefined
+			try {
+				await action(...args)
+			} finally {
+				process.chdir(originalCwd)
+				if (originalAppId === undefined) {
+					delete process.env.APP_ID
+				} else {
+					process.env.APP_ID = originalAppId
+				}
+			}
+			exitCode = Math.max(exitCode, process.exitCode || 0)
+		}
+
+		process.exitCode = exitCode
+	}
+}
@@ -0,0 +1,93 @@
+/**
+ * Tests for the cx.env section of cx diff (lib/sync/compare.js)
+ * The ConnexCS API is replaced by an in-memory list of env vars
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { diffAction } from '../lib/sync/compare.js'
+import { writeLocalEnvFile } from '../lib/sync/env.js'
+
+const SECRET = 'local sekret value'
+const REMOTE_SECRET = 'remote sekret value'
+
+describe('cx diff of cx.env', () => {
+	const originalCwd = process.cwd()
+	const originalFetch = globalThis.fetch
+	const originalEnv = { APP_ID: process.env.APP_ID, CX_ENV_KEY: process.env.CX_ENV_KEY, CX_REFRESH_TOKEN: process.env.CX_REFRESH_TOKEN }
+	let dir
+	let remoteVars
+
+	before(() => {
+		dir = mkdtempSync(join(tmpdir(), 'cx-compare-'))
+		process.chdir(dir)
+		writeFileSync('cx.toml', '[env]\nencrypt = ["API_*"]\n')
+		process.env.APP_ID = 'app1'
+		process.env.CX_ENV_KEY = 'test passphrase'
+		// A refresh token that is far from expiring, so it is not renewed
+		const exp = Math.floor(Date.now() / 1000) + 29 * 24 * 60 * 60
+		process.env.CX_REFRESH_TOKEN = `x.${Buffer.from(JSON.stringify({ exp })).toString('base64url')}.y`
+		globalThis.fetch = async (url) => {
+			const path = new URL(url).pathname.replace('/api/cp/', '')
+			const body = path === 'auth/jwt' ? { token: 'access' } : remoteVars
+			return new Response(JSON.stringify(body), { status: 200, headers: { 'content-type': 'application/json' } })
+		}
+	})
+
+	after(() => {
+		globalThis.fetch = originalFetch
+		process.chdir(originalCwd)
+		rmSync(dir, { recursive: true, force: true })
+		for (const [key, value] of Object.entries(originalEnv)) {
+			if (value === undefined) {
+				delete process.env[key]
+			} else {
+				process.env[key] = value
+			}
+		}
+	})
+
+	beforeEach(() => {
+		remoteVars = [
+			{ id: 1, key: 'API_KEY', value: REMOTE_SECRET, app_id: 'app1' },
+			{ id: 2, key: 'API_TOKEN', value: SECRET, app_id: 'app1' },
+			{ id: 3, key: 'PLAIN', value: 'remote plain', app_id: 'app1' }
+		]
+		writeLocalEnvFile({ API_KEY: SECRET, API_TOKEN: SECRET, PLAIN: 'local plain' })
+	})
+
+	/**
+	 * Runs cx diff cx.env and returns the patch it writes
+	 * @param {Object} options - Extra command options
+	 * @returns {Promise<string>} Patch contents
+	 */
+	async function diff(options = {}) {
+		await diffAction('cx.env', { output: 'review.patch', silent: true, ...options })
+		return readFileSync('review.patch', 'utf-8')
+	}
+
+	it('lists the changed keys with their values hidden', async () => {
+		const patch = await diff()
+		assert.match(patch, /^-API_KEY=<hidden-remote-value>$/m)
+		assert.match(patch, /^\+API_KEY=<hidden-local-value>$/m)
+		assert.match(patch, /^-PLAIN=<hidden-remote-value>$/m)
+		assert.doesNotMatch(patch, /API_TOKEN/)
+		assert.doesNotMatch(patch, /sekret|plain/)
+	})
+
+	it('shows plain values with --show-values, but never decrypted ones', async () => {
+		const stored = readFileSync('cx.env', 'utf-8')
+		const patch = await diff({ showValues: true })
+		assert.match(patch, /^-PLAIN="remote plain"$/m)
+		assert.match(patch, /^\+PLAIN="local plain"$/m)
+		// A changed encrypted value: its ciphertext locally, hidden remotely
+		assert.match(patch, /^-API_KEY=<hidden-remote-value>$/m)
+		assert.ok(patch.includes(`+${stored.match(/^API_KEY=.*$/m)[0]}`))
+		// An unchanged encrypted value: its ciphertext on both sides
+		assert.ok(patch.includes(` ${stored.match(/^API_TOKEN=.*$/m)[0]}`))
+		assert.doesNotMatch(patch, /sekret/)
+	})
+})
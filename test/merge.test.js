@@ -0,0 +1,88 @@
+/**
+ * Tests for the three-way merge used by pull (lib/sync/merge.js)
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { mergeThreeWay, resolvePull, hasConflictMarkers } from '../lib/sync/merge.js'
+
+const BASE = 'one\ntwo\nthree\nfour\nfive\n'
+
+describe('mergeThreeWay', () => {
+	it('combines edits to different lines', () => {
+		const local = 'one\nTWO\nthree\nfour\nfive\n'
+		const remote = 'one\ntwo\nthree\nfour\nFIVE\n'
+		assert.deepEqual(mergeThreeWay(BASE, local, remote), { content: 'one\nTWO\nthree\nfour\nFIVE\n', conflicts: 0 })
+	})
+
+	it('takes an edit made the same way on both sides once', () => {
+		const both = 'one\ntwo\nTHREE\nfour\nfive\n'
+		assert.deepEqual(mergeThreeWay(BASE, both, both), { content: both, conflicts: 0 })
+	})
+
+	it('marks overlapping edits as conflicts and counts each hunk', () => {
+		const local = 'one\nlocal 2\nthree\nfour\nlocal 5\n'
+		const remote = 'one\nremote 2\nthree\nfour\nremote 5\n'
+		const merged = mergeThreeWay(BASE, local, remote)
+		assert.equal(merged.conflicts, 2)
+		assert.equal(merged.content, [
+			'one',
+			'<<<<<<< local', 'local 2', '=======', 'remote 2', '>>>>>>> remote',
+			'three',
+			'four',
+			'<<<<<<< local', 'local 5', '=======', 'remote 5', '>>>>>>> remote',
+			''
+		].join('\n'))
+		assert.ok(hasConflictMarkers(merged.content))
+	})
+
+	it('keeps a deletion made on one side', () => {
+		const local = 'one\nthree\nfour\nfive\n'
+		const remote = 'one\ntwo\nthree\nfour\nFIVE\n'
+		assert.deepEqual(mergeThreeWay(BASE, local, remote), { content: 'one\nthree\nfour\nFIVE\n', conflicts: 0 })
+	})
+
+	it('conflicts when one side deletes lines the other side changed', () => {
+		const local = 'one\nthree\nfour\nfive\n'
+		const remote = 'one\nTWO\nthree\nfour\nfive\n'
+		const merged = mergeThreeWay(BASE, local, remote)
+		assert.equal(merged.conflicts, 1)
+		assert.equal(merged.content, 'one\n<<<<<<< local\n=======\nTWO\n>>>>>>> remote\nthree\nfour\nfive\n')
+	})
+
+	it('terminates a conflicting last line without a newline', () => {
+		const merged = mergeThreeWay('a\nb', 'a\nlocal', 'a\nremote')
+		assert.equal(merged.content, 'a\n<<<<<<< local\nlocal\n=======\nremote\n>>>>>>> remote\n')
+	})
+})
+
+describe('resolvePull', () => {
+	it('overwrites a file that was never synced', () => {
+		assert.deepEqual(resolvePull(null, 'local\n', 'remote\n'), { status: 'overwrite', content: 'remote\n', conflicts: 0 })
+	})
+
+	it('updates a file only changed remotely', () => {
+		assert.deepEqual(resolvePull(BASE, BASE, 'remote\n'), { status: 'update', content: 'remote\n', conflicts: 0 })
+	})
+
+	it('keeps a file only changed locally', () => {
+		assert.deepEqual(resolvePull(BASE, 'local\n', BASE), { status: 'keep', content: 'local\n', conflicts: 0 })
+	})
+
+	it('merges a file changed on both sides without overlap', () => {
+		const result = resolvePull(BASE, 'ONE\ntwo\nthree\nfour\nfive\n', 'one\ntwo\nthree\nfour\nfive\nsix\n')
+		assert.deepEqual(result, { status: 'merge', content: 'ONE\ntwo\nthree\nfour\nfive\nsix\n', conflicts: 0 })
+	})
+
+	it('merges a file changed the same way on both sides', () => {
+		const both = 'one\ntwo\nthree\n'
+		assert.deepEqual(resolvePull(BASE, both, both), { status: 'merge', content: both, conflicts: 0 })
+	})
+
+	it('reports a conflict with the number of conflict hunks', () => {
+		const result = resolvePull(BASE, 'one\nlocal\nthree\nfour\nfive\n', 'one\nremote\nthree\nfour\nfive\n')
+		assert.equal(result.status, 'conflict')
+		assert.equal(result.conflicts, 1)
+		assert.ok(hasConflictMarkers(result.content))
+	})
+})
@@ -0,0 +1,40 @@
+/**
+ * Tests for the undo log of atomic push (lib/sync/rollback.js)
+ */
+
+import { describe, it } from 'node:test'
+import assert from 'node:assert/strict'
+import { createUndoLog } from '../lib/sync/rollback.js'
+
+describe('createUndoLog', () => {
+	it('reverts changes one at a time, most recent first', async () => {
+		const log = createUndoLog()
+		const events = []
+		for (const [label, delay] of [['rename b.js → a.js', 1], ['create a.js', 20]]) {
+			log.add(label, async () => {
+				events.push(`start ${label}`)
+				await new Promise(resolve => setTimeout(resolve, delay))
+				events.push(`end ${label}`)
+				return { success: true }
+			})
+		}
+
+		const report = await log.rollback()
+		assert.deepEqual(events, ['start create a.js', 'end create a.js', 'start rename b.js → a.js', 'end rename b.js → a.js'])
+		assert.deepEqual(report, { rolledBack: ['create a.js', 'rename b.js → a.js'], failed: [] })
+	})
+
+	it('keeps going after a failed step and reports it', async () => {
+		const log = createUndoLog()
+		log.add('first', async () => ({ success: true }))
+		log.add('second', async () => ({ success: false, error: 'not found' }))
+		log.add('third', async () => {
+			throw new Error('boom')
+		})
+
+		assert.deepEqual(await log.rollback(), {
+			rolledBack: ['first'],
+			failed: [{ label: 'third', error: 'boom' }, { label: 'second', error: 'not found' }]
+		})
+	})
+})
@@ -0,0 +1,112 @@
+/**
+ * Tests for encrypted cx.env values (lib/sync/secrets.js)
+ */
+
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { mkdtempSync, writeFileSync, rmSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { encryptEnvValues, decryptEnvValues, decryptValue, isEncryptedValue, isWellFormedEncryptedValue } from '../lib/sync/secrets.js'
+
+const PASSPHRASE = 'test passphrase'
+
+// Written by the first release of enc: values; it must stay readable
+const FIXTURE = 'enc:8MdpkXifxiKgXoX-b5pbaJBI0WEsYfhK31Ztr9nAYl5UPy5KvfG8glO8rJPnp4aZL6epupFhwHuYVg'
+
+/**
+ * Flips one bit of the ciphertext of an encrypted value
+ * @param {string} value - enc:... value
+ * @returns {string} Tampered value
+ */
+function tamper(value) {
+	const data = Buffer.from(value.slice('enc:'.length), 'base64url')
+	data[data.length - 1] ^= 1
+	return 'enc:' + data.toString('base64url')
+}
+
+describe('secrets', () => {
+	const originalCwd = process.cwd()
+	const originalEnv = { CX_ENV_KEY: process.env.CX_ENV_KEY, CX_ENV_KEY_FILE: process.env.CX_ENV_KEY_FILE }
+	let dir
+
+	before(() => {
+		dir = mkdtempSync(join(tmpdir(), 'cx-secrets-'))
+		process.chdir(dir)
+		writeFileSync('cx.toml', '[env]\nencrypt = ["API_*"]\n')
+	})
+
+	after(() => {
+		process.chdir(originalCwd)
+		rmSync(dir, { recursive: true, force: true })
+		for (const [key, value] of Object.entries(originalEnv)) {
+			if (value === undefined) {
+				delete process.env[key]
+			} else {
+				process.env[key] = value
+			}
+		}
+	})
+
+	beforeEach(() => {
+		process.env.CX_ENV_KEY = PASSPHRASE
+		delete process.env.CX_ENV_KEY_FILE
+	})
+
+	it('encrypts the keys matching [env] encrypt and decrypts them back', () => {
+		const written = encryptEnvValues({ API_KEY: 'sekret value #1', PLAIN: 'p' }, {})
+		assert.ok(isEncryptedValue(written.API_KEY))
+		assert.ok(isWellFormedEncryptedValue(written.API_KEY))
+		assert.ok(!written.API_KEY.includes('sekret'))
+		assert.equal(written.PLAIN, 'p')
+		assert.deepEqual(decryptEnvValues(written, './cx.env'), { API_KEY: 'sekret value #1', PLAIN: 'p' })
+	})
+
+	it('keeps the ciphertext of unchanged values and re-encrypts changed ones', () => {
+		const first = encryptEnvValues({ API_KEY: 'a', API_TOKEN: 'b' }, {})
+		const second = encryptEnvValues({ API_KEY: 'a', API_TOKEN: 'changed' }, first)
+		assert.equal(second.API_KEY, first.API_KEY)
+		assert.notEqual(second.API_TOKEN, first.API_TOKEN)
+		assert.equal(decryptValue(second.API_TOKEN), 'changed')
+	})
+
+	it('keeps encrypting a key that was encrypted before', () => {
+		const previous = encryptEnvValues({ API_KEY: 'a' }, {})
+		const written = encryptEnvValues({ OTHER: 'b' }, { OTHER: previous.API_KEY })
+		assert.ok(isEncryptedValue(written.OTHER))
+		assert.equal(decryptValue(written.OTHER), 'b')
+	})
+
+	it('decrypts values written by earlier versions', () => {
+		assert.equal(decryptValue(FIXTURE), 'fixture secret')
+	})
+
+	it('rejects a tampered ciphertext', () => {
+		assert.throws(() => decryptValue(tamper(FIXTURE)), /wrong key \(CX_ENV_KEY or the key file\) or a damaged value/)
+	})
+
+	it('rejects a malformed value', () => {
+		assert.ok(!isWellFormedEncryptedValue('enc:!!'))
+		assert.throws(() => decryptValue('enc:!!'), /malformed encrypted value/)
+	})
+
+	it('rejects the wrong key, naming the key and file', () => {
+		process.env.CX_ENV_KEY = 'another passphrase'
+		assert.throws(() => decryptEnvValues({ API_KEY: FIXTURE }, './cx.env'), /^Error: Cannot decrypt API_KEY in cx.env: wrong key/)
+	})
+
+	it('fails without a passphrase or key file', () => {
+		delete process.env.CX_ENV_KEY
+		assert.throws(() => decryptValue(FIXTURE), /No key to encrypt or decrypt cx.env values/)
+		assert.throws(() => encryptEnvValues({ API_KEY: 'a' }, {}), /No key to encrypt or decrypt cx.env values/)
+	})
+
+	it('reads the key from a key file', () => {
+		delete process.env.CX_ENV_KEY
+		writeFileSync('team.key', `${PASSPHRASE}\n`)
+		process.env.CX_ENV_KEY_FILE = 'team.key'
+		assert.equal(decryptValue(FIXTURE), 'fixture secret')
+		process.env.CX_ENV_KEY_FILE = 'missing.key'
+		assert.throws(() => decryptValue(FIXTURE), /Key file not found: missing.key/)
+	})
+})